@@ -0,0 +1,3284 @@
+import express from 'express';
+import { createServer } from 'http';
+import { Server } from 'socket.io';
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import crypto from 'crypto';
+import { createUploadManager, UploadError } from './lib/uploads.js';
+import { createPlaybackClock, applyControl, playbackSnapshot, expectedPosition } from './lib/playback.js';
+import {
+    createQueue, createQueueItem, isQueueFull, MAX_QUEUE_ITEMS, enqueue, addProposal, removeItem, moveItem,
+    approveProposal, shiftQueue, toggleVote, removeVoter, serializeQueue
+} from './lib/queue.js';
+import { ROLES, can, permissionsFor, outranks, canAssignRole } from './lib/permissions.js';
+import { createStorage, roomToRecord, recordToRoom } from './lib/storage/index.js';
+import {
+    createMessageId, DEFAULT_PAGE_SIZE, MAX_MESSAGE_LENGTH,
+    replyPreview, editMessage, deleteMessage, isValidReaction, toggleReaction,
+    conversationIdFor, countUnread
+} from './lib/messages.js';
+import {
+    createCall, isParticipant, isCallFull, joinCall, leaveCall, setMediaState, serializeCall
+} from './lib/calls.js';
+import { createRtcConfig } from './lib/rtc.js';
+import {
+    generateRoomCode, hashPassword, verifyPassword, createInviteSigner, createMediaTokens, verifyBearerToken, createAttemptLimiter
+} from './lib/security.js';
+import { resolvePresence, recordHeartbeat, TYPING_TIMEOUT, TYPING_THROTTLE } from './lib/presence.js';
+import { normalizeListing, isRoomFull, isListed, roomListing, queryDirectory } from './lib/directory.js';
+import { createEventGuard } from './lib/events.js';
+import { validatePayload, object, optional, string } from './lib/validation.js';
+import { createAttachmentStore, attachmentSummary, AttachmentError, MAX_ATTACHMENT_SIZE } from './lib/attachments.js';
+import { ERROR_CODES } from './lib/errors.js';
+import { logger } from './lib/logger.js';
+import { createMetrics, createRateMeter, METRICS_CONTENT_TYPE } from './lib/metrics.js';
+import { createBus } from './lib/cluster/bus.js';
+import { createBusAdapter } from './lib/cluster/adapter.js';
+import { createSharedRooms } from './lib/cluster/state.js';
+import { replicateStorage } from './lib/cluster/storage.js';
+import { createSnapshot, writeSnapshot, readSnapshot } from './lib/snapshot.js';
+import {
+    resolveMediaUrl, fetchMediaMetadata, fetchPlaylistItems, fallbackTitle, MediaError, MEDIA_PROVIDERS
+} from './lib/media.js';
+import { createSearchService, createYouTubeSearchProvider, SearchError } from './lib/search.js';
+import {
+    createReadyCheck, respondToReadyCheck, readyCheckSummary, readyStateOf, createCountdown,
+    viewerHealth, shouldHoldPlayback, applyWatchSettings, DEFAULT_WATCH_SETTINGS
+} from './lib/watchparty.js';
+import { timelineKey, createAnnotation, annotationFromMessage, buildTimeline } from './lib/timeline.js';
+import {
+    createSessionEvent, collectMessages, buildSessionExport, renderTranscriptText, renderTranscriptHtml,
+    attachmentPath, EXPORT_FORMATS
+} from './lib/export.js';
+import { createZip } from './lib/zip.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// 🏭 Sunucu fabrikası - server.js süreci bunu çağırır, testler aynı sunucuyu rastgele bir portta
+// kurar. Ortam değişkenleri, saat ve zamanlayıcılar dışarıdan verilebilir; sahte saatle boş oda
+// süresi ve bağlantı bekçisi beklemeden sınanır. Sunucudaki tüm zaman damgaları, süreler ve
+// zamanlayıcılar (yükleme, ek ve arama servisleri dahil) verilen saatten okunur.
+export const SYSTEM_CLOCK = { now: () => Date.now() };
+export const SYSTEM_TIMERS = { setTimeout, clearTimeout, setInterval, clearInterval };
+
+export async function createApp({
+    env = process.env,
+    clock = SYSTEM_CLOCK,
+    timers = SYSTEM_TIMERS,
+    logger: baseLogger = logger
+} = {}) {
+    const app = express();
+    const server = createServer(app);
+    const log = baseLogger.child({ component: 'server' });
+
+    function envInt(name, fallback) {
+        const value = parseInt(env[name], 10);
+        return Number.isNaN(value) ? fallback : value;
+    }
+
+    // Proxy arkasında (Render vb.) gerçek istemci IP'si X-Forwarded-For'dan okunur
+    const TRUST_PROXY = env.TRUST_PROXY === 'true' || env.TRUST_PROXY === '1';
+    if (TRUST_PROXY) {
+        app.set('trust proxy', true);
+    }
+
+    // 💾 DEPOLAMA - STORAGE_DRIVER=memory (varsayılan, yeniden başlatmada silinir) | file
+    const STORAGE_DRIVER = env.STORAGE_DRIVER || 'memory';
+
+    // 🧹 SAKLAMA POLİTİKASI
+    const retentionPolicy = {
+        emptyRoomTtl: envInt('EMPTY_ROOM_TTL', 5 * 60 * 1000),                            // Boş oda bu süre sonra silinir
+        messageLimit: envInt('MESSAGE_HISTORY_LIMIT', STORAGE_DRIVER === 'memory' ? 100 : 0) // Oda başına mesaj (0 = sınırsız)
+    };
+
+    const STORAGE_DIR = env.STORAGE_DIR || path.join(__dirname, 'data');
+
+    // 🛑 KONTROLLÜ KAPANIŞ - SIGTERM/SIGINT'te yeni oda ve katılım durur, istemcilere dönüş zamanı
+    // bildirilir, bağlantılar kapatılır ve durum görüntü dosyasına yazılır (açılışta geri yüklenir)
+    const shutdownPolicy = {
+        drain: envInt('SHUTDOWN_DRAIN', 2000),          // Duyurudan sonra bağlantıların açık kaldığı süre
+        timeout: envInt('SHUTDOWN_TIMEOUT', 10000),     // Kapanış bu sürede bitmezse süreç zorla sonlanır
+        restartEta: envInt('RESTART_ETA', 15000),       // İstemcilere bildirilen tahmini dönüş süresi
+        snapshotFile: env.SNAPSHOT_FILE || path.join(STORAGE_DIR, 'snapshot.json'),
+        snapshotMaxAge: envInt('SNAPSHOT_MAX_AGE', 10 * 60 * 1000)
+    };
+    let shutdownState = null; // { signal, startedAt, expectedBackAt }
+
+    // 🎞️ YouTube Data API anahtarı - oynatma listelerini açmak ve video aramak için
+    // (yoksa listedeki tek video oynatılır, arama kapalıdır). Anahtar tarayıcıya hiç gönderilmez.
+    const YOUTUBE_API_KEY = env.YOUTUBE_API_KEY || null;
+
+    // 🔎 VİDEO ARAMA - /api/search sağlayıcıya sunucudan gider; sonuçlar önbelleğe alınır, istemci başına kota vardır
+    const searchService = createSearchService({
+        providers: YOUTUBE_API_KEY ? { youtube: createYouTubeSearchProvider({ apiKey: YOUTUBE_API_KEY }) } : {},
+        cacheTtl: envInt('SEARCH_CACHE_TTL', 10 * 60 * 1000),
+        quota: {
+            capacity: envInt('SEARCH_BURST', 20),                     // Art arda yapılabilecek arama
+            refillPerSecond: envInt('SEARCH_PER_MINUTE', 12) / 60     // Sonrasında dakikada
+        },
+        now: clock.now
+    });
+
+    // 🌐 KÜME - CLUSTER_URL verilirse birden fazla sunucu aynı odaları paylaşır (lib/cluster/).
+    // Yük dengeleyicide yapışkan oturum (sticky session) gerekir; UPLOAD_DIR ve ATTACHMENT_DIR
+    // ortak bir diskte olmalı, STORAGE_DRIVER=file ise her sunucunun kendi STORAGE_DIR'i olmalı.
+    const bus = createBus({ url: env.CLUSTER_URL, nodeId: env.NODE_ID || undefined });
+    const NODE_ID = bus.nodeId;
+    const clustered = bus.driver !== 'memory';
+
+    const nodeStorage = createStorage({
+        driver: STORAGE_DRIVER,
+        dir: STORAGE_DIR,
+        messageLimit: retentionPolicy.messageLimit
+    });
+    const storage = clustered ? replicateStorage(nodeStorage, bus) : nodeStorage;
+
+    // 🎯 BELLEK TABANLI SİSTEM (kümede odalar tüm sunucularda kopya olarak tutulur)
+    const rooms = new Map();      // Tüm odalar
+    const users = new Map();      // Tüm kullanıcılar
+    const connections = new Map(); // Bağlantı takibi
+
+    // Bağlantı kontrol sistemi
+    const connectionWatchdog = new Map();
+    const intervals = []; // Periyodik işler (close() durdurur)
+
+    // 🔁 Yeniden bağlanma - ağ kopmalarında kullanıcının yeri bu süre boyunca korunur
+    const RECONNECT_GRACE = parseInt(env.RECONNECT_GRACE, 10) || 30000;
+    const RESUMABLE_DISCONNECT_REASONS = ['transport close', 'transport error', 'ping timeout'];
+    const reconnectTimers = new Map(); // sessionId -> bekleme zamanlayıcısı
+
+    // 🔐 DAVET BAĞLANTILARI - INVITE_SECRET yoksa her açılışta yeni anahtar (eski davetler geçersizleşir)
+    if (!env.INVITE_SECRET) {
+        log.warn('INVITE_SECRET tanımlı değil, davet bağlantıları yeniden başlatmada geçersiz olur');
+    }
+    const SIGNING_SECRET = env.INVITE_SECRET || crypto.randomBytes(32).toString('hex');
+    const inviteSigner = createInviteSigner(SIGNING_SECRET);
+    const mediaTokens = createMediaTokens(SIGNING_SECRET);
+    const INVITE_DEFAULT_TTL = 24 * 60 * 60 * 1000;
+    const INVITE_MAX_TTL = 7 * 24 * 60 * 60 * 1000;
+
+    // 🚦 GİRİŞ DENEMESİ SINIRI - yanlış şifre / olmayan oda denemeleri IP ve cihaz bazında sayılır
+    const joinLimits = {
+        maxFailures: envInt('JOIN_MAX_FAILURES', 5),
+        windowMs: envInt('JOIN_FAILURE_WINDOW', 10 * 60 * 1000),
+        lockoutMs: envInt('JOIN_LOCKOUT', 15 * 60 * 1000)
+    };
+    const joinLimiter = {
+        ip: createAttemptLimiter(joinLimits),
+        device: createAttemptLimiter(joinLimits)
+    };
+
+    function socketAddress(socket) {
+        const forwarded = socket.handshake.headers['x-forwarded-for'];
+        if (TRUST_PROXY && forwarded) {
+            return forwarded.split(',')[0].trim();
+        }
+        return socket.handshake.address;
+    }
+
+    // Kilitliyse kalan süre (ms)
+    function joinLockedFor(ip, deviceId) {
+        return Math.max(
+            joinLimiter.ip.lockedFor(ip, clock.now()),
+            deviceId ? joinLimiter.device.lockedFor(deviceId, clock.now()) : 0
+        );
+    }
+
+    function recordJoinFailure(ip, deviceId) {
+        const ipLocked = joinLimiter.ip.recordFailure(ip, clock.now());
+        const deviceLocked = deviceId ? joinLimiter.device.recordFailure(deviceId, clock.now()) : false;
+        if (ipLocked || deviceLocked) {
+            log.warn('Çok fazla hatalı giriş denemesi, kilitlendi', { ip: ipLocked ? ip : undefined, deviceId: deviceLocked ? deviceId : undefined });
+        }
+    }
+
+    function rateLimitedError(lockedMs) {
+        return {
+            code: ERROR_CODES.RATE_LIMITED,
+            retryAfter: Math.ceil(lockedMs / 1000),
+            message: `Çok fazla hatalı deneme. ${Math.ceil(lockedMs / 60000)} dakika sonra tekrar deneyin.`
+        };
+    }
+
+    // 📞 GRUP ARAMASI - tam örgüde her katılımcı diğerlerine ayrı bağlantı açar, bu yüzden boyut sınırlı
+    const MAX_CALL_PARTICIPANTS = envInt('MAX_CALL_PARTICIPANTS', 6);
+
+    // 🎬 PARÇALI VİDEO YÜKLEME
+    const MAX_FILE_SIZE = parseInt(env.MAX_FILE_SIZE, 10) || 100 * 1024 * 1024;
+    const uploadManager = createUploadManager({
+        uploadDir: env.UPLOAD_DIR || path.join(__dirname, 'public', 'uploads'),
+        maxFileSize: MAX_FILE_SIZE,
+        chunkSize: 1024 * 1024, // 1MB parçalar
+        sessionTtl: 60 * 60 * 1000, // 1 saat parça gelmezse yarım yükleme silinir
+        now: clock.now
+    });
+
+    intervals.push(timers.setInterval(() => {
+        const now = clock.now();
+        for (const [socketId, lastActivity] of connectionWatchdog.entries()) {
+            // 30 dakika aktivite yoksa temizle
+            if (now - lastActivity > 30 * 60 * 1000) {
+                const socket = io.sockets.sockets.get(socketId);
+                if (socket) {
+                    log.info('Uzun süre aktivite yok, bağlantı temizleniyor', { socketId });
+                    socket.disconnect(true);
+                }
+                connectionWatchdog.delete(socketId);
+            }
+        }
+        uploadManager.cleanupStaleSessions(now);
+        searchService.cleanup();
+        if (clustered) {
+            adoptOrphans();
+        }
+    }, 60000));
+
+    // 📎 SOHBET EKLERİ - mesajdan ayrı yüklenir, oda silinince birlikte silinir
+    const attachments = createAttachmentStore({
+        dir: env.ATTACHMENT_DIR || path.join(STORAGE_DIR, 'attachments'),
+        now: clock.now
+    });
+
+    // ⏱️ Oynatma senkronizasyonu - video açık odalara periyodik saat bilgisi
+    // (kümede her sunucu sadece kendi bağlantılarına gönderir)
+    const PLAYBACK_SYNC_INTERVAL = 5000;
+
+    intervals.push(timers.setInterval(() => {
+        for (const room of rooms.values()) {
+            if (room.video && room.users.size > 0) {
+                io.local.to(room.code).emit('playback-sync', roomPlaybackState(room));
+            }
+        }
+    }, PLAYBACK_SYNC_INTERVAL));
+
+    // 🟢 Durum kontrolü - boşta/uzakta geçişleri heartbeat ve izleyiciden hesaplanır
+    const PRESENCE_CHECK_INTERVAL = 15000;
+
+    intervals.push(timers.setInterval(() => {
+        for (const room of rooms.values()) {
+            refreshPresence(room);
+        }
+    }, PRESENCE_CHECK_INTERVAL));
+
+    // Socket.io configuration
+    const io = new Server(server, {
+        cors: {
+            origin: "*",
+            methods: ["GET", "POST"],
+            credentials: true
+        },
+        transports: ['websocket', 'polling'],
+        maxHttpBufferSize: 5 * 1024 * 1024, // Dosyalar /api/room/:code/attachments ile yüklenir; sokette sadece küçük yükler
+        pingTimeout: 60000,
+        pingInterval: 25000,
+        connectTimeout: 45000,
+        // Kümede io.to(...) yayınları, uzak bağlantı kesme ve fetchSockets diğer sunuculara da ulaşır
+        adapter: clustered ? createBusAdapter(bus) : undefined
+    });
+
+    // 🏛️ LOBİ - Herkese açık oda dizininin canlı güncellemeleri (/lobby namespace)
+    // Değişiklikler oda başına biriktirilip kısa aralıklarla yayınlanır. Kümede her sunucu
+    // (diğer sunuculardan gelen değişiklikler dahil) sadece kendi lobi bağlantılarına yayınlar.
+    const lobby = io.of('/lobby');
+    const LOBBY_UPDATE_DELAY = 1000;
+    const lobbyPending = new Set();   // Güncellemesi bekleyen oda kodları
+    const lobbyAnnounced = new Set(); // Lobide şu an görünen oda kodları
+    let lobbyTimer = null;
+
+    function listingOf(room) {
+        return roomListing(room, room.playbackState.playing);
+    }
+
+    function publicListings() {
+        return Array.from(rooms.values()).filter(isListed).map(listingOf);
+    }
+
+    function notifyLobby(roomCode) {
+        lobbyPending.add(roomCode);
+        if (lobbyTimer) return;
+
+        lobbyTimer = timers.setTimeout(() => {
+            lobbyTimer = null;
+            for (const code of lobbyPending) {
+                const room = rooms.get(code);
+                if (room && isListed(room)) {
+                    lobbyAnnounced.add(code);
+                    lobby.local.emit('room-updated', listingOf(room));
+                } else if (lobbyAnnounced.delete(code)) {
+                    // Özel odalar hiç duyurulmadığı için silinmeleri de duyurulmaz
+                    lobby.local.emit('room-removed', { code });
+                }
+            }
+            lobbyPending.clear();
+        }, LOBBY_UPDATE_DELAY);
+    }
+
+    lobby.on('connection', (socket) => {
+        socket.emit('room-directory', queryDirectory(publicListings(), { sort: 'members', limit: 50 }));
+    });
+
+    // Yardımcı fonksiyonlar
+    function generateUserColor(username) {
+        const colors = ['#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEAA7', '#DDA0DD', '#98D8C8', '#F7DC6F', '#BB8FCE', '#85C1E9'];
+        const index = username ? username.split('').reduce((acc, c) => acc + c.charCodeAt(0), 0) : 0;
+        return colors[index % colors.length];
+    }
+
+    function generateDefaultAvatar(username) {
+        const firstLetter = username ? username.charAt(0).toUpperCase() : '?';
+        const color = generateUserColor(username);
+        return `data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" width="100" height="100" viewBox="0 0 100 100"><rect width="100" height="100" fill="${color}"/><text x="50" y="60" font-family="Arial" font-size="40" text-anchor="middle" fill="white">${firstLetter}</text></svg>`;
+    }
+
+    // 🎞️ MEDYA BAĞLANTILARI - YouTube (Shorts, canlı, oynatma listeleri), Vimeo, MP4/WebM ve HLS
+    function linkMedia(descriptor, videoId, title) {
+        return {
+            type: descriptor.provider,
+            videoId,
+            url: descriptor.provider === MEDIA_PROVIDERS.YOUTUBE ? `https://www.youtube.com/watch?v=${videoId}` : descriptor.url,
+            title,
+            mimeType: descriptor.mimeType,
+            startAt: descriptor.startAt,
+            live: descriptor.live,
+            hash: descriptor.hash
+        };
+    }
+
+    // Bağlantıyı oynatılacak medya listesine çevirir. Başlık sağlayıcıdan alınır; istemcinin gönderdiği
+    // başlık sadece yedektir. Oynatma listesinde paylaşılan videodan başlayıp listenin sonuna kadar gider.
+    async function resolveSharedMedia(url, clientTitle) {
+        const descriptor = resolveMediaUrl(url);
+        if (!descriptor) {
+            throw new MediaError('Desteklenmeyen ya da geçersiz video bağlantısı');
+        }
+
+        // Anahtar yoksa listedeki tek video yine de oynatılabilir
+        if (descriptor.playlist && (YOUTUBE_API_KEY || !descriptor.id)) {
+            const entries = await fetchPlaylistItems(descriptor.playlist.id, { apiKey: YOUTUBE_API_KEY });
+            let start = descriptor.id ? entries.findIndex(entry => entry.id === descriptor.id) : descriptor.playlist.index;
+            if (start === -1) {
+                entries.unshift({ id: descriptor.id, title: null });
+                start = 0;
+            }
+            const selected = entries.slice(start);
+            if (selected.length === 0) {
+                throw new MediaError('Oynatma listesinde oynatılabilir video yok');
+            }
+            return selected.map((entry, index) => linkMedia(
+                { ...descriptor, startAt: index === 0 ? descriptor.startAt : 0 },
+                entry.id,
+                entry.title || fallbackTitle(descriptor)
+            ));
+        }
+
+        const metadata = await fetchMediaMetadata(descriptor);
+        return [linkMedia(descriptor, descriptor.id, metadata?.title || clientTitle || fallbackTitle(descriptor))];
+    }
+
+    function roomPlaybackState(room) {
+        return {
+            ...playbackSnapshot(room.playbackState, clock.now()),
+            isYouTube: room.video?.type === MEDIA_PROVIDERS.YOUTUBE,
+            provider: room.video?.type || null,
+            live: Boolean(room.video?.live)
+        };
+    }
+
+    function roomVideoUrl(roomCode, uploadId) {
+        return `/api/room/${roomCode}/video?v=${uploadId}`;
+    }
+
+    // Yüklenmiş dosya artık ne oynatılıyor ne de sırada ise diskten sil
+    function releaseMedia(media) {
+        if (media && media.type === 'file') {
+            uploadManager.removeUpload(media.uploadId);
+        }
+    }
+
+    // 🎬 Videoyu odada oynatmaya başla (YouTube veya yüklenmiş dosya)
+    function playMedia(room, media) {
+        releaseMedia(room.video);
+        resetWatchPlayback(room);
+        // Bağlantıdaki başlangıç zamanı (t=) odanın oynatma konumu olur
+        room.playbackState = { ...createPlaybackClock(clock.now()), position: media.startAt || 0 };
+        room.video = {
+            itemId: media.id,
+            type: media.type,
+            videoId: media.videoId,
+            uploadId: media.uploadId,
+            url: media.url,
+            title: media.title,
+            mimeType: media.mimeType,
+            fileSize: media.fileSize,
+            startAt: media.startAt || 0,
+            live: Boolean(media.live),
+            hash: media.hash,
+            uploadedBy: media.uploadedBy,
+            uploadedAt: new Date(clock.now())
+        };
+        logSessionEvent(room, 'video', {
+            itemId: media.id,
+            mediaType: media.type,
+            title: media.title,
+            url: media.type === 'file' ? null : media.url,
+            sharedBy: media.uploadedBy
+        });
+
+        // Tüm kullanıcılara bildir
+        if (media.type !== 'file') {
+            io.to(room.code).emit('media-shared', {
+                itemId: media.id,
+                type: media.type,
+                videoId: media.videoId,
+                url: media.url,
+                title: media.title,
+                mimeType: media.mimeType,
+                startAt: room.video.startAt,
+                live: room.video.live,
+                hash: media.hash,
+                sharedBy: media.uploadedBy
+            });
+        } else {
+            io.to(room.code).emit('video-uploaded', {
+                itemId: media.id,
+                videoUrl: media.url,
+                title: media.title,
+                mimeType: media.mimeType,
+                fileSize: media.fileSize,
+                uploadedBy: media.uploadedBy
+            });
+        }
+        persistRoom(room);
+        notifyLobby(room.code);
+    }
+
+    function broadcastQueue(room) {
+        io.to(room.code).emit('queue-updated', serializeQueue(room.queue));
+        persistRoom(room);
+    }
+
+    // Sıradaki videoya geç. Sıra boşsa mevcut video yerinde kalır.
+    function playNextInQueue(room) {
+        const next = shiftQueue(room.queue);
+        if (next) {
+            playMedia(room, next);
+            log.info('Sıradaki video oynatılıyor', { roomCode: room.code, title: next.title });
+        }
+        broadcastQueue(room);
+        return next;
+    }
+
+    // Sıraya ekle; odada oynatılan video yoksa hemen başlat
+    function addToQueue(room, ...items) {
+        for (const item of items) {
+            enqueue(room.queue, item);
+        }
+        if (!room.video) {
+            playNextInQueue(room);
+        } else {
+            broadcastQueue(room);
+        }
+    }
+
+    // 🍿 BİRLİKTE İZLEME - hazır yoklaması, geri sayım ve takılan izleyiciler için otomatik duraklatma.
+    // Durum oda nesnesindedir (lib/watchparty.js); zamanlayıcılar onu başlatan sunucuda tutulur.
+    const watchTimers = new Map(); // roomCode -> { readyCheck, countdown, bufferHold }
+
+    function setWatchTimer(room, kind, delay, callback) {
+        clearWatchTimer(room.code, kind);
+        const pending = watchTimers.get(room.code) || {};
+        pending[kind] = timers.setTimeout(() => {
+            delete pending[kind];
+            if (rooms.get(room.code) === room) callback();
+        }, delay);
+        watchTimers.set(room.code, pending);
+    }
+
+    function clearWatchTimer(roomCode, kind = null) {
+        const pending = watchTimers.get(roomCode);
+        if (!pending) return;
+        for (const key of kind ? [kind] : Object.keys(pending)) {
+            timers.clearTimeout(pending[key]);
+            delete pending[key];
+        }
+        if (Object.keys(pending).length === 0) watchTimers.delete(roomCode);
+    }
+
+    // Sunucunun başlattığı oynatma değişikliği kontrol yetkisi olanlar dahil herkese gider
+    function commandPlayback(room, playing, source) {
+        room.playbackState = applyControl(room.playbackState, { playing }, clock.now());
+        persistRoom(room);
+        notifyLobby(room.code);
+        io.to(room.code).emit('video-control', { ...roomPlaybackState(room), source });
+    }
+
+    function memberNames(room, ids) {
+        return ids.map(id => room.users.get(id)?.userName).filter(Boolean);
+    }
+
+    function readyCheckState(room) {
+        if (!room.readyCheck) return null;
+        const summary = readyCheckSummary(room.readyCheck, room.users.values());
+        return { ...summary, startedByName: room.users.get(summary.startedBy)?.userName || null, serverTime: clock.now() };
+    }
+
+    function bufferHoldState(room) {
+        if (!room.bufferHold) return null;
+        return {
+            since: room.bufferHold.since,
+            until: room.bufferHold.since + room.watchSettings.maxWait * 1000,
+            waitingFor: memberNames(room, room.bufferHold.waitingFor)
+        };
+    }
+
+    function watchState(room) {
+        return {
+            settings: room.watchSettings,
+            readyCheck: readyCheckState(room),
+            countdown: room.countdown ? { ...room.countdown, serverTime: clock.now() } : null,
+            bufferHold: bufferHoldState(room)
+        };
+    }
+
+    // reason: 'completed' | 'cancelled' | 'expired'
+    function endReadyCheck(room, reason) {
+        if (!room.readyCheck) return;
+        clearWatchTimer(room.code, 'readyCheck');
+        const result = readyCheckState(room);
+        room.readyCheck = null;
+        io.to(room.code).emit('ready-check-ended', { ...result, reason });
+        updateUserList(room.code);
+    }
+
+    // Herkes hazırsa yoklama kapanır ve geri sayım başlar
+    function completeReadyCheck(room) {
+        const check = room.readyCheck;
+        if (!check || !readyCheckSummary(check, room.users.values()).allReady) return false;
+        endReadyCheck(room, 'completed');
+        startCountdown(room, check.startedBy, check.countdown);
+        return true;
+    }
+
+    // Sayım boyunca herkes aynı konumda duraklatılmış bekler; sonunda oynatma birlikte başlar
+    function startCountdown(room, startedBy, seconds) {
+        releaseBufferHold(room, 'manual');
+        room.countdown = createCountdown(startedBy, seconds, clock.now());
+        if (room.playbackState.playing) {
+            commandPlayback(room, false, 'countdown');
+        }
+        io.to(room.code).emit('countdown-started', {
+            ...room.countdown,
+            startedByName: room.users.get(startedBy)?.userName || null,
+            serverTime: clock.now()
+        });
+        persistRoom(room);
+        setWatchTimer(room, 'countdown', room.countdown.seconds * 1000, () => {
+            room.countdown = null;
+            io.to(room.code).emit('countdown-ended', { reason: 'finished' });
+            commandPlayback(room, true, 'countdown');
+        });
+    }
+
+    // reason: 'cancelled' | 'manual' (sahip elle oynattı) | 'media-changed'
+    function cancelCountdown(room, reason) {
+        if (!room.countdown) return;
+        clearWatchTimer(room.code, 'countdown');
+        room.countdown = null;
+        io.to(room.code).emit('countdown-ended', { reason });
+        persistRoom(room);
+    }
+
+    // Takılan izleyiciler ayar eşiğini aşınca oda duraklar, yeterince izleyici toparlanınca sürer
+    function evaluateBufferHold(room) {
+        const health = viewerHealth(room.users.values());
+        const hold = shouldHoldPlayback(room.watchSettings, health);
+
+        if (room.bufferHold) {
+            if (!hold) {
+                releaseBufferHold(room, 'recovered');
+            } else if (health.waitingFor.join() !== room.bufferHold.waitingFor.join()) {
+                room.bufferHold.waitingFor = health.waitingFor;
+                io.to(room.code).emit('buffer-hold', { active: true, ...bufferHoldState(room) });
+                persistRoom(room);
+            }
+            return;
+        }
+
+        if (!hold || !room.video || !room.playbackState.playing || room.countdown) return;
+
+        room.bufferHold = { since: clock.now(), waitingFor: health.waitingFor };
+        commandPlayback(room, false, 'buffer-hold');
+        io.to(room.code).emit('buffer-hold', { active: true, ...bufferHoldState(room) });
+        setWatchTimer(room, 'bufferHold', room.watchSettings.maxWait * 1000, () => releaseBufferHold(room, 'timeout'));
+        log.info('Takılan izleyiciler için oynatma duraklatıldı', { roomCode: room.code, waitingFor: health.waitingFor.length });
+    }
+
+    // reason: 'recovered' | 'timeout' | 'manual' | 'disabled'. Elle/ayar değişikliğiyle bitince oynatma sürdürülmez.
+    function releaseBufferHold(room, reason) {
+        if (!room.bufferHold) return;
+        clearWatchTimer(room.code, 'bufferHold');
+
+        // Süre dolunca beklenenler, bir sonraki toparlanmalarına kadar hesaba katılmaz
+        if (reason === 'timeout') {
+            for (const id of room.bufferHold.waitingFor) {
+                const member = room.users.get(id);
+                if (member) member.bufferExempt = true;
+            }
+        }
+        room.bufferHold = null;
+        io.to(room.code).emit('buffer-hold', { active: false, reason });
+
+        if (reason === 'recovered' || reason === 'timeout') {
+            commandPlayback(room, true, 'buffer-hold');
+        } else {
+            persistRoom(room);
+        }
+        if (reason === 'timeout') {
+            updateUserList(room.code);
+        }
+    }
+
+    // Yeni video ya da silinen video: bekleyen sayım ve duraklatma anlamını yitirir
+    function resetWatchPlayback(room) {
+        cancelCountdown(room, 'media-changed');
+        releaseBufferHold(room, 'manual');
+        for (const member of room.users.values()) {
+            member.playerState = 'ok';
+            delete member.bufferExempt;
+        }
+    }
+
+    // Üye gelince/gidince yoklama özeti ve takılan izleyici oranı yeniden hesaplanır
+    function refreshWatchParty(room) {
+        evaluateBufferHold(room);
+        if (room.readyCheck && !completeReadyCheck(room)) {
+            io.to(room.code).emit('ready-check-updated', readyCheckState(room));
+        }
+    }
+
+    // 📍 ZAMAN ÇİZELGESİ - yorum ya da tepkinin bağlandığı video ve konum.
+    // İstemcinin bildirdiği konum (kendi oynatıcısı) yoksa odanın beklenen konumu kullanılır.
+    function videoAnchor(room, videoTime) {
+        const mediaKey = timelineKey(room.video);
+        if (!mediaKey) return null;
+
+        const position = Number.isFinite(videoTime) ? videoTime : expectedPosition(room.playbackState, clock.now());
+        return {
+            mediaKey,
+            itemId: room.video.itemId,
+            title: room.video.title,
+            position: Math.max(0, Math.round(position * 10) / 10)
+        };
+    }
+
+    // 🔁 OTURUM DEVAMI
+    // Kullanıcının odadaki kimliği sunucunun verdiği sessionId'dir; socket id her bağlantıda değişir.
+    // Yeniden bağlanan istemci sessionId + resumeToken + deviceId ile yerini geri alır.
+    function generateResumeToken() {
+        return crypto.randomBytes(24).toString('hex');
+    }
+
+    function canResume(user, deviceId, resumeToken) {
+        if (!user || !resumeToken || typeof resumeToken !== 'string') return false;
+        if (user.deviceId && user.deviceId !== deviceId) return false;
+
+        const expected = Buffer.from(user.resumeToken);
+        const given = Buffer.from(resumeToken);
+        return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    }
+
+    function persistRoom(room) {
+        storage.saveRoom(roomToRecord(room, clock.now()));
+        shared?.syncRoom(room);
+    }
+
+    // 🗒️ Oturum günlüğü - dışa aktarımda katılma/ayrılma, videolar ve aramalar buradan okunur
+    function logSessionEvent(room, type, fields) {
+        storage.appendEvent(room.code, createSessionEvent(type, fields, clock.now()));
+    }
+
+    // Oda ve ona ait her şey (kayıt, yüklenen videolar, ekler) silinir
+    function deleteRoom(roomCode) {
+        clearWatchTimer(roomCode);
+        shared?.dropRoom(roomCode);
+        rooms.delete(roomCode);
+        storage.deleteRoom(roomCode);
+        notifyLobby(roomCode);
+        uploadManager.removeRoomUploads(roomCode);
+        attachments.removeRoom(roomCode);
+    }
+
+    // Oda boşsa saklama politikasındaki süre sonunda temizle
+    const cleanupTimers = new Map(); // roomCode -> zamanlayıcı
+
+    function scheduleRoomCleanup(roomCode) {
+        if (cleanupTimers.has(roomCode)) return;
+
+        cleanupTimers.set(roomCode, timers.setTimeout(() => {
+            cleanupTimers.delete(roomCode);
+            if (rooms.get(roomCode)?.users.size === 0) {
+                deleteRoom(roomCode);
+                log.info('Boş oda silindi', { roomCode });
+            }
+        }, retentionPolicy.emptyRoomTtl));
+    }
+
+    // Odaya biri girince bekleyen silme iptal edilir; oda tekrar boşalırsa süre baştan başlar
+    function cancelRoomCleanup(roomCode) {
+        timers.clearTimeout(cleanupTimers.get(roomCode));
+        cleanupTimers.delete(roomCode);
+    }
+
+    // Dolu odayı hemen kapat (yönetici). Üyelerin bağlantısı açık kalır, giriş ekranına dönerler.
+    function closeRoom(room, reason) {
+        io.to(room.code).emit('room-closed', { reason: reason || null });
+        io.in(room.code).socketsLeave(room.code);
+
+        for (const user of room.users.values()) {
+            timers.clearTimeout(reconnectTimers.get(user.id));
+            reconnectTimers.delete(user.id);
+            users.delete(user.socketId);
+        }
+        room.users.clear();
+        room.call = null;
+        deleteRoom(room.code);
+    }
+
+    // Ağ kopması: kullanıcının yeri bekleme süresi boyunca korunur
+    function holdSeat(room, user) {
+        user.connected = false;
+        timers.clearTimeout(reconnectTimers.get(user.id));
+        reconnectTimers.set(user.id, timers.setTimeout(() => {
+            reconnectTimers.delete(user.id);
+            // Bu arada başka bir sunucuya yeniden bağlanmış olabilir
+            if (user.connected) return;
+            removeUserFromRoom(room, user);
+            log.info('Yeniden bağlanma süresi doldu', { roomCode: room.code, sessionId: user.id });
+        }, RECONNECT_GRACE));
+    }
+
+    // Sahip gerçekten ayrıldığında sahiplik en uzun süredir odada olan (bağlı) üyeye geçer
+    function transferOwnership(room, previousOwner) {
+        const candidates = Array.from(room.users.values())
+            .sort((a, b) => (b.connected - a.connected) || (a.joinedAt - b.joinedAt));
+        const newOwner = candidates[0];
+        if (!newOwner) return;
+
+        newOwner.role = ROLES.OWNER;
+        room.owner = newOwner.id;
+
+        io.to(newOwner.socketId).emit('role-changed', {
+            role: newOwner.role,
+            permissions: permissionsFor(newOwner.role),
+            by: null
+        });
+        io.to(room.code).emit('owner-changed', {
+            ownerId: newOwner.id,
+            ownerName: newOwner.userName,
+            previousOwnerName: previousOwner.userName
+        });
+
+        log.info('Sahiplik devredildi', { roomCode: room.code, from: previousOwner.id, to: newOwner.id });
+    }
+
+    function broadcastCall(room) {
+        shared?.syncRoom(room);
+        io.to(room.code).emit('call-state', serializeCall(room.call, room.users));
+    }
+
+    // Kullanıcıyı aramadan çıkar; son katılımcı da ayrılırsa arama biter
+    function endUserCall(room, user) {
+        user.call = null;
+        if (!room.call || !leaveCall(room.call, user.id)) return;
+
+        if (room.call.participants.size === 0) {
+            log.info('Arama bitti', { roomCode: room.code });
+            logSessionEvent(room, 'call-ended', {
+                callId: room.call.id,
+                callType: room.call.type,
+                startedAt: room.call.startedAt,
+                duration: Math.round((clock.now() - room.call.startedAt) / 1000)
+            });
+            room.call = null;
+            io.to(room.code).emit('call-ended', { endedBy: user.userName });
+        }
+        broadcastCall(room);
+        refreshPresence(room);
+    }
+
+    // Kullanıcıyı odadan tamamen çıkar (ayrılma, atılma veya bekleme süresinin dolması)
+    function removeUserFromRoom(room, user) {
+        timers.clearTimeout(reconnectTimers.get(user.id));
+        reconnectTimers.delete(user.id);
+
+        if (room.users.get(user.id) !== user) return;
+
+        room.users.delete(user.id);
+        removeVoter(room.queue, user.id);
+        endUserCall(room, user);
+
+        io.to(room.code).emit('user-left', {
+            userName: user.userName
+        });
+        logSessionEvent(room, 'leave', { userId: user.id, userName: user.userName });
+
+        if (user.role === ROLES.OWNER) {
+            transferOwnership(room, user);
+        }
+
+        refreshWatchParty(room);
+        updateUserList(room.code);
+        broadcastQueue(room);
+
+        if (room.users.size === 0) {
+            scheduleRoomCleanup(room.code);
+        }
+    }
+
+    // Atılan üyenin soketi hangi sunucudaysa orada kapatılır; kopma işleyicisi onu odadan siler
+    function expelMember(room, target, notice) {
+        if (target.connected) {
+            io.to(target.socketId).emit('kicked', notice);
+            io.in(target.socketId).disconnectSockets(true);
+        } else {
+            removeUserFromRoom(room, target);
+        }
+    }
+
+    // ✉️ Özel mesaj durumu: karşı tarafın teslim/okundu imleçleri (mesaj bazında değil)
+    function directStatus(peer, conversationId) {
+        return {
+            conversationId,
+            deliveredUpTo: peer.directDelivered?.[conversationId] || null,
+            readUpTo: peer.directReads?.[conversationId] || null
+        };
+    }
+
+    function advanceCursor(cursors, conversationId, messageId) {
+        if (!messageId || messageId <= (cursors[conversationId] || '')) return false;
+        cursors[conversationId] = messageId;
+        return true;
+    }
+
+    // Alıcı için imleç ilerlediyse gönderene bildir
+    function notifyDirectStatus(room, recipient, sender, conversationId) {
+        persistRoom(room);
+        if (sender?.connected) {
+            io.to(sender.socketId).emit('direct-message-status', directStatus(recipient, conversationId));
+        }
+    }
+
+    function markDirectDelivered(room, recipient, sender, conversationId, messageId) {
+        recipient.directDelivered ||= {};
+        if (advanceCursor(recipient.directDelivered, conversationId, messageId)) {
+            notifyDirectStatus(room, recipient, sender, conversationId);
+        }
+    }
+
+    // Susturma ve yasaklar cihaz kimliğine bağlıdır; cihaz kimliği yoksa oturum id kullanılır
+    function moderationKey(user) {
+        return user.deviceId || user.id;
+    }
+
+    function isMuted(room, user) {
+        const until = room.mutes.get(moderationKey(user));
+        if (until === undefined) return false;
+        if (until !== null && until <= clock.now()) {
+            room.mutes.delete(moderationKey(user));
+            return false;
+        }
+        return true;
+    }
+
+    // Üyenin soketi bu sunucuda mı? Kümede her üyeyle bağlı olduğu sunucu ilgilenir.
+    function isLocalMember(user) {
+        return !clustered || user.node === NODE_ID;
+    }
+
+    // Başka sunucudaki üyenin durumunu o sunucu hesaplar ve paylaşılan kayda yazar
+    function presenceOf(user, now = clock.now()) {
+        if (!isLocalMember(user)) {
+            return user.presence ?? resolvePresence(user, user.connected ? now : null, now);
+        }
+        return resolvePresence(user, connectionWatchdog.get(user.socketId), now);
+    }
+
+    // Durumu değişen kullanıcı varsa listeyi yeniden yayınla
+    function refreshPresence(room) {
+        const now = clock.now();
+        for (const user of room.users.values()) {
+            if (isLocalMember(user) && user.presence !== presenceOf(user, now)) {
+                updateUserList(room.code);
+                return;
+            }
+        }
+    }
+
+    function updateUserList(roomCode) {
+        const room = rooms.get(roomCode);
+        if (!room) return;
+
+        const now = clock.now();
+        const userList = Array.from(room.users.values()).map(user => {
+            user.presence = presenceOf(user, now);
+            return {
+                id: user.id,
+                userName: user.userName,
+                userPhoto: user.userPhoto,
+                userColor: user.userColor,
+                role: user.role,
+                isOwner: user.role === ROLES.OWNER,
+                isMuted: isMuted(room, user),
+                connected: user.connected,
+                presence: user.presence,
+                isTyping: (user.typingUntil || 0) > now,
+                lastReadMessageId: user.lastReadMessageId || null,
+                readyState: readyStateOf(room.readyCheck, user.id),
+                playerState: user.connected ? (user.playerState || 'ok') : null,
+                country: user.country
+            };
+        });
+
+        io.to(roomCode).emit('user-list-update', userList);
+        persistRoom(room);
+        notifyLobby(roomCode);
+    }
+
+    // 🌐 KÜME DURUMU - diğer sunuculardaki değişiklikler yerel kopyaya uygulanır.
+    // Yayınları değişikliği yapan sunucu zaten gönderdi; burada sadece yerel yan etkiler var.
+    const shared = clustered ? createSharedRooms({ bus, rooms, onRemoteChange: handleRemoteChange }) : null;
+
+    function handleRemoteChange({ type, room, user }) {
+        switch (type) {
+            case 'room':
+                for (const media of [room.video, ...room.queue.items, ...room.queue.proposals]) {
+                    if (media?.type === 'file') {
+                        uploadManager.restoreUpload({ roomCode: room.code, ...media });
+                    }
+                }
+                break;
+            case 'room-removed':
+                nodeStorage.deleteRoom(room.code);
+                for (const member of room.users.values()) {
+                    timers.clearTimeout(reconnectTimers.get(member.id));
+                    reconnectTimers.delete(member.id);
+                    if (users.get(member.socketId)?.sessionId === member.id) users.delete(member.socketId);
+                }
+                break;
+            case 'member':
+                // Diğer sunucuda katılan üye bu sunucudaki bekleyen silmeyi de iptal eder
+                cancelRoomCleanup(room.code);
+                break;
+            case 'member-removed':
+                timers.clearTimeout(reconnectTimers.get(user.id));
+                reconnectTimers.delete(user.id);
+                if (users.get(user.socketId)?.sessionId === user.id) users.delete(user.socketId);
+                break;
+        }
+        notifyLobby(room.code);
+    }
+
+    // Kapanan/çöken sunucunun üyeleri ve boş odaları sahipsiz kalır: yaşayan sunucuların
+    // kimliği en küçük olanı onları devralır (üyelerin yeri bekleme süresi boyunca tutulur).
+    function adoptOrphans() {
+        const alive = bus.nodes();
+        if ([...alive].sort()[0] !== NODE_ID) return;
+
+        for (const room of rooms.values()) {
+            for (const user of room.users.values()) {
+                if (user.node && !alive.includes(user.node)) {
+                    log.warn('Sahipsiz üye devralındı', { roomCode: room.code, sessionId: user.id, node: user.node });
+                    user.node = NODE_ID;
+                    holdSeat(room, user);
+                    updateUserList(room.code);
+                }
+            }
+            if (room.users.size === 0) {
+                scheduleRoomCleanup(room.code);
+            }
+        }
+    }
+
+    if (clustered) {
+        bus.onNodes((nodes) => {
+            log.info('Küme üyeleri değişti', { nodes });
+            adoptOrphans();
+        });
+    }
+
+    // WebRTC ICE Server Konfigürasyonu (STUN/TURN env'den, TURN şifreleri kullanıcı başına ve süreli)
+    const rtcConfig = createRtcConfig(env);
+
+    // 📊 ÖLÇÜMLER - GET /metrics (Prometheus). METRICS_TOKEN verilirse Bearer anahtarı istenir.
+    const METRICS_TOKEN = env.METRICS_TOKEN || null;
+    const metrics = createMetrics({ prefix: 'watchparty_' });
+    const messageRate = createRateMeter({ windowSeconds: 60 });
+
+    const messagesSent = metrics.counter('messages_total', 'Gönderilen sohbet mesajları');
+    const uploadBytes = metrics.counter('upload_bytes_total', 'Yüklenen bayt (video parçaları ve sohbet ekleri)');
+    const handlerErrors = metrics.counter('event_handler_errors_total', 'Soket olay işleyicilerinde beklenmeyen hatalar');
+    const searchRequests = metrics.counter('search_requests_total', 'Video aramaları (sonuca göre: hit, miss, limited, error)');
+
+    metrics.gauge('rooms', 'Bellekteki oda sayısı', () => rooms.size);
+    metrics.gauge('room_members', 'Odalardaki üyeler (bağlantısı kopup yeri tutulanlar dahil)', () => {
+        const counts = { connected: 0, reconnecting: 0 };
+        for (const room of rooms.values()) {
+            for (const user of room.users.values()) {
+                counts[user.connected === false ? 'reconnecting' : 'connected']++;
+            }
+        }
+        return Object.entries(counts).map(([state, value]) => ({ labels: { state }, value }));
+    });
+    metrics.gauge('sockets', 'Açık Socket.IO bağlantıları', () => [
+        { labels: { namespace: '/' }, value: io.of('/').sockets.size },
+        { labels: { namespace: '/lobby' }, value: lobby.sockets.size }
+    ]);
+    metrics.gauge('messages_per_second', 'Son 60 saniyedeki saniye başına mesaj', () => messageRate.rate(clock.now()));
+    metrics.gauge('active_calls', 'Devam eden sesli/görüntülü aramalar', () => {
+        let calls = 0;
+        for (const room of rooms.values()) {
+            if (room.call) calls++;
+        }
+        return calls;
+    });
+    metrics.gauge('call_participants', 'Aramalardaki toplam katılımcı', () => {
+        let participants = 0;
+        for (const room of rooms.values()) {
+            participants += room.call?.participants.size || 0;
+        }
+        return participants;
+    });
+    metrics.gauge('process_memory_bytes', 'Süreç bellek kullanımı', () =>
+        Object.entries(process.memoryUsage()).map(([type, value]) => ({ labels: { type }, value }))
+    );
+    metrics.gauge('process_uptime_seconds', 'Sürecin çalışma süresi', () => Math.round(process.uptime()));
+    metrics.gauge('cluster_nodes', 'Kümedeki canlı sunucular (küme yoksa 1)', () => bus.nodes().length);
+
+    function countMessage(channel) {
+        messagesSent.inc({ channel });
+        messageRate.mark(1, clock.now());
+    }
+
+    // 📝 İstek kimliği: gelen X-Request-Id korunur (proxy zinciri), yoksa üretilir ve yanıta eklenir
+    app.use((req, res, next) => {
+        const incoming = req.get('X-Request-Id');
+        req.id = incoming && /^[\w.-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+        req.log = log.child({ requestId: req.id });
+        res.set('X-Request-Id', req.id);
+
+        // Alt yönlendiriciler req.path'i değiştirdiği için yol baştan alınır
+        const requestPath = req.path;
+        const startedAt = process.hrtime.bigint();
+        res.on('finish', () => {
+            // Statik dosyalar, ölçüm toplama ve sağlık kontrolleri başarılıysa günlüğü doldurmasın
+            const quiet = res.statusCode < 400 && (!requestPath.startsWith('/api/') || requestPath === '/api/health');
+            req.log[quiet ? 'debug' : 'info']('HTTP isteği', {
+                method: req.method,
+                path: requestPath,
+                status: res.statusCode,
+                durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6
+            });
+        });
+        next();
+    });
+
+    // Middleware - BÜYÜK DOSYA DESTEĞİ
+    app.use(express.json({ limit: '100mb' }));
+    app.use(express.urlencoded({ extended: true, limit: '100mb' }));
+    // Yüklenen videolar sadece oda bazlı video adresinden sunulur
+    app.use('/uploads', (req, res) => res.status(404).end());
+    app.use(express.static(path.join(__dirname, 'public')));
+
+    // Socket.io connection handling
+    io.on('connection', (socket) => {
+        const connectionLog = log.child({ socketId: socket.id });
+        connectionLog.info('Yeni bağlantı', { ip: socketAddress(socket) });
+        connectionWatchdog.set(socket.id, clock.now());
+        if (shutdownState) {
+            socket.emit('server-restarting', restartNotice());
+        }
+
+        let currentUser = null;
+        let currentRoomCode = null;
+
+        // Odaya girildikten sonra satırlara oda ve oturum kimliği de eklenir
+        const socketLog = () => connectionLog.child({ roomCode: currentRoomCode || undefined, sessionId: currentUser?.id });
+
+        function handlerFailed(event, error) {
+            handlerErrors.inc({ event });
+            socketLog().error('Olay işleyicisi hatası', { event, error });
+        }
+
+        // Kapanış başladıysa yeni oda ve katılım kabul edilmez; istemci sunucu dönünce yeniden dener
+        function rejectWhileShuttingDown() {
+            if (!shutdownState) return false;
+            socket.emit('error', {
+                code: ERROR_CODES.SERVER_RESTARTING,
+                message: 'Sunucu yeniden başlatılıyor, biraz sonra otomatik olarak tekrar denenecek',
+                expectedBackAt: shutdownState.expectedBackAt
+            });
+            return true;
+        }
+
+        // Kümede işleyicinin odada yaptığı değişiklikler diğer sunuculara yazılır (sadece farklar gider)
+        function syncCurrentRoom() {
+            const room = currentRoomCode && rooms.get(currentRoomCode);
+            if (room) shared?.syncRoom(room);
+        }
+
+        // İşleyicide fırlayan hata süreci düşürmez: günlüğe yazılır, sayılır ve istemciye kodlu hata döner
+        const on = socket.on.bind(socket);
+        socket.on = (event, handler) => on(event, (...args) => {
+            const fail = (error) => {
+                handlerFailed(event, error);
+                if (socket.connected) {
+                    socket.emit('error', { code: ERROR_CODES.INTERNAL_ERROR, event, message: 'İşlem tamamlanamadı' });
+                }
+            };
+
+            try {
+                const result = handler(...args);
+                if (result instanceof Promise) {
+                    result.then(syncCurrentRoom, fail);
+                } else {
+                    syncCurrentRoom();
+                }
+            } catch (error) {
+                fail(error);
+            }
+        });
+
+        // Bağlantı sağlık kontrolü
+        const healthInterval = timers.setInterval(() => {
+            if (socket.connected) {
+                socket.emit('connection-health-check');
+            } else {
+                timers.clearInterval(healthInterval);
+            }
+        }, 15000);
+
+        socket.on('connection-health-response', () => {
+            connectionWatchdog.set(socket.id, clock.now());
+        });
+
+        // Her olay önce hız sınırından ve yük şemasından geçer (lib/events.js)
+        socket.use(createEventGuard(socket, { now: clock.now }));
+
+        // Kullanıcının başlattığı her olay etkinlik sayılır (otomatik sinyaller hariç)
+        const PASSIVE_EVENTS = ['client-heartbeat', 'connection-health-response', 'playback-query'];
+        socket.use(([event], next) => {
+            if (currentUser && !PASSIVE_EVENTS.includes(event)) {
+                currentUser.lastActiveAt = clock.now();
+            }
+            next();
+        });
+
+        // clientTime geri gönderilir; istemci gidiş-dönüş süresinden saat farkını hesaplar
+        socket.on('client-heartbeat', (data) => {
+            connectionWatchdog.set(socket.id, clock.now());
+            if (currentUser) {
+                recordHeartbeat(currentUser, data, clock.now());
+            }
+            socket.emit('server-heartbeat', {
+                timestamp: clock.now(),
+                clientTime: data?.clientTime
+            });
+        });
+
+        // 🛡️ Yetki kontrolü - tüm olaylar bu fonksiyonla denetlenir, yetki varsa oda döner
+        function authorize(permission) {
+            if (!currentRoomCode || !currentUser) {
+                socket.emit('error', { code: ERROR_CODES.NOT_IN_ROOM, message: 'Önce bir odaya katılmalısınız' });
+                return null;
+            }
+
+            const room = rooms.get(currentRoomCode);
+            if (!room) return null;
+
+            if (!can(currentUser.role, permission)) {
+                socket.emit('error', {
+                    code: ERROR_CODES.FORBIDDEN,
+                    permission: permission,
+                    message: 'Bu işlem için yetkiniz yok'
+                });
+                return null;
+            }
+
+            return room;
+        }
+
+        // Moderasyon olaylarında hedef kullanıcıyı bul; sadece daha düşük rütbedekiler hedef alınabilir
+        function findModerationTarget(room, userId) {
+            const target = room.users.get(userId);
+            if (!target || target === currentUser) return null;
+
+            if (!outranks(currentUser.role, target.role)) {
+                socket.emit('error', { code: ERROR_CODES.FORBIDDEN, message: 'Bu kullanıcı üzerinde yetkiniz yok' });
+                return null;
+            }
+
+            return target;
+        }
+
+        // 🎯 ODA OLUŞTURMA
+        socket.on('create-room', (data) => {
+            if (rejectWhileShuttingDown()) return;
+            try {
+                const { userName, userPhoto, deviceId, roomName, password } = data;
+                const listing = normalizeListing(data);
+
+                // Validasyon
+                if (!userName || !roomName) {
+                    socket.emit('error', { code: ERROR_CODES.INVALID_PAYLOAD, message: 'Kullanıcı adı ve oda adı gereklidir!' });
+                    return;
+                }
+
+                // Benzersiz oda kodu oluştur
+                let roomCode;
+                do {
+                    roomCode = generateRoomCode();
+                } while (rooms.has(roomCode));
+
+                const sessionId = crypto.randomUUID();
+
+                // Oda oluştur
+                const room = {
+                    code: roomCode,
+                    name: roomName,
+                    password: password ? hashPassword(password) : null,
+                    owner: sessionId,
+                    visibility: listing.visibility, // 'public' odalar lobide listelenir
+                    category: listing.category,
+                    tags: listing.tags,
+                    maxMembers: listing.maxMembers, // null = sınırsız
+                    users: new Map(),
+                    video: null,
+                    playbackState: createPlaybackClock(clock.now()),
+                    queue: createQueue(),
+                    bans: new Set(),      // Yasaklı cihaz kimlikleri
+                    mutes: new Map(),     // moderationKey -> bitiş zamanı (null = süresiz)
+                    call: null,           // Aktif grup araması
+                    watchSettings: { ...DEFAULT_WATCH_SETTINGS },
+                    readyCheck: null,     // Hazır yoklaması
+                    countdown: null,      // Oynatma öncesi geri sayım
+                    bufferHold: null,     // Takılan izleyiciler için otomatik duraklatma
+                    messages: [],
+                    createdAt: new Date(clock.now())
+                };
+
+                // Kullanıcı oluştur
+                currentUser = {
+                    id: sessionId,
+                    socketId: socket.id,
+                    resumeToken: generateResumeToken(),
+                    userName: userName,
+                    userPhoto: userPhoto || generateDefaultAvatar(userName),
+                    userColor: generateUserColor(userName),
+                    deviceId: deviceId,
+                    role: ROLES.OWNER,
+                    connected: true,
+                    node: NODE_ID,
+                    joinedAt: clock.now(),
+                    lastActiveAt: clock.now(),
+                    lastReadMessageId: null,
+                    directReads: {},
+                    directDelivered: {},
+                    call: null,
+                    country: 'Türkiye'
+                };
+
+                // Belleğe kaydet
+                room.users.set(sessionId, currentUser);
+                rooms.set(roomCode, room);
+                users.set(socket.id, { roomCode, sessionId });
+                socket.data.membership = users.get(socket.id);
+                persistRoom(room);
+                notifyLobby(roomCode);
+
+                currentRoomCode = roomCode;
+                socket.join(roomCode);
+
+                // Paylaşım linki oluştur
+                const shareableLink = `${env.NODE_ENV === 'production' ? 'https://your-app.onrender.com' : 'http://localhost:10000'}?room=${roomCode}`;
+
+                // BAŞARILI CEVAP
+                socket.emit('room-created', {
+                    roomCode: roomCode,
+                    roomName: roomName,
+                    isOwner: true,
+                    role: currentUser.role,
+                    permissions: permissionsFor(currentUser.role),
+                    sessionId: currentUser.id,
+                    resumeToken: currentUser.resumeToken,
+                    mediaToken: mediaTokens.sign(roomCode, currentUser.id),
+                    shareableLink: shareableLink,
+                    userColor: currentUser.userColor,
+                    rtcConfig: rtcConfig.forUser(currentUser.id, clock.now())
+                });
+
+                logSessionEvent(room, 'join', { userId: currentUser.id, userName: currentUser.userName });
+                socketLog().info('Oda oluşturuldu', { visibility: listing.visibility });
+
+            } catch (error) {
+                handlerFailed('create-room', error);
+                socket.emit('error', { code: ERROR_CODES.INTERNAL_ERROR, message: 'Oda oluşturulamadı!' });
+            }
+        });
+
+        // 🔑 ODAYA KATILMA
+        socket.on('join-room', (data) => {
+            if (rejectWhileShuttingDown()) return;
+            try {
+                const { roomCode, userName, userPhoto, deviceId, password, sessionId, resumeToken, inviteToken } = data;
+                const ip = socketAddress(socket);
+
+                const lockedFor = joinLockedFor(ip, deviceId);
+                if (lockedFor > 0) {
+                    socket.emit('error', rateLimitedError(lockedFor));
+                    return;
+                }
+
+                const room = rooms.get(String(roomCode || '').toUpperCase());
+
+                if (!room) {
+                    recordJoinFailure(ip, deviceId);
+                    socket.emit('error', { code: ERROR_CODES.ROOM_NOT_FOUND, message: 'Oda bulunamadı!' });
+                    return;
+                }
+
+                // Yeniden bağlanma: geçerli oturum varsa şifre sorulmadan eski yerine döner
+                const previousUser = sessionId ? room.users.get(sessionId) : null;
+                const resumed = canResume(previousUser, deviceId, resumeToken);
+
+                if (!resumed) {
+                    // Şifre kontrolü (geçerli davet bağlantısı şifreyi atlar)
+                    const invited = inviteSigner.verify(inviteToken, room.code, clock.now());
+                    if (room.password && !invited && !verifyPassword(password, room.password)) {
+                        recordJoinFailure(ip, deviceId);
+                        socket.emit('error', { code: ERROR_CODES.WRONG_PASSWORD, message: 'Şifre yanlış!' });
+                        return;
+                    }
+                    joinLimiter.ip.reset(ip);
+                    if (deviceId) {
+                        joinLimiter.device.reset(deviceId);
+                    }
+
+                    // Yasak kontrolü
+                    if (deviceId && room.bans.has(deviceId)) {
+                        socket.emit('error', { code: ERROR_CODES.BANNED, message: 'Bu odadan yasaklandınız!' });
+                        return;
+                    }
+
+                    // Üye sınırı (bekleme süresindeki kullanıcılar da yer tutar)
+                    if (isRoomFull(room)) {
+                        socket.emit('error', { code: ERROR_CODES.ROOM_FULL, message: 'Oda dolu!' });
+                        return;
+                    }
+                }
+
+                if (resumed) {
+                    timers.clearTimeout(reconnectTimers.get(previousUser.id));
+                    reconnectTimers.delete(previousUser.id);
+
+                    // Eski bağlantı hâlâ açıksa (bu veya başka bir sunucuda) kapat; kullanıcı yeni sokete taşındı.
+                    // Yeni socket id önce paylaşılır ki eski sunucu kopmayı odadan ayrılma sanmasın.
+                    const oldSocketId = previousUser.socketId;
+                    previousUser.socketId = socket.id;
+                    previousUser.node = NODE_ID;
+                    previousUser.connected = true;
+                    previousUser.hidden = false;
+                    previousUser.lastActiveAt = clock.now();
+                    users.delete(oldSocketId);
+                    persistRoom(room);
+                    if (oldSocketId) {
+                        io.in(oldSocketId).disconnectSockets(true);
+                    }
+
+                    currentUser = previousUser;
+                } else {
+                    // Kullanıcı oluştur
+                    currentUser = {
+                        id: crypto.randomUUID(),
+                        socketId: socket.id,
+                        resumeToken: generateResumeToken(),
+                        userName: userName,
+                        userPhoto: userPhoto || generateDefaultAvatar(userName),
+                        userColor: generateUserColor(userName),
+                        deviceId: deviceId,
+                        role: ROLES.MEMBER,
+                        connected: true,
+                        node: NODE_ID,
+                        joinedAt: clock.now(),
+                        lastActiveAt: clock.now(),
+                        lastReadMessageId: null,
+                        directReads: {},
+                        directDelivered: {},
+                        call: null,
+                        country: 'Türkiye'
+                    };
+                    room.users.set(currentUser.id, currentUser);
+                }
+
+                cancelRoomCleanup(room.code);
+
+                // Belleğe kaydet
+                users.set(socket.id, { roomCode: room.code, sessionId: currentUser.id });
+                socket.data.membership = users.get(socket.id);
+                currentRoomCode = room.code;
+                socket.join(room.code);
+
+                // Geçmiş mesajları getir
+                const history = storage.getMessages(room.code, { limit: DEFAULT_PAGE_SIZE });
+
+                // Başarılı cevap
+                socket.emit('room-joined', {
+                    roomCode: room.code,
+                    roomName: room.name,
+                    isOwner: currentUser.role === ROLES.OWNER,
+                    role: currentUser.role,
+                    permissions: permissionsFor(currentUser.role),
+                    sessionId: currentUser.id,
+                    resumeToken: currentUser.resumeToken,
+                    mediaToken: mediaTokens.sign(room.code, currentUser.id),
+                    resumed: resumed,
+                    callState: currentUser.call,
+                    call: serializeCall(room.call, room.users),
+                    userColor: currentUser.userColor,
+                    previousMessages: history.messages,
+                    hasMoreMessages: history.hasMore,
+                    activeVideo: room.video,
+                    playbackState: roomPlaybackState(room),
+                    queue: serializeQueue(room.queue),
+                    watch: watchState(room),
+                    rtcConfig: rtcConfig.forUser(currentUser.id, clock.now())
+                });
+
+                // Diğer kullanıcılara bildir (yeniden bağlananlar için bildirim yapılmaz)
+                if (!resumed) {
+                    logSessionEvent(room, 'join', { userId: currentUser.id, userName: currentUser.userName });
+                    socket.to(room.code).emit('user-joined', {
+                        userName: currentUser.userName
+                    });
+                }
+
+                // Kullanıcı listesini güncelle
+                refreshWatchParty(room);
+                updateUserList(room.code);
+
+                socketLog().info(resumed ? 'Kullanıcı yeniden bağlandı' : 'Kullanıcı katıldı');
+
+            } catch (error) {
+                handlerFailed('join-room', error);
+                socket.emit('error', { code: ERROR_CODES.INTERNAL_ERROR, message: 'Odaya katılamadı!' });
+            }
+        });
+
+        // ✉️ DAVET BAĞLANTISI - imzalı ve süreli, şifre sorulmadan katılım sağlar
+        socket.on('create-invite', (data = {}) => {
+            const room = authorize('room:invite');
+            if (!room) return;
+
+            const requested = parseInt(data.ttl, 10);
+            const ttl = Number.isInteger(requested) && requested > 0 ? Math.min(requested, INVITE_MAX_TTL) : INVITE_DEFAULT_TTL;
+            const invite = inviteSigner.sign(room.code, ttl, clock.now());
+
+            socket.emit('invite-created', {
+                roomCode: room.code,
+                token: invite.token,
+                expiresAt: invite.expiresAt
+            });
+        });
+
+        // 🚪 ODADAN AYRILMA (bekleme süresi uygulanmaz)
+        socket.on('leave-room', () => {
+            if (!currentRoomCode || !currentUser) return;
+
+            const room = rooms.get(currentRoomCode);
+            setTyping(false);
+            socket.leave(currentRoomCode);
+            if (room) {
+                removeUserFromRoom(room, currentUser);
+            }
+
+            users.delete(socket.id);
+            socket.data.membership = null;
+            currentUser = null;
+            currentRoomCode = null;
+        });
+
+        // 🎬 VIDEO YÜKLEME (parçalı, devam ettirilebilir)
+        socket.on('upload-init', (data) => {
+            try {
+                if (!authorize('video:share')) return;
+
+                const { uploadId, fileName, fileSize, mimeType, enqueue: addToEnd } = data || {};
+                let session = uploadId ? uploadManager.getSession(uploadId) : null;
+
+                if (session && session.roomCode === currentRoomCode && session.ownerId === currentUser.id && !session.completed) {
+                    // Yarım kalan yüklemeye devam et
+                    session.socketId = socket.id;
+                    socketLog().info('Video yüklemesine devam ediliyor', { uploadId: session.uploadId, uploadedBytes: session.uploadedBytes, fileSize: session.fileSize });
+                } else {
+                    session = uploadManager.createSession({
+                        roomCode: currentRoomCode,
+                        socketId: socket.id,
+                        ownerId: currentUser.id,
+                        fileName,
+                        fileSize,
+                        mimeType,
+                        uploadedBy: currentUser.userName
+                    });
+                    // Yükleme bitince mevcut videonun yerine geçmek yerine sıraya eklenir
+                    session.enqueue = Boolean(addToEnd);
+                    socketLog().info('Video yükleniyor', { uploadId: session.uploadId, fileSize: session.fileSize });
+                }
+
+                socket.emit('upload-ready', {
+                    ...uploadManager.describe(session),
+                    uploadUrl: `/api/upload/${session.uploadId}`
+                });
+
+            } catch (error) {
+                if (error instanceof UploadError) {
+                    socketLog().warn('Video yüklemesi reddedildi', { reason: error.message });
+                } else {
+                    handlerFailed('upload-init', error);
+                }
+                socket.emit('upload-progress', { status: 'error', progress: 0 });
+                socket.emit('error', {
+                    code: error instanceof UploadError ? ERROR_CODES.UPLOAD_FAILED : ERROR_CODES.INTERNAL_ERROR,
+                    message: error instanceof UploadError ? error.message : 'Video yüklenemedi!'
+                });
+            }
+        });
+
+        // Medya çözümlenemezse kullanıcıya nedeni söylenir; beklenmeyen hatalar günlüğe yazılır
+        function mediaFailed(event, error, fallbackMessage) {
+            if (error instanceof MediaError) {
+                socket.emit('error', { code: ERROR_CODES.INVALID_MEDIA, message: error.message });
+                return;
+            }
+            handlerFailed(event, error);
+            socket.emit('error', { code: ERROR_CODES.INTERNAL_ERROR, message: fallbackMessage });
+        }
+
+        // 📺 MEDYA PAYLAŞMA (YouTube, Vimeo, MP4/WebM, HLS). Oynatma listesinde ilk video oynar, kalanlar sıraya girer.
+        socket.on('share-media', async (data) => {
+            const room = authorize('video:share');
+            if (!room) return;
+
+            try {
+                const [first, ...rest] = await resolveSharedMedia(data.url, data.title);
+                // Çözümleme sürerken oda kapanmış olabilir
+                if (rooms.get(room.code) !== room) return;
+
+                playMedia(room, createQueueItem(first, currentUser.userName, clock.now()));
+                let queued = 0;
+                for (const media of rest) {
+                    if (isQueueFull(room.queue)) break;
+                    enqueue(room.queue, createQueueItem(media, currentUser.userName, clock.now()));
+                    queued++;
+                }
+                if (queued > 0) {
+                    broadcastQueue(room);
+                }
+
+                socketLog().info('Medya paylaşıldı', { provider: first.type, videoId: first.videoId, queued });
+
+            } catch (error) {
+                mediaFailed('share-media', error, 'Video paylaşılamadı!');
+            }
+        });
+
+        // 🎮 VIDEO KONTROLÜ
+        socket.on('video-control', (controlData) => {
+            const room = authorize('video:control');
+            if (!room) return;
+
+            // Elle oynatma bekleyen geri sayımı ve takılanlar için duraklatmayı sonlandırır
+            if (controlData.playing === true) {
+                cancelCountdown(room, 'manual');
+                releaseBufferHold(room, 'manual');
+            }
+            room.playbackState = applyControl(room.playbackState, controlData, clock.now());
+            persistRoom(room);
+            notifyLobby(room.code);
+
+            socket.to(currentRoomCode).emit('video-control', roomPlaybackState(room));
+        });
+
+        // ⏱️ Anlık oynatma durumu sorgusu
+        socket.on('playback-query', () => {
+            if (!currentRoomCode) return;
+
+            const room = rooms.get(currentRoomCode);
+            if (room) {
+                socket.emit('playback-sync', roomPlaybackState(room));
+            }
+        });
+
+        // 🗑️ VIDEO SİLME
+        socket.on('delete-video', () => {
+            const room = authorize('video:share');
+            if (!room) return;
+
+            releaseMedia(room.video);
+            resetWatchPlayback(room);
+            room.video = null;
+            room.playbackState = createPlaybackClock(clock.now());
+            persistRoom(room);
+            notifyLobby(room.code);
+
+            io.to(currentRoomCode).emit('video-deleted');
+            socketLog().info('Video silindi');
+        });
+
+        // 📋 İZLEME SIRASI
+        socket.on('queue-add', async (data) => {
+            const room = authorize('queue:edit');
+            if (!room) return;
+
+            try {
+                if (isQueueFull(room.queue)) {
+                    socket.emit('error', { code: ERROR_CODES.QUEUE_FULL, message: 'İzleme sırası dolu' });
+                    return;
+                }
+
+                const media = await resolveSharedMedia(data.url, data.title);
+                if (rooms.get(room.code) !== room) return;
+
+                // Oynatma listesinin sığmayan kısmı eklenmez
+                const freeSlots = MAX_QUEUE_ITEMS - room.queue.items.length - room.queue.proposals.length;
+                const items = media.slice(0, Math.max(0, freeSlots)).map(entry => createQueueItem(entry, currentUser.userName, clock.now()));
+                if (items.length === 0) {
+                    socket.emit('error', { code: ERROR_CODES.QUEUE_FULL, message: 'İzleme sırası dolu' });
+                    return;
+                }
+                addToQueue(room, ...items);
+                socketLog().info('Sıraya eklendi', { title: items[0].title, count: items.length });
+
+            } catch (error) {
+                mediaFailed('queue-add', error, 'Video sıraya eklenemedi!');
+            }
+        });
+
+        // Sahip olmayanlar öneri yapar; onay gerekmiyorsa öneri doğrudan sıraya girer
+        socket.on('queue-propose', async (data) => {
+            const room = authorize('queue:propose');
+            if (!room) return;
+
+            try {
+                if (isQueueFull(room.queue)) {
+                    socket.emit('error', { code: ERROR_CODES.QUEUE_FULL, message: 'İzleme sırası dolu' });
+                    return;
+                }
+
+                // Öneri tek videodur; oynatma listesinde paylaşılan video önerilir
+                const [media] = await resolveSharedMedia(data.url, data.title);
+                if (rooms.get(room.code) !== room || isQueueFull(room.queue)) return;
+
+                const item = createQueueItem(media, currentUser.userName, clock.now());
+                item.votes.push(currentUser.id);
+
+                if (can(currentUser.role, 'queue:edit') || !room.queue.requireApproval) {
+                    addToQueue(room, item);
+                } else {
+                    addProposal(room.queue, item);
+                    broadcastQueue(room);
+                }
+
+                socketLog().info('Video önerildi', { title: media.title });
+
+            } catch (error) {
+                mediaFailed('queue-propose', error, 'Video önerilemedi!');
+            }
+        });
+
+        socket.on('queue-vote', (data) => {
+            const room = authorize('queue:vote');
+            if (!room) return;
+
+            if (toggleVote(room.queue, data?.itemId, currentUser.id)) {
+                broadcastQueue(room);
+            }
+        });
+
+        socket.on('queue-approve', (data) => {
+            const room = authorize('queue:edit');
+            if (!room) return;
+
+            const item = approveProposal(room.queue, data?.itemId);
+            if (!item) return;
+
+            if (!room.video) {
+                playNextInQueue(room);
+            } else {
+                broadcastQueue(room);
+            }
+        });
+
+        // Sıradan veya önerilerden silme (reddetme de bu şekilde yapılır)
+        socket.on('queue-remove', (data) => {
+            const room = authorize('queue:edit');
+            if (!room) return;
+
+            const item = removeItem(room.queue, data?.itemId);
+            if (!item) return;
+
+            releaseMedia(item);
+            broadcastQueue(room);
+        });
+
+        socket.on('queue-reorder', (data) => {
+            const room = authorize('queue:edit');
+            if (!room) return;
+
+            if (moveItem(room.queue, data?.itemId, data?.toIndex)) {
+                broadcastQueue(room);
+            }
+        });
+
+        socket.on('queue-skip', () => {
+            const room = authorize('queue:edit');
+            if (!room) return;
+
+            playNextInQueue(room);
+        });
+
+        socket.on('queue-settings', (data) => {
+            const room = authorize('queue:edit');
+            if (!room) return;
+
+            if (typeof data?.requireApproval === 'boolean') {
+                room.queue.requireApproval = data.requireApproval;
+                broadcastQueue(room);
+            }
+        });
+
+        // Video bitti - aynı bitişin birden fazla bildirilmesine karşı itemId kontrol edilir
+        socket.on('video-ended', (data) => {
+            const room = authorize('video:control');
+            if (!room) return;
+
+            if (room.video && (!data?.itemId || data.itemId === room.video.itemId)) {
+                playNextInQueue(room);
+            }
+        });
+
+        // ✅ HAZIR YOKLAMASI - herkes "hazırım" deyince geri sayım kendiliğinden başlar
+        socket.on('ready-check-start', (data) => {
+            const room = authorize('video:control');
+            if (!room) return;
+
+            cancelCountdown(room, 'cancelled');
+            room.readyCheck = createReadyCheck(currentUser.id, data, clock.now());
+            setWatchTimer(room, 'readyCheck', room.readyCheck.expiresAt - clock.now(), () => endReadyCheck(room, 'expired'));
+
+            io.to(room.code).emit('ready-check-started', readyCheckState(room));
+            updateUserList(room.code);
+            completeReadyCheck(room);
+            socketLog().info('Hazır yoklaması başlatıldı');
+        });
+
+        socket.on('ready-check-respond', (data) => {
+            const room = authorize('room:participate');
+            if (!room?.readyCheck || !respondToReadyCheck(room.readyCheck, currentUser.id, data.ready)) return;
+
+            if (!completeReadyCheck(room)) {
+                io.to(room.code).emit('ready-check-updated', readyCheckState(room));
+                updateUserList(room.code);
+            }
+        });
+
+        socket.on('ready-check-cancel', () => {
+            const room = authorize('video:control');
+            if (!room) return;
+
+            endReadyCheck(room, 'cancelled');
+        });
+
+        // ⏳ GERİ SAYIM - yoklamayı beklemeden başlatmak ya da iptal etmek için
+        socket.on('countdown-start', (data) => {
+            const room = authorize('video:control');
+            if (!room) return;
+
+            if (!room.video) {
+                socket.emit('error', { code: ERROR_CODES.INVALID_MEDIA, message: 'Oynatılacak video yok' });
+                return;
+            }
+            const seconds = data.seconds ?? room.readyCheck?.countdown;
+            endReadyCheck(room, 'cancelled');
+            startCountdown(room, currentUser.id, seconds);
+        });
+
+        socket.on('countdown-cancel', () => {
+            const room = authorize('video:control');
+            if (!room) return;
+
+            cancelCountdown(room, 'cancelled');
+        });
+
+        // 📶 OYNATICI DURUMU - izleyici takıldığını (buffering/stalled) ve toparlandığını bildirir
+        socket.on('player-state', (data) => {
+            const room = authorize('room:participate');
+            if (!room || currentUser.playerState === data.state) return;
+
+            currentUser.playerState = data.state;
+            if (data.state === 'ok') {
+                delete currentUser.bufferExempt;
+            }
+            evaluateBufferHold(room);
+            updateUserList(room.code);
+        });
+
+        // ⚙️ Otomatik duraklatma ayarları
+        socket.on('watch-settings', (data) => {
+            const room = authorize('video:control');
+            if (!room) return;
+
+            room.watchSettings = applyWatchSettings(room.watchSettings, data);
+            if (!room.watchSettings.autoPause) {
+                releaseBufferHold(room, 'disabled');
+            }
+            evaluateBufferHold(room);
+            persistRoom(room);
+            io.to(room.code).emit('watch-settings', room.watchSettings);
+        });
+
+        // 📨 MESAJ GÖNDERME - TÜM DOSYA TÜRLERİ DESTEĞİ
+        socket.on('message', (messageData) => {
+            try {
+                const isFile = (messageData.type || 'text') !== 'text';
+                const room = authorize(isFile ? 'file:share' : 'chat:send');
+                if (!room) return;
+
+                if (isMuted(room, currentUser)) {
+                    socket.emit('error', { code: ERROR_CODES.MUTED, message: 'Sohbette susturuldunuz' });
+                    return;
+                }
+
+                // Dosya mesajları önceden yüklenmiş eke (POST /api/room/:code/attachments) işaret eder
+                let attachment = null;
+                if (isFile) {
+                    const record = attachments.get(currentRoomCode, messageData.attachmentId);
+                    if (!record || record.uploadedBy !== currentUser.id || (messageData.type !== 'file' && record.kind !== messageData.type)) {
+                        socket.emit('error', { code: ERROR_CODES.ATTACHMENT_NOT_FOUND, message: 'Ek bulunamadı' });
+                        return;
+                    }
+                    attachment = attachmentSummary(record);
+                }
+
+                // Yanıtlanan mesaj aynı odada olmalı
+                let replyTo = null;
+                if (messageData.replyTo) {
+                    const original = storage.getMessage(currentRoomCode, messageData.replyTo);
+                    if (!original) {
+                        socket.emit('error', { code: ERROR_CODES.MESSAGE_NOT_FOUND, message: 'Yanıtlanan mesaj bulunamadı' });
+                        return;
+                    }
+                    replyTo = replyPreview(original);
+                }
+
+                // Zamana bağlı yorum: videonun o anki konumu mesaja işlenir ve çizelgeye eklenir
+                let anchor = null;
+                if (messageData.anchored) {
+                    anchor = videoAnchor(room, messageData.videoTime);
+                    if (!anchor) {
+                        socket.emit('error', { code: ERROR_CODES.INVALID_MEDIA, message: 'Yorumu bağlayacak bir video oynatılmıyor' });
+                        return;
+                    }
+                }
+
+                // Mesajı hazırla
+                const message = {
+                    id: createMessageId(clock.now()),
+                    userId: currentUser.id,
+                    userName: currentUser.userName,
+                    userPhoto: currentUser.userPhoto,
+                    userColor: currentUser.userColor,
+                    text: messageData.text,
+                    type: messageData.type || 'text',
+                    attachment,
+                    fileName: attachment?.name,
+                    fileSize: attachment?.size,
+                    time: new Date(clock.now()).toLocaleTimeString('tr-TR', { 
+                        hour: '2-digit', 
+                        minute: '2-digit' 
+                    }),
+                    country: currentUser.country,
+                    replyTo,
+                    anchor,
+                    reactions: {},
+                    timestamp: new Date(clock.now())
+                };
+
+                // Geçmişe kaydet (saklama sınırı depolama katmanında uygulanır)
+                storage.appendMessage(currentRoomCode, message);
+                if (anchor) {
+                    storage.appendAnnotation(currentRoomCode, anchor.mediaKey, annotationFromMessage(message));
+                }
+                setTyping(false);
+
+                // Tüm kullanıcılara gönder
+                io.to(currentRoomCode).emit('message', message);
+
+                countMessage('room');
+
+            } catch (error) {
+                handlerFailed('message', error);
+                socket.emit('error', { code: ERROR_CODES.INTERNAL_ERROR, message: 'Mesaj gönderilemedi!' });
+            }
+        });
+
+        // ✏️ MESAJ DÜZENLE / SİL / TEPKİ
+        // Değişiklik geçmişe yazılır, böylece sonradan katılanlar mesajın son halini görür
+        function findMessage(room, messageId) {
+            const message = storage.getMessage(room.code, messageId);
+            if (!message) {
+                socket.emit('error', { code: ERROR_CODES.MESSAGE_NOT_FOUND, message: 'Mesaj bulunamadı' });
+                return null;
+            }
+            return message;
+        }
+
+        function commitMessageUpdate(room, message) {
+            storage.updateMessage(room.code, message);
+            if (message.anchor) {
+                storage.updateAnnotation(room.code, message.anchor.mediaKey, annotationFromMessage(message));
+            }
+            io.to(room.code).emit('message-updated', message);
+        }
+
+        socket.on('edit-message', (data = {}) => {
+            const room = authorize('chat:send');
+            if (!room) return;
+
+            if (isMuted(room, currentUser)) {
+                socket.emit('error', { code: ERROR_CODES.MUTED, message: 'Sohbette susturuldunuz' });
+                return;
+            }
+
+            const message = findMessage(room, data.messageId);
+            if (!message) return;
+
+            if (message.userId !== currentUser.id || message.deleted) {
+                socket.emit('error', { code: ERROR_CODES.FORBIDDEN, message: 'Sadece kendi mesajlarınızı düzenleyebilirsiniz' });
+                return;
+            }
+            if (message.type !== 'text') {
+                socket.emit('error', { code: ERROR_CODES.NOT_EDITABLE, message: 'Sadece yazı mesajları düzenlenebilir' });
+                return;
+            }
+
+            const text = typeof data.text === 'string' ? data.text.trim() : '';
+            if (!text || text.length > MAX_MESSAGE_LENGTH) {
+                socket.emit('error', { code: ERROR_CODES.INVALID_PAYLOAD, message: 'Geçersiz mesaj metni' });
+                return;
+            }
+
+            commitMessageUpdate(room, editMessage(message, text, clock.now()));
+        });
+
+        socket.on('delete-message', (data = {}) => {
+            const room = authorize('chat:send');
+            if (!room) return;
+
+            const message = findMessage(room, data.messageId);
+            if (!message || message.deleted) return;
+
+            if (message.userId !== currentUser.id && !can(currentUser.role, 'chat:moderate')) {
+                socket.emit('error', { code: ERROR_CODES.FORBIDDEN, permission: 'chat:moderate', message: 'Bu mesajı silme yetkiniz yok' });
+                return;
+            }
+
+            if (message.attachment) {
+                attachments.remove(room.code, message.attachment.id);
+            }
+            commitMessageUpdate(room, deleteMessage(message, currentUser.id, clock.now()));
+            socketLog().info('Mesaj silindi', { messageId: message.id });
+        });
+
+        socket.on('react-message', (data = {}) => {
+            const room = authorize('chat:send');
+            if (!room) return;
+
+            if (isMuted(room, currentUser)) {
+                socket.emit('error', { code: ERROR_CODES.MUTED, message: 'Sohbette susturuldunuz' });
+                return;
+            }
+            if (!isValidReaction(data.emoji)) {
+                socket.emit('error', { code: ERROR_CODES.INVALID_PAYLOAD, message: 'Geçersiz tepki' });
+                return;
+            }
+
+            const message = findMessage(room, data.messageId);
+            if (!message || message.deleted) return;
+
+            const updated = toggleReaction(message, data.emoji, currentUser.id);
+            if (!updated) {
+                socket.emit('error', { code: ERROR_CODES.REACTION_LIMIT, message: 'Bu mesaja daha fazla farklı tepki eklenemez' });
+                return;
+            }
+            commitMessageUpdate(room, updated);
+        });
+
+        // 🎉 VİDEO TEPKİSİ - anında uçan emoji; videonun o anki konumuyla çizelgeye de yazılır
+        socket.on('video-reaction', (data = {}) => {
+            const room = authorize('chat:send');
+            if (!room) return;
+
+            if (isMuted(room, currentUser)) {
+                socket.emit('error', { code: ERROR_CODES.MUTED, message: 'Sohbette susturuldunuz' });
+                return;
+            }
+            if (!isValidReaction(data.emoji)) {
+                socket.emit('error', { code: ERROR_CODES.INVALID_PAYLOAD, message: 'Geçersiz tepki' });
+                return;
+            }
+
+            const anchor = videoAnchor(room, data.videoTime);
+            if (!anchor) {
+                socket.emit('error', { code: ERROR_CODES.INVALID_MEDIA, message: 'Tepki verilecek bir video oynatılmıyor' });
+                return;
+            }
+
+            const annotation = createAnnotation({ kind: 'reaction', position: anchor.position, user: currentUser, emoji: data.emoji }, clock.now());
+            storage.appendAnnotation(room.code, anchor.mediaKey, annotation);
+            io.to(room.code).emit('video-reaction', { ...annotation, mediaKey: anchor.mediaKey });
+        });
+
+        // ⌨️ YAZIYOR GÖSTERGESİ
+        // İstemci tuşa bastıkça gönderir; sunucu seyreltip yayınlar ve süre dolunca kendisi düşürür
+        let typingTimer = null;
+        let lastTypingBroadcast = 0;
+
+        function setTyping(isTyping) {
+            if (!currentUser || !currentRoomCode) return;
+
+            timers.clearTimeout(typingTimer);
+            const wasTyping = (currentUser.typingUntil || 0) > clock.now();
+
+            if (isTyping) {
+                currentUser.typingUntil = clock.now() + TYPING_TIMEOUT;
+                typingTimer = timers.setTimeout(() => setTyping(false), TYPING_TIMEOUT);
+                if (wasTyping && clock.now() - lastTypingBroadcast < TYPING_THROTTLE) return;
+            } else {
+                currentUser.typingUntil = 0;
+                if (!wasTyping) return;
+            }
+
+            lastTypingBroadcast = clock.now();
+            socket.to(currentRoomCode).emit('typing', {
+                userId: currentUser.id,
+                userName: currentUser.userName,
+                isTyping
+            });
+        }
+
+        socket.on('typing', (data = {}) => {
+            const room = authorize('chat:send');
+            if (!room || isMuted(room, currentUser)) return;
+            setTyping(Boolean(data.isTyping));
+        });
+
+        // 👁️ OKUNDU BİLGİSİ - kimlikler sıralı olduğundan sadece ileri gidilir
+        socket.on('mark-read', (data = {}) => {
+            const room = authorize('room:participate');
+            if (!room) return;
+
+            const messageId = data.messageId;
+            if (typeof messageId !== 'string' || messageId <= (currentUser.lastReadMessageId || '')) return;
+            if (!storage.getMessage(room.code, messageId)) return;
+
+            currentUser.lastReadMessageId = messageId;
+            socket.to(room.code).emit('read-receipt', {
+                userId: currentUser.id,
+                messageId
+            });
+        });
+
+        // ✉️ ÖZEL MESAJLAR - sadece iki tarafın soketlerine gider, oda geçmişine yazılmaz
+        function directPeer(room, peerId) {
+            const peer = room.users.get(peerId);
+            if (!peer || peer.id === currentUser.id) {
+                socket.emit('error', { code: ERROR_CODES.USER_NOT_FOUND, message: 'Kullanıcı bu odada değil' });
+                return null;
+            }
+            return peer;
+        }
+
+        socket.on('send-direct-message', (data = {}) => {
+            const room = authorize('chat:send');
+            if (!room) return;
+
+            if (isMuted(room, currentUser)) {
+                socket.emit('error', { code: ERROR_CODES.MUTED, message: 'Sohbette susturuldunuz' });
+                return;
+            }
+
+            const peer = directPeer(room, data.to);
+            if (!peer) return;
+
+            const text = typeof data.text === 'string' ? data.text.trim() : '';
+            if (!text || text.length > MAX_MESSAGE_LENGTH) {
+                socket.emit('error', { code: ERROR_CODES.INVALID_PAYLOAD, message: 'Geçersiz mesaj metni' });
+                return;
+            }
+
+            const conversationId = conversationIdFor(currentUser.id, peer.id);
+            const message = {
+                id: createMessageId(clock.now()),
+                conversationId,
+                from: currentUser.id,
+                to: peer.id,
+                userName: currentUser.userName,
+                userPhoto: currentUser.userPhoto,
+                userColor: currentUser.userColor,
+                text,
+                time: new Date(clock.now()).toLocaleTimeString('tr-TR', {
+                    hour: '2-digit',
+                    minute: '2-digit'
+                }),
+                timestamp: new Date(clock.now())
+            };
+
+            storage.appendDirectMessage(room.code, conversationId, message);
+            socket.emit('direct-message', message);
+            countMessage('direct');
+
+            // Alıcı bağlıysa teslim onayı beklenir; değilse konuşma listesini istediğinde teslim edilmiş sayılır
+            if (peer.connected) {
+                const sender = currentUser;
+                io.to(peer.socketId).timeout(10000).emit('direct-message', message, (err, responses) => {
+                    if (!err && responses.length > 0) {
+                        markDirectDelivered(room, peer, sender, conversationId, message.id);
+                    }
+                });
+            }
+        });
+
+        // Konuşma listesi: karşı taraf, son mesaj, okunmamış sayısı
+        socket.on('direct-conversations', () => {
+            const room = authorize('room:participate');
+            if (!room) return;
+
+            currentUser.directReads ||= {};
+            const conversations = [];
+            for (const peer of room.users.values()) {
+                if (peer.id === currentUser.id) continue;
+
+                const conversationId = conversationIdFor(currentUser.id, peer.id);
+                const conversation = storage.getConversation(room.code, conversationId);
+                if (conversation.length === 0) continue;
+
+                const lastIncoming = conversation.filter(message => message.to === currentUser.id).at(-1);
+                markDirectDelivered(room, currentUser, peer, conversationId, lastIncoming?.id);
+
+                conversations.push({
+                    peerId: peer.id,
+                    peerName: peer.userName,
+                    lastMessage: conversation.at(-1),
+                    unread: countUnread(conversation, currentUser.id, currentUser.directReads[conversationId]),
+                    status: directStatus(peer, conversationId)
+                });
+            }
+
+            socket.emit('direct-conversations', conversations);
+        });
+
+        socket.on('direct-history', (data = {}) => {
+            const room = authorize('room:participate');
+            if (!room) return;
+
+            const peer = directPeer(room, data.peerId);
+            if (!peer) return;
+
+            const conversationId = conversationIdFor(currentUser.id, peer.id);
+            const page = storage.getDirectMessages(room.code, conversationId, {
+                before: data.before,
+                limit: data.limit
+            });
+            socket.emit('direct-history', {
+                peerId: peer.id,
+                before: data.before || null,
+                ...page,
+                status: directStatus(peer, conversationId)
+            });
+        });
+
+        socket.on('direct-read', (data = {}) => {
+            const room = authorize('room:participate');
+            if (!room) return;
+
+            const peer = directPeer(room, data.peerId);
+            if (!peer || typeof data.messageId !== 'string') return;
+
+            const conversationId = conversationIdFor(currentUser.id, peer.id);
+            const conversation = storage.getConversation(room.code, conversationId);
+            if (!conversation.some(message => message.id === data.messageId)) return;
+
+            currentUser.directReads ||= {};
+            currentUser.directDelivered ||= {};
+            advanceCursor(currentUser.directDelivered, conversationId, data.messageId);
+            if (advanceCursor(currentUser.directReads, conversationId, data.messageId)) {
+                notifyDirectStatus(room, currentUser, peer, conversationId);
+            }
+        });
+
+        // 📜 ESKİ MESAJLARI YÜKLE (yukarı kaydırma)
+        socket.on('load-messages', (data = {}) => {
+            const room = authorize('room:participate');
+            if (!room) return;
+
+            const page = storage.getMessages(room.code, {
+                before: data.before,
+                after: data.after,
+                limit: data.limit
+            });
+            socket.emit('message-history', {
+                before: data.before || null,
+                after: data.after || null,
+                ...page
+            });
+        });
+
+        // 📞 GRUP ARAMASI
+        socket.on('call-start', (data = {}) => {
+            const room = authorize('call:start');
+            if (!room) return;
+
+            if (room.call) {
+                socket.emit('error', { code: ERROR_CODES.CALL_IN_PROGRESS, message: 'Odada zaten bir arama var, katılabilirsiniz' });
+                return;
+            }
+
+            room.call = createCall(data.type, currentUser.id, clock.now());
+            socketLog().info('Arama başlatıldı', { callType: room.call.type });
+            logSessionEvent(room, 'call-started', { callId: room.call.id, callType: room.call.type, startedBy: currentUser.userName });
+
+            // Başlatan önce katılır: diğer sunuculardaki üyeler bildirimi aldığında arama ve katılımcısı paylaşılmış olur
+            joinCurrentUser(room, data);
+            socket.to(room.code).emit('call-started', {
+                callId: room.call.id,
+                type: room.call.type,
+                callerName: currentUser.userName
+            });
+        });
+
+        socket.on('call-join', (data = {}) => {
+            const room = authorize('call:join');
+            if (!room) return;
+
+            if (!room.call) {
+                socket.emit('error', { code: ERROR_CODES.NO_ACTIVE_CALL, message: 'Odada aktif arama yok' });
+                return;
+            }
+            if (!isParticipant(room.call, currentUser.id) && isCallFull(room.call, MAX_CALL_PARTICIPANTS)) {
+                socket.emit('error', { code: ERROR_CODES.CALL_FULL, message: `Arama dolu (en fazla ${MAX_CALL_PARTICIPANTS} kişi)` });
+                return;
+            }
+
+            joinCurrentUser(room, data);
+        });
+
+        // Yeni katılan, mevcut katılımcıların her birine teklif (offer) gönderir
+        function joinCurrentUser(room, media) {
+            const peers = Array.from(room.call.participants.keys()).filter(id => id !== currentUser.id);
+
+            joinCall(room.call, currentUser.id, media, clock.now());
+            currentUser.call = { callId: room.call.id, since: clock.now() };
+
+            socket.emit('call-joined', {
+                call: serializeCall(room.call, room.users),
+                peers,
+                rtcConfig: rtcConfig.forUser(currentUser.id, clock.now())
+            });
+            broadcastCall(room);
+            refreshPresence(room);
+        }
+
+        socket.on('call-leave', () => {
+            const room = authorize('call:join');
+            if (!room) return;
+            endUserCall(room, currentUser);
+        });
+
+        socket.on('call-media-state', (data = {}) => {
+            const room = authorize('call:join');
+            if (!room || !room.call) return;
+
+            if (setMediaState(room.call, currentUser.id, data)) {
+                broadcastCall(room);
+            }
+        });
+
+        // Sinyaller sadece aynı aramadaki katılımcılar arasında iletilir
+        function signallingPeer(room, target) {
+            const peer = room.users.get(target);
+            if (!room.call || !isParticipant(room.call, currentUser.id) || !peer || !isParticipant(room.call, peer.id)) {
+                socket.emit('error', { code: ERROR_CODES.INVALID_SIGNAL_TARGET, message: 'Hedef bu aramada değil' });
+                return null;
+            }
+            return peer;
+        }
+
+        socket.on('webrtc-offer', (data = {}) => {
+            const room = authorize('call:join');
+            if (!room) return;
+
+            const peer = signallingPeer(room, data.target);
+            if (!peer) return;
+
+            io.to(peer.socketId).emit('webrtc-offer', {
+                callId: room.call.id,
+                offer: data.offer,
+                sender: currentUser.id,
+                senderName: currentUser.userName,
+                rtcConfig: rtcConfig.forUser(peer.id, clock.now())
+            });
+        });
+
+        socket.on('webrtc-answer', (data = {}) => {
+            const room = authorize('call:join');
+            if (!room) return;
+
+            const peer = signallingPeer(room, data.target);
+            if (!peer) return;
+
+            io.to(peer.socketId).emit('webrtc-answer', {
+                callId: room.call.id,
+                answer: data.answer,
+                sender: currentUser.id
+            });
+        });
+
+        socket.on('webrtc-ice-candidate', (data = {}) => {
+            const room = authorize('call:join');
+            if (!room) return;
+
+            const peer = signallingPeer(room, data.target);
+            if (!peer) return;
+
+            io.to(peer.socketId).emit('webrtc-ice-candidate', {
+                callId: room.call.id,
+                candidate: data.candidate,
+                sender: currentUser.id
+            });
+        });
+
+        // 🛡️ MODERASYON
+        socket.on('kick-user', (data) => {
+            const room = authorize('moderate:kick');
+            if (!room) return;
+
+            const target = findModerationTarget(room, data?.userId);
+            if (!target) return;
+
+            io.to(room.code).emit('moderation-action', {
+                action: 'kick',
+                userName: target.userName,
+                by: currentUser.userName
+            });
+
+            expelMember(room, target, { by: currentUser.userName, reason: data?.reason });
+
+            socketLog().info('Kullanıcı odadan atıldı', { target: target.id });
+        });
+
+        socket.on('ban-user', (data) => {
+            const room = authorize('moderate:ban');
+            if (!room) return;
+
+            const target = findModerationTarget(room, data?.userId);
+            if (!target) return;
+
+            if (target.deviceId) {
+                room.bans.add(target.deviceId);
+                persistRoom(room);
+            }
+
+            io.to(room.code).emit('moderation-action', {
+                action: 'ban',
+                userName: target.userName,
+                by: currentUser.userName
+            });
+
+            expelMember(room, target, { by: currentUser.userName, reason: data?.reason, banned: true });
+
+            socketLog().info('Kullanıcı yasaklandı', { target: target.id });
+        });
+
+        socket.on('unban-user', (data) => {
+            const room = authorize('moderate:ban');
+            if (!room || !data?.deviceId) return;
+
+            room.bans.delete(data.deviceId);
+            persistRoom(room);
+            socketLog().info('Yasak kaldırıldı', { deviceId: data.deviceId });
+        });
+
+        // duration saniye cinsinden; verilmezse süresiz
+        socket.on('mute-user', (data) => {
+            const room = authorize('moderate:mute');
+            if (!room) return;
+
+            const target = findModerationTarget(room, data?.userId);
+            if (!target) return;
+
+            const duration = Number(data?.duration);
+            const until = Number.isFinite(duration) && duration > 0 ? clock.now() + duration * 1000 : null;
+            room.mutes.set(moderationKey(target), until);
+
+            io.to(room.code).emit('moderation-action', {
+                action: 'mute',
+                userName: target.userName,
+                by: currentUser.userName,
+                until: until
+            });
+            updateUserList(room.code);
+        });
+
+        socket.on('unmute-user', (data) => {
+            const room = authorize('moderate:mute');
+            if (!room) return;
+
+            const target = findModerationTarget(room, data?.userId);
+            if (!target) return;
+
+            room.mutes.delete(moderationKey(target));
+
+            io.to(room.code).emit('moderation-action', {
+                action: 'unmute',
+                userName: target.userName,
+                by: currentUser.userName
+            });
+            updateUserList(room.code);
+        });
+
+        // Terfi / rütbe düşürme
+        socket.on('set-role', (data) => {
+            const room = authorize('roles:manage');
+            if (!room) return;
+
+            const target = room.users.get(data?.userId);
+            if (!target || !canAssignRole(currentUser.role, target.role, data?.role)) {
+                socket.emit('error', { code: ERROR_CODES.FORBIDDEN, message: 'Bu rol atanamaz' });
+                return;
+            }
+
+            target.role = data.role;
+
+            io.to(target.socketId).emit('role-changed', {
+                role: target.role,
+                permissions: permissionsFor(target.role),
+                by: currentUser.userName
+            });
+            io.to(room.code).emit('moderation-action', {
+                action: 'role',
+                userName: target.userName,
+                role: target.role,
+                by: currentUser.userName
+            });
+            updateUserList(room.code);
+
+            socketLog().info('Rol değişti', { target: target.id, role: target.role });
+        });
+
+        // 🔌 BAĞLANTI KESİLDİĞİNDE
+        socket.on('disconnect', (reason) => {
+            socketLog().info('Bağlantı kapandı', { reason });
+            timers.clearInterval(healthInterval);
+            connectionWatchdog.delete(socket.id);
+            users.delete(socket.id);
+
+            if (!currentUser || !currentRoomCode) return;
+
+            const room = rooms.get(currentRoomCode);
+            // Oturum başka bir sokete taşındıysa bu bağlantının temizliği yapılmaz
+            if (!room || currentUser.socketId !== socket.id) return;
+
+            setTyping(false);
+
+            // Kapanışta kesilen bağlantılar da yeniden bağlanabilir: üye yerini korur
+            if (shutdownState || RESUMABLE_DISCONNECT_REASONS.includes(reason)) {
+                holdSeat(room, currentUser);
+                refreshWatchParty(room);
+                updateUserList(currentRoomCode);
+            } else {
+                removeUserFromRoom(room, currentUser);
+            }
+        });
+    });
+
+    // API Routes
+    app.get('/api/health', (req, res) => {
+        // Kapanırken yük dengeleyici yeni istemcileri bu sunucuya göndermesin
+        res.status(shutdownState ? 503 : 200).json({ 
+            status: shutdownState ? 'SHUTTING_DOWN' : 'OK', 
+            timestamp: new Date(clock.now()).toISOString(),
+            uptime: Math.round(process.uptime()),
+            rooms: rooms.size,
+            users: users.size,
+            connections: connectionWatchdog.size,
+            security: {
+                joinLockouts: {
+                    ip: joinLimiter.ip.stats(clock.now()),
+                    device: joinLimiter.device.stats(clock.now())
+                }
+            },
+            environment: env.NODE_ENV || 'development',
+            storage: storage.driver,
+            cluster: clustered ? { node: NODE_ID, nodes: bus.nodes() } : null
+        });
+    });
+
+    app.get('/metrics', (req, res) => {
+        if (METRICS_TOKEN && !verifyBearerToken(req.get('Authorization'), METRICS_TOKEN)) {
+            return res.status(401).type('text/plain').send('Yetkisiz\n');
+        }
+        res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+    });
+
+    app.get('/api/room/:code', (req, res) => {
+        try {
+            const room = rooms.get(req.params.code.toUpperCase());
+            if (!room) {
+                return res.status(404).json({ error: 'Oda bulunamadı' });
+            }
+
+            // Özel odanın adı ve doluluğu yalnızca üyelere (oturum başlıklarıyla) gösterilir
+            if (!isListed(room) && !sessionMember(room, req)) {
+                return res.json({ code: room.code, visibility: room.visibility });
+            }
+
+            res.json({
+                code: room.code,
+                name: room.name,
+                visibility: room.visibility,
+                userCount: room.users.size,
+                createdAt: room.createdAt
+            });
+        } catch (error) {
+            res.status(500).json({ error: 'Oda bilgisi alınamadı' });
+        }
+    });
+
+    // 🏛️ Herkese açık oda dizini (?q=&category=&tag=&sort=members|newest|playing&page=&limit=)
+    // Özel odalar, şifreler ve kullanıcı bilgileri listede yer almaz
+    app.get('/api/rooms', (req, res) => {
+        res.json(queryDirectory(publicListings(), req.query));
+    });
+
+    // 🔎 Video arama (?q=&provider=youtube&pageToken=) -> { provider, query, results, nextPageToken }
+    // Sonuç: { id, title, channel, thumbnail, duration (sn), url }. Hata olursa sahte sonuç yerine hata döner.
+    app.get('/api/search', async (req, res) => {
+        const { q, provider, pageToken } = req.query;
+        try {
+            const page = await searchService.search({
+                query: q,
+                provider: provider || undefined,
+                pageToken: typeof pageToken === 'string' && pageToken ? pageToken : null
+            }, req.ip);
+            searchRequests.inc({ result: page.cached ? 'hit' : 'miss' });
+            res.set('Cache-Control', 'private, max-age=60').json(page);
+        } catch (error) {
+            if (!(error instanceof SearchError)) {
+                req.log.error('Video araması başarısız', { error });
+                return res.status(500).json({ code: ERROR_CODES.INTERNAL_ERROR, error: 'Arama yapılamadı' });
+            }
+            searchRequests.inc({ result: error.code === ERROR_CODES.RATE_LIMITED ? 'limited' : 'error' });
+            if (error.code === ERROR_CODES.SEARCH_FAILED) {
+                req.log.warn('Arama sağlayıcısı hata döndü', { provider, error: error.cause });
+            }
+            if (error.retryAfter) {
+                res.set('Retry-After', error.retryAfter);
+            }
+            res.status(error.status).json({ code: error.code, error: error.message, retryAfter: error.retryAfter ?? undefined });
+        }
+    });
+
+    // Oturum bilgileriyle (X-Session-Id + X-Resume-Token) odanın üyesini bul
+    function sessionMember(room, req) {
+        const member = room.users.get(req.get('X-Session-Id'));
+        return member && canResume(member, member.deviceId, req.get('X-Resume-Token')) ? member : null;
+    }
+
+    // 📡 ICE yapılandırması - TURN şifrelerinin süresi dolmadan istemci buradan yeniler
+    app.get('/api/rtc-config', (req, res) => {
+        const room = rooms.get(String(req.query.room || '').toUpperCase());
+        const member = room && sessionMember(room, req);
+        if (!member) {
+            return res.status(401).json({ error: 'Geçerli bir oda oturumu gerekli' });
+        }
+        res.json(rtcConfig.forUser(member.id, clock.now()));
+    });
+
+    // Geçmişi okuma izni: odanın üyesi (oturum bilgileriyle) ya da şifreli odada doğru şifre.
+    // Şifresiz odada kodu bilmek yetmez; yasaklı ya da hiç katılmamış biri geçmişi okuyamaz.
+    function canReadHistory(room, req) {
+        if (sessionMember(room, req)) {
+            return true;
+        }
+        return Boolean(room.password) && verifyPassword(req.get('X-Room-Password'), room.password);
+    }
+
+    // Reddedilen geçmiş isteğinden yalnızca şifre tahmini giriş denemesi sayılır;
+    // oturumu düşmüş üyenin yoklamaları onu odaya katılmaktan kilitlememeli
+    function recordHistoryGuess(req) {
+        if (req.get('X-Room-Password') !== undefined) {
+            joinLimiter.ip.recordFailure(req.ip, clock.now());
+        }
+    }
+
+    // 📜 Sohbet geçmişi (imleçli sayfalama: ?before=<id> | ?after=<id> & limit=<n>)
+    app.get('/api/room/:code/messages', (req, res) => {
+        const lockedFor = joinLimiter.ip.lockedFor(req.ip, clock.now());
+        if (lockedFor > 0) {
+            res.set('Retry-After', Math.ceil(lockedFor / 1000));
+            return res.status(429).json({ error: rateLimitedError(lockedFor).message });
+        }
+
+        const room = rooms.get(req.params.code.toUpperCase());
+        if (!room) {
+            joinLimiter.ip.recordFailure(req.ip, clock.now());
+            return res.status(404).json({ error: 'Oda bulunamadı' });
+        }
+        if (!canReadHistory(room, req)) {
+            recordHistoryGuess(req);
+            return res.status(403).json({ error: 'Bu odanın geçmişini görme izniniz yok' });
+        }
+
+        const { before, after, limit } = req.query;
+        const page = storage.getMessages(room.code, { before, after, limit });
+        const last = page.messages[page.messages.length - 1];
+
+        res.json({
+            messages: page.messages,
+            hasMore: page.hasMore,
+            // Sonraki sayfanın imleci: 'after' ile ileri, aksi halde geriye doğru
+            nextCursor: page.hasMore ? (after && !before ? last.id : page.messages[0].id) : null
+        });
+    });
+
+    // 📍 Video zaman çizelgesi: bağlı yorumlar, tepkiler ve ilerleme çubuğu işaretleri
+    // ?media=<anahtar> verilmezse odada oynatılan video; ?bucket=<sn> işaret dilimi
+    app.get('/api/room/:code/timeline', (req, res) => {
+        const lockedFor = joinLimiter.ip.lockedFor(req.ip, clock.now());
+        if (lockedFor > 0) {
+            res.set('Retry-After', Math.ceil(lockedFor / 1000));
+            return res.status(429).json({ error: rateLimitedError(lockedFor).message });
+        }
+
+        const room = rooms.get(req.params.code.toUpperCase());
+        if (!room) {
+            joinLimiter.ip.recordFailure(req.ip, clock.now());
+            return res.status(404).json({ error: 'Oda bulunamadı' });
+        }
+        if (!canReadHistory(room, req)) {
+            recordHistoryGuess(req);
+            return res.status(403).json({ error: 'Bu odanın geçmişini görme izniniz yok' });
+        }
+
+        const mediaKey = typeof req.query.media === 'string' && req.query.media ? req.query.media : timelineKey(room.video);
+        if (!mediaKey) {
+            return res.status(404).json({ error: 'Odada oynatılan video yok', code: ERROR_CODES.INVALID_MEDIA });
+        }
+
+        const bucketSize = req.query.bucket === undefined ? undefined : Number(req.query.bucket);
+        res.json({ mediaKey, ...buildTimeline(storage.getTimeline(room.code, mediaKey), { bucketSize }) });
+    });
+
+    // 📦 Oturum dışa aktarımı (yalnızca oda sahibi): ?format=json | html | text | zip
+    // JSON/HTML/metin eklere adresle işaret eder; zip paketi ekleri de içerir (toplam boyut sınırına kadar).
+    const EXPORT_BUNDLE_LIMIT = envInt('EXPORT_BUNDLE_LIMIT', 200 * 1024 * 1024);
+    const EXPORT_TYPES = {
+        json: { type: 'application/json; charset=utf-8', ext: 'json' },
+        html: { type: 'text/html; charset=utf-8', ext: 'html' },
+        text: { type: 'text/plain; charset=utf-8', ext: 'txt' },
+        zip: { type: 'application/zip', ext: 'zip' }
+    };
+
+    async function bundleAttachments(roomCode, messages) {
+        const files = [];
+        let total = 0;
+        for (const message of messages) {
+            const summary = message.deleted ? null : message.attachment;
+            const record = summary && attachments.get(roomCode, summary.id);
+            if (!record || total + record.size > EXPORT_BUNDLE_LIMIT) continue;
+            try {
+                files.push({ name: attachmentPath(summary), data: await fs.promises.readFile(attachments.filePath(record)), id: summary.id });
+                total += record.size;
+            } catch {
+                // Diskten silinmiş ek adresiyle kalır
+            }
+        }
+        return files;
+    }
+
+    app.get('/api/room/:code/export', async (req, res) => {
+        const room = rooms.get(req.params.code.toUpperCase());
+        const member = room && sessionMember(room, req);
+        if (!member) {
+            return res.status(401).json({ error: 'Geçerli bir oda oturumu gerekli' });
+        }
+        if (!can(member.role, 'room:export')) {
+            return res.status(403).json({ code: ERROR_CODES.FORBIDDEN, error: 'Oturumu yalnızca oda sahibi dışa aktarabilir' });
+        }
+        const format = req.query.format || 'json';
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ code: ERROR_CODES.INVALID_PAYLOAD, error: `Biçim şunlardan biri olmalı: ${EXPORT_FORMATS.join(', ')}` });
+        }
+
+        try {
+            const messages = collectMessages(storage, room.code);
+            const events = storage.getEvents(room.code);
+            const files = format === 'zip' ? await bundleAttachments(room.code, messages) : [];
+            const data = buildSessionExport({ room, messages, events, bundled: new Set(files.map(file => file.id)) }, clock.now());
+
+            let body;
+            if (format === 'zip') {
+                body = createZip([
+                    { name: 'oturum.json', data: JSON.stringify(data, null, 2) },
+                    { name: 'sohbet.html', data: renderTranscriptHtml(data) },
+                    { name: 'sohbet.txt', data: renderTranscriptText(data) },
+                    ...files
+                ]);
+            } else if (format === 'html') {
+                body = renderTranscriptHtml(data);
+            } else if (format === 'text') {
+                body = renderTranscriptText(data);
+            } else {
+                body = JSON.stringify(data, null, 2);
+            }
+
+            const { type, ext } = EXPORT_TYPES[format];
+            const fileName = `oda-${room.code}-${new Date(clock.now()).toISOString().slice(0, 10)}.${ext}`;
+            req.log.info('Oturum dışa aktarıldı', { roomCode: room.code, format, messages: messages.length, attachments: files.length });
+            res.set({
+                'Content-Type': type,
+                'Content-Disposition': `attachment; filename="${fileName}"`,
+                'Cache-Control': 'no-store'
+            });
+            res.send(body);
+        } catch (error) {
+            req.log.error('Oturum dışa aktarılamadı', { roomCode: room.code, error });
+            res.status(500).json({ error: 'Oturum dışa aktarılamadı' });
+        }
+    });
+
+    // <video>/<img>/<audio> başlık gönderemez; oda videosu, ekler ve video parçaları
+    // ?s=<sessionId>&t=<mediaToken> (ya da oturum başlıkları) ile yetkilendirilir
+    function mediaViewer(room, req) {
+        const sessionId = req.query.s;
+        if (room.users.has(sessionId) && mediaTokens.verify(req.query.t, room.code, sessionId)) {
+            return room.users.get(sessionId);
+        }
+        return sessionMember(room, req);
+    }
+
+    // Yükleme oturumu yalnızca onu başlatan üyeye açıktır (yükleme kimliğini bilmek yetmez)
+    function uploadOwner(session, req) {
+        const room = session && rooms.get(session.roomCode);
+        const member = room && mediaViewer(room, req);
+        return member && member.id === session.ownerId ? member : null;
+    }
+
+    // 🎬 Yükleme durumu (bağlantı koptuktan sonra devam etmek için)
+    app.get('/api/upload/:uploadId', (req, res) => {
+        const session = uploadManager.getSession(req.params.uploadId);
+        if (!session) {
+            return res.status(404).json({ error: 'Yükleme oturumu bulunamadı' });
+        }
+        if (!uploadOwner(session, req)) {
+            return res.status(401).json({ error: 'Geçerli bir oda oturumu gerekli' });
+        }
+        res.json(uploadManager.describe(session));
+    });
+
+    // 🎬 Video parçası yükleme - X-Upload-Offset başlığı parçanın dosyadaki konumunu belirtir
+    app.put('/api/upload/:uploadId', express.raw({ type: () => true, limit: uploadManager.chunkSize + 1024 }), async (req, res) => {
+        const session = uploadManager.getSession(req.params.uploadId);
+        if (!session) {
+            return res.status(404).json({ error: 'Yükleme oturumu bulunamadı' });
+        }
+        if (!uploadOwner(session, req)) {
+            return res.status(401).json({ error: 'Geçerli bir oda oturumu gerekli' });
+        }
+
+        try {
+            const offset = parseInt(req.get('X-Upload-Offset'), 10);
+            await uploadManager.writeChunk(req.params.uploadId, offset, req.body);
+            uploadBytes.inc({ kind: 'video' }, req.body.length);
+
+            const status = uploadManager.describe(session);
+
+            if (!session.completed) {
+                io.to(session.socketId).emit('upload-progress', { status: 'uploading', ...status });
+                return res.json(status);
+            }
+
+            const room = rooms.get(session.roomCode);
+            if (!room) {
+                uploadManager.removeUpload(session.uploadId);
+                return res.status(410).json({ error: 'Oda artık mevcut değil' });
+            }
+            // Yükleme sürerken üye odadan ayrılmış ya da yetkisi alınmış olabilir
+            const uploader = room.users.get(session.ownerId);
+            if (!uploader || !can(uploader.role, 'video:share')) {
+                uploadManager.removeUpload(session.uploadId);
+                io.to(session.socketId).emit('upload-progress', { status: 'error', ...status });
+                return res.status(403).json({ code: ERROR_CODES.FORBIDDEN, error: 'Video paylaşma yetkiniz yok' });
+            }
+
+            const item = createQueueItem({
+                type: 'file',
+                uploadId: session.uploadId,
+                url: roomVideoUrl(room.code, session.uploadId),
+                title: session.fileName,
+                mimeType: session.mimeType,
+                fileSize: session.fileSize
+            }, session.uploadedBy, clock.now());
+
+            if (session.enqueue && !isQueueFull(room.queue)) {
+                addToQueue(room, item);
+            } else {
+                playMedia(room, item);
+            }
+
+            io.to(session.socketId).emit('upload-progress', { status: 'completed', ...status });
+            req.log.info('Video yüklendi', { roomCode: room.code, uploadId: session.uploadId, fileSize: session.fileSize });
+
+            res.json(status);
+
+        } catch (error) {
+            if (error instanceof UploadError) {
+                return res.status(error.status).json({
+                    error: error.message,
+                    ...(session ? uploadManager.describe(session) : {})
+                });
+            }
+            req.log.error('Video parçası yazılamadı', { uploadId: req.params.uploadId, error });
+            if (session) {
+                io.to(session.socketId).emit('upload-progress', { status: 'error', ...uploadManager.describe(session) });
+            }
+            res.status(500).json({ error: 'Video parçası kaydedilemedi' });
+        }
+    });
+
+    // 🎬 Odanın yüklenmiş videosu - Range istekleri desteklenir
+    app.get('/api/room/:code/video', (req, res) => {
+        const room = rooms.get(req.params.code.toUpperCase());
+        if (!room || !mediaViewer(room, req)) {
+            return res.status(401).json({ error: 'Geçerli bir oda oturumu gerekli' });
+        }
+        const session = room.video?.type === 'file' ? uploadManager.getSession(room.video.uploadId) : null;
+
+        if (!session || !session.completed) {
+            return res.status(404).json({ error: 'Video bulunamadı' });
+        }
+
+        res.sendFile(session.filePath, {
+            acceptRanges: true,
+            headers: { 'Content-Type': session.mimeType }
+        });
+    });
+
+    // 📎 Ek yükleme - gövde dosyanın kendisidir (?kind=file|image|audio&name=<ad>&duration=<sn>)
+    // Oturum başlıkları (X-Session-Id + X-Resume-Token) gerekir; dönen id 'message' olayında kullanılır
+    app.post('/api/room/:code/attachments', express.raw({ type: () => true, limit: MAX_ATTACHMENT_SIZE }), async (req, res) => {
+        const room = rooms.get(req.params.code.toUpperCase());
+        const member = room && sessionMember(room, req);
+        if (!member) {
+            return res.status(401).json({ error: 'Geçerli bir oda oturumu gerekli' });
+        }
+        if (!can(member.role, 'file:share')) {
+            return res.status(403).json({ code: ERROR_CODES.FORBIDDEN, error: 'Dosya paylaşma yetkiniz yok' });
+        }
+        if (isMuted(room, member)) {
+            return res.status(403).json({ code: ERROR_CODES.MUTED, error: 'Sohbette susturuldunuz' });
+        }
+
+        try {
+            const record = await attachments.save(room.code, {
+                buffer: Buffer.isBuffer(req.body) ? req.body : null,
+                kind: req.query.kind,
+                name: req.query.name,
+                declaredType: req.get('Content-Type'),
+                uploadedBy: member.id,
+                clientDuration: req.query.duration
+            });
+            uploadBytes.inc({ kind: 'attachment' }, record.size);
+            req.log.info('Ek yüklendi', { roomCode: room.code, attachmentId: record.id, mimeType: record.mimeType, size: record.size });
+            res.status(201).json(attachmentSummary(record));
+        } catch (error) {
+            if (error instanceof AttachmentError) {
+                return res.status(error.status).json({ code: ERROR_CODES.ATTACHMENT_REJECTED, error: error.message });
+            }
+            req.log.error('Ek kaydedilemedi', { roomCode: room.code, error });
+            res.status(500).json({ error: 'Ek kaydedilemedi' });
+        }
+    });
+
+    function sendAttachment(req, res, thumbnail) {
+        const room = rooms.get(req.params.code.toUpperCase());
+        if (!room || !mediaViewer(room, req)) {
+            return res.status(401).json({ error: 'Geçerli bir oda oturumu gerekli' });
+        }
+
+        const record = attachments.get(room.code, req.params.id);
+        if (!record || (thumbnail && !record.hasThumbnail)) {
+            return res.status(404).json({ error: 'Ek bulunamadı' });
+        }
+
+        // Resim ve ses tarayıcıda açılır, diğer dosyalar indirilir
+        const inline = thumbnail || record.kind !== 'file' || record.mimeType.startsWith('image/');
+        res.sendFile(thumbnail ? attachments.thumbnailPath(record) : attachments.filePath(record), {
+            acceptRanges: true,
+            headers: {
+                'Content-Type': thumbnail ? 'image/jpeg' : record.mimeType,
+                'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(record.name)}`,
+                'X-Content-Type-Options': 'nosniff',
+                'Cache-Control': 'private, max-age=86400'
+            }
+        });
+    }
+
+    app.get('/api/room/:code/attachments/:id', (req, res) => sendAttachment(req, res, false));
+    app.get('/api/room/:code/attachments/:id/thumbnail', (req, res) => sendAttachment(req, res, true));
+
+    // 🛠️ YÖNETİCİ API'Sİ - "Authorization: Bearer <ADMIN_TOKEN>". ADMIN_TOKEN tanımlı değilse kapalıdır.
+    // Her işlem requestId ile birlikte günlüğe yazılır.
+    const ADMIN_TOKEN = env.ADMIN_TOKEN || null;
+    const MAX_NOTICE_LENGTH = 500;
+    const adminSchemas = {
+        reason: object({ reason: optional(string({ max: 200 })) }),
+        notice: object({
+            message: string({ min: 1, max: MAX_NOTICE_LENGTH }),
+            roomCode: optional(string({ max: 10 }))
+        })
+    };
+
+    const admin = express.Router();
+
+    admin.use((req, res, next) => {
+        if (!ADMIN_TOKEN) {
+            return res.status(404).json({ error: 'Yönetici API kapalı' });
+        }
+        if (!verifyBearerToken(req.get('Authorization'), ADMIN_TOKEN)) {
+            req.log.warn('Geçersiz yönetici anahtarı', { ip: req.ip });
+            return res.status(401).json({ code: ERROR_CODES.FORBIDDEN, error: 'Geçersiz yönetici anahtarı' });
+        }
+        next();
+    });
+
+    // Gövde şemaya uymazsa 400 döner ve null verir
+    function adminBody(req, res, schema) {
+        const { value, error } = validatePayload(schema, req.body);
+        if (error) {
+            res.status(400).json({ code: ERROR_CODES.INVALID_PAYLOAD, field: error.field, error: error.message });
+            return null;
+        }
+        return value;
+    }
+
+    function adminRoomSummary(room) {
+        let connected = 0;
+        for (const user of room.users.values()) {
+            if (user.connected !== false) connected++;
+        }
+        return {
+            code: room.code,
+            name: room.name,
+            visibility: room.visibility,
+            category: room.category,
+            hasPassword: Boolean(room.password),
+            owner: room.owner,
+            members: room.users.size,
+            connected,
+            maxMembers: room.maxMembers,
+            nowPlaying: room.video ? { title: room.video.title, type: room.video.type, playing: room.playbackState.playing } : null,
+            queueLength: room.queue.items.length,
+            callParticipants: room.call?.participants.size || 0,
+            createdAt: room.createdAt
+        };
+    }
+
+    function adminUserSummary(room, user) {
+        return {
+            id: user.id,
+            userName: user.userName,
+            role: user.role,
+            connected: user.connected !== false,
+            socketId: user.connected === false ? null : user.socketId,
+            deviceId: user.deviceId || null,
+            muted: isMuted(room, user),
+            inCall: Boolean(user.call),
+            joinedAt: user.joinedAt,
+            lastActiveAt: user.lastActiveAt
+        };
+    }
+
+    admin.get('/rooms', (req, res) => {
+        const list = Array.from(rooms.values())
+            .map(adminRoomSummary)
+            .sort((a, b) => b.members - a.members);
+        res.json({ rooms: list, total: list.length });
+    });
+
+    admin.get('/rooms/:code', (req, res) => {
+        const room = rooms.get(req.params.code.toUpperCase());
+        if (!room) {
+            return res.status(404).json({ code: ERROR_CODES.ROOM_NOT_FOUND, error: 'Oda bulunamadı' });
+        }
+        res.json({
+            ...adminRoomSummary(room),
+            users: Array.from(room.users.values()).map(user => adminUserSummary(room, user))
+        });
+    });
+
+    // Odada olmayanlar dahil tüm açık bağlantılar (kümede tüm sunuculardan)
+    admin.get('/users', async (req, res) => {
+        try {
+            const sockets = await io.fetchSockets();
+            const list = sockets.map(socket => {
+                const membership = socket.data.membership;
+                const user = membership && rooms.get(membership.roomCode)?.users.get(membership.sessionId);
+                return {
+                    socketId: socket.id,
+                    ip: socketAddress(socket),
+                    connectedAt: socket.handshake.time,
+                    roomCode: user ? membership.roomCode : null,
+                    sessionId: user?.id || null,
+                    userName: user?.userName || null,
+                    role: user?.role || null,
+                    node: user?.node || null
+                };
+            });
+            res.json({ users: list, total: list.length });
+        } catch (error) {
+            req.log.error('Bağlantı listesi alınamadı', { error });
+            res.status(500).json({ error: 'Bağlantı listesi alınamadı' });
+        }
+    });
+
+    admin.delete('/rooms/:code', (req, res) => {
+        const body = adminBody(req, res, adminSchemas.reason);
+        if (!body) return;
+
+        const room = rooms.get(req.params.code.toUpperCase());
+        if (!room) {
+            return res.status(404).json({ code: ERROR_CODES.ROOM_NOT_FOUND, error: 'Oda bulunamadı' });
+        }
+
+        const members = room.users.size;
+        closeRoom(room, body.reason);
+        req.log.warn('Yönetici odayı kapattı', { roomCode: room.code, members, reason: body.reason });
+        res.json({ closed: room.code, members });
+    });
+
+    admin.post('/sockets/:socketId/kick', async (req, res) => {
+        const body = adminBody(req, res, adminSchemas.reason);
+        if (!body) return;
+
+        try {
+            const [target] = await io.in(req.params.socketId).fetchSockets();
+            if (!target || target.id !== req.params.socketId) {
+                return res.status(404).json({ code: ERROR_CODES.USER_NOT_FOUND, error: 'Bağlantı bulunamadı' });
+            }
+
+            target.emit('kicked', { by: 'Yönetici', reason: body.reason || null });
+            target.disconnect(true);
+            req.log.warn('Yönetici bağlantıyı attı', { socketId: target.id, roomCode: target.data.membership?.roomCode, reason: body.reason });
+            res.json({ kicked: target.id });
+        } catch (error) {
+            req.log.error('Bağlantı atılamadı', { error });
+            res.status(500).json({ error: 'Bağlantı atılamadı' });
+        }
+    });
+
+    // roomCode verilirse sadece o odaya, verilmezse tüm bağlantılara
+    admin.post('/broadcast', (req, res) => {
+        const body = adminBody(req, res, adminSchemas.notice);
+        if (!body) return;
+
+        const notice = { message: body.message, timestamp: clock.now() };
+        if (body.roomCode) {
+            const room = rooms.get(body.roomCode.toUpperCase());
+            if (!room) {
+                return res.status(404).json({ code: ERROR_CODES.ROOM_NOT_FOUND, error: 'Oda bulunamadı' });
+            }
+            io.to(room.code).emit('system-notice', notice);
+        } else {
+            io.emit('system-notice', notice);
+        }
+        req.log.info('Yönetici duyurusu gönderildi', { roomCode: body.roomCode, length: body.message.length });
+        res.json({ sent: true, roomCode: body.roomCode || null });
+    });
+
+    app.use('/api/admin', admin);
+
+    // Static files
+    app.get('/', (req, res) => {
+        res.sendFile(path.join(__dirname, 'public', 'index.html'));
+    });
+
+    app.get('*', (req, res) => {
+        res.sendFile(path.join(__dirname, 'public', 'index.html'));
+    });
+
+    // 💾 Odaları geri yükle. Kümede önce merkezdeki paylaşılan durum alınır; merkez boşsa
+    // (ilk açılan sunucu) kayıtlı odalar depolamadan yüklenip paylaşılır. Kontrollü kapanışta
+    // alınan görüntü varsa depolamadaki kayıtlardan daha yenidir, onların yerine geçer.
+    // Üyeler yeniden bağlanma süresi içinde oturumlarıyla dönebilir.
+    await bus.ready;
+    const sharedRoomCount = shared ? await shared.load() : 0;
+    const snapshot = readSnapshot(shutdownPolicy.snapshotFile, { maxAge: shutdownPolicy.snapshotMaxAge, now: clock.now() });
+
+    if (sharedRoomCount > 0) {
+        log.info('Odalar kümeden alındı', { rooms: sharedRoomCount, nodes: bus.nodes().length });
+        adoptOrphans();
+    } else {
+        const records = new Map(storage.loadRooms().map(record => [record.code, record]));
+        for (const { record, chat } of snapshot?.rooms || []) {
+            records.set(record.code, record);
+            if (chat) storage.importChat?.(record.code, chat);
+        }
+        if (snapshot) {
+            log.info('Kapanış görüntüsü yüklendi', { rooms: snapshot.rooms.length, savedAt: new Date(snapshot.savedAt).toISOString() });
+        }
+
+        for (const record of records.values()) {
+            const room = recordToRoom(record, clock.now());
+            rooms.set(room.code, room);
+
+            for (const media of [room.video, ...room.queue.items, ...room.queue.proposals]) {
+                if (media?.type === 'file') {
+                    uploadManager.restoreUpload({ roomCode: room.code, ...media });
+                }
+            }
+            for (const user of room.users.values()) {
+                user.node = NODE_ID;
+                holdSeat(room, user);
+            }
+            if (room.users.size === 0) {
+                scheduleRoomCleanup(room.code);
+            }
+            shared?.syncRoom(room);
+        }
+        if (rooms.size > 0) {
+            log.info('Odalar geri yüklendi', { rooms: rooms.size, driver: storage.driver });
+        }
+    }
+    // Ortak ek dizininde diğer sunucuların odaları da olabilir; sadece tek sunucuyken temizlenir
+    if (bus.nodes().length <= 1) {
+        attachments.prune(new Set(rooms.keys()));
+    }
+
+    // Port 0 verilirse işletim sistemi boş bir port seçer; gerçek port döner
+    function listen(port = 0, host) {
+        return new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, host, () => {
+                server.off('error', reject);
+                const actualPort = server.address().port;
+                log.info('Sunucu çalışıyor', {
+                    port: actualPort,
+                    environment: env.NODE_ENV || 'development',
+                    storage: storage.driver,
+                    cluster: clustered ? { node: NODE_ID, nodes: bus.nodes().length } : null,
+                    admin: Boolean(ADMIN_TOKEN)
+                });
+                resolve(actualPort);
+            });
+        });
+    }
+
+    function stopTimers() {
+        for (const interval of intervals) {
+            timers.clearInterval(interval);
+        }
+        intervals.length = 0;
+        for (const timer of [...reconnectTimers.values(), ...cleanupTimers.values()]) {
+            timers.clearTimeout(timer);
+        }
+        reconnectTimers.clear();
+        cleanupTimers.clear();
+        for (const roomCode of Array.from(watchTimers.keys())) {
+            clearWatchTimer(roomCode);
+        }
+        timers.clearTimeout(lobbyTimer);
+        lobbyTimer = null;
+    }
+
+    // 🛑 Kontrollü kapanış:
+    //   1. Yeni oda/katılım reddedilir, istemcilere 'server-restarting' ile tahmini dönüş zamanı gider
+    //   2. SHUTDOWN_DRAIN boyunca mevcut bağlantılar çalışmaya devam eder, sonra kapatılır (üyeler yerini korur)
+    //   3. Odalar, oynatma konumları ve sohbet diske yazılır (süre sınırını server.js uygular)
+    function restartNotice() {
+        return {
+            expectedBackAt: shutdownState.expectedBackAt,
+            retryAfter: Math.max(0, Math.ceil((shutdownState.expectedBackAt - clock.now()) / 1000))
+        };
+    }
+
+    let shutdownPromise = null;
+    function shutdown(signal) {
+        shutdownPromise ??= drainAndPersist(signal);
+        return shutdownPromise;
+    }
+
+    async function drainAndPersist(signal) {
+        // Kümede diğer sunucular açık kalır; istemciler beklemeden onlara bağlanabilir
+        const otherNodes = bus.nodes().filter(node => node !== NODE_ID).length;
+        const startedAt = clock.now();
+        shutdownState = {
+            signal,
+            startedAt,
+            expectedBackAt: startedAt + shutdownPolicy.drain + (otherNodes > 0 ? 0 : shutdownPolicy.restartEta)
+        };
+        log.info('Kontrollü kapanış başladı', { signal, otherNodes, drain: shutdownPolicy.drain, timeout: shutdownPolicy.timeout });
+
+        io.local.emit('server-restarting', restartNotice());
+        server.close();
+        await new Promise(resolve => timers.setTimeout(resolve, shutdownPolicy.drain));
+
+        io.local.disconnectSockets(true);
+        stopTimers();
+
+        try {
+            for (const room of rooms.values()) {
+                persistRoom(room);
+            }
+            await writeSnapshot(shutdownPolicy.snapshotFile, createSnapshot({
+                rooms,
+                storage: nodeStorage,
+                node: NODE_ID,
+                expectedBackAt: shutdownState.expectedBackAt,
+                now: clock.now()
+            }));
+            await storage.flush();
+            log.info('Oda durumu diske yazıldı', { rooms: rooms.size, file: shutdownPolicy.snapshotFile });
+        } catch (error) {
+            log.error('Kapanışta durum yazılamadı', { error });
+        }
+
+        await bus.close();
+        server.closeAllConnections();
+        log.info('Sunucu kapatıldı', { duration: clock.now() - startedAt });
+    }
+
+    // Testler için: bekleme ve görüntü yazmadan hemen kapatır
+    async function close() {
+        stopTimers();
+        const closed = new Promise(resolve => io.close(() => resolve()));
+        server.closeAllConnections();
+        await closed;
+        stopTimers(); // Kopan bağlantıların kurduğu bekleme zamanlayıcıları
+        await storage.flush();
+        await bus.close();
+    }
+
+    return { app, io, server, rooms, users, storage, shutdownPolicy, nodeId: NODE_ID, listen, shutdown, close };
+}
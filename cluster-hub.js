@@ -0,0 +1,17 @@
+// cluster-hub.js - Yerel küme merkezi. Birden fazla sunucuyu aynı makinede denemek için:
+//   node cluster-hub.js
+//   CLUSTER_URL=tcp://127.0.0.1:7400 PORT=10000 node server.js
+//   CLUSTER_URL=tcp://127.0.0.1:7400 PORT=10001 node server.js
+import { createHub } from './lib/cluster/hub.js';
+import { logger } from './lib/logger.js';
+
+const log = logger.child({ component: 'cluster-hub' });
+const port = parseInt(process.env.CLUSTER_HUB_PORT, 10) || 7400;
+const host = process.env.CLUSTER_HUB_HOST || '127.0.0.1';
+
+const hub = createHub();
+const address = await hub.listen(port, host);
+log.info('Küme merkezi çalışıyor', { host: address.address, port: address.port });
+
+process.on('SIGTERM', () => hub.close().then(() => process.exit(0)));
+process.on('SIGINT', () => hub.close().then(() => process.exit(0)));
@@ -0,0 +1,328 @@
+// lib/attachments.js - Sohbet ekleri (dosya, fotoğraf, sesli mesaj)
+//
+// Ekler mesajdan ayrı yüklenir ve diskte oda klasöründe tutulur:
+//   <dir>/<ODA>/<id>            dosyanın kendisi
+//   <dir>/<ODA>/<id>.thumb.jpg  fotoğraflar için küçük resim
+//   <dir>/<ODA>/<id>.json       kayıt (tür, boyut, süre...) - yeniden başlatmada buradan okunur
+// Mesajlarda sadece ek kimliği ve özeti bulunur; içerik yetkili indirme adresinden gelir.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import sharp from 'sharp';
+
+const MB = 1024 * 1024;
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const AUDIO_TYPES = ['audio/webm', 'audio/ogg', 'audio/mpeg', 'audio/wav', 'audio/mp4'];
+
+// Tür başına izin verilen (içerikten tespit edilen) MIME tipleri ve boyut sınırı
+export const ATTACHMENT_POLICY = {
+    image: { maxSize: 10 * MB, mimeTypes: IMAGE_TYPES },
+    audio: { maxSize: 10 * MB, mimeTypes: AUDIO_TYPES },
+    file: {
+        maxSize: 25 * MB,
+        mimeTypes: ['application/pdf', 'application/zip', 'text/plain', ...IMAGE_TYPES, ...AUDIO_TYPES]
+    }
+};
+
+export const MAX_ATTACHMENT_SIZE = Math.max(...Object.values(ATTACHMENT_POLICY).map(policy => policy.maxSize));
+export const MAX_VOICE_DURATION = 10 * 60; // saniye
+
+const THUMBNAIL_SIZE = 320;
+const ID_PATTERN = /^[a-f0-9-]{36}$/;
+
+export class AttachmentError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AttachmentError';
+        this.status = status;
+    }
+}
+
+function startsWith(buffer, bytes, offset = 0) {
+    return buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+function ascii(buffer, start, end) {
+    return buffer.toString('latin1', start, end);
+}
+
+function looksLikeText(buffer) {
+    const sample = buffer.subarray(0, 8192);
+    if (sample.includes(0)) return false;
+    try {
+        // stream: örnek sonunda yarım kalan çok baytlı karakter hata sayılmaz
+        new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// İçerikten MIME tipi tespiti. İstemcinin bildirdiği tip sadece WebM/MP4'ün ses mi video mu
+// olduğuna karar verirken kullanılır; tanınmayan içerik null döner.
+export function sniffMimeType(buffer, declaredType = '') {
+    const declaredAudio = String(declaredType).startsWith('audio/');
+
+    if (startsWith(buffer, [0xFF, 0xD8, 0xFF])) return 'image/jpeg';
+    if (startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'image/png';
+    if (ascii(buffer, 0, 6) === 'GIF87a' || ascii(buffer, 0, 6) === 'GIF89a') return 'image/gif';
+    if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP') return 'image/webp';
+    if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WAVE') return 'audio/wav';
+    if (ascii(buffer, 0, 5) === '%PDF-') return 'application/pdf';
+    if (startsWith(buffer, [0x50, 0x4B, 0x03, 0x04])) return 'application/zip';
+    if (ascii(buffer, 0, 4) === 'OggS') return 'audio/ogg';
+    if (startsWith(buffer, [0x1A, 0x45, 0xDF, 0xA3])) return declaredAudio ? 'audio/webm' : 'video/webm';
+    if (ascii(buffer, 4, 8) === 'ftyp') {
+        return declaredAudio || ascii(buffer, 8, 11) === 'M4A' ? 'audio/mp4' : 'video/mp4';
+    }
+    if (ascii(buffer, 0, 3) === 'ID3' || (buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0)) return 'audio/mpeg';
+    if (buffer.length > 0 && looksLikeText(buffer)) return 'text/plain';
+    return null;
+}
+
+// 🎙️ SES SÜRESİ - kapsayıcıdan okunabiliyorsa saniye, değilse null
+// (tarayıcı MediaRecorder çıktısındaki WebM dosyalarında süre alanı çoğu zaman yoktur)
+function wavDuration(buffer) {
+    let offset = 12;
+    let byteRate = 0;
+    while (offset + 8 <= buffer.length) {
+        const id = ascii(buffer, offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        if (id === 'fmt ' && offset + 16 <= buffer.length) {
+            byteRate = buffer.readUInt32LE(offset + 16);
+        } else if (id === 'data' && byteRate > 0) {
+            return Math.min(size, buffer.length - offset - 8) / byteRate;
+        }
+        offset += 8 + size + (size % 2);
+    }
+    return null;
+}
+
+function oggDuration(buffer) {
+    let sampleRate = null;
+    let preSkip = 0;
+    const opusHead = buffer.indexOf('OpusHead');
+    const vorbisHead = buffer.indexOf('\x01vorbis', 0, 'latin1');
+    if (opusHead >= 0 && opusHead + 12 <= buffer.length) {
+        sampleRate = 48000;
+        preSkip = buffer.readUInt16LE(opusHead + 10);
+    } else if (vorbisHead >= 0 && vorbisHead + 16 <= buffer.length) {
+        sampleRate = buffer.readUInt32LE(vorbisHead + 12);
+    }
+
+    const lastPage = buffer.lastIndexOf('OggS');
+    if (!sampleRate || lastPage < 0 || lastPage + 14 > buffer.length) return null;
+
+    const granule = Number(buffer.readBigInt64LE(lastPage + 6));
+    return granule > 0 ? (granule - preSkip) / sampleRate : null;
+}
+
+function mp4Duration(buffer) {
+    const box = buffer.indexOf('mvhd');
+    if (box < 0) return null;
+
+    const start = box + 4;
+    const version = buffer[start];
+    if (version === 1 && start + 32 <= buffer.length) {
+        const timescale = buffer.readUInt32BE(start + 20);
+        return timescale ? Number(buffer.readBigUInt64BE(start + 24)) / timescale : null;
+    }
+    if (start + 20 <= buffer.length) {
+        const timescale = buffer.readUInt32BE(start + 12);
+        return timescale ? buffer.readUInt32BE(start + 16) / timescale : null;
+    }
+    return null;
+}
+
+function webmDuration(buffer) {
+    // Segment > Info > Duration (0x4489, float, TimecodeScale biriminde).
+    // Info öğesi dosyanın başındadır; ses verisinde rastlantısal eşleşme olmasın diye sadece başa bakılır.
+    const header = buffer.subarray(0, 4096);
+    const durationAt = header.indexOf(Buffer.from([0x44, 0x89]));
+    if (durationAt < 0 || durationAt + 3 > buffer.length) return null;
+
+    const sizeByte = buffer[durationAt + 2];
+    const size = sizeByte & 0x7F;
+    if (!(sizeByte & 0x80) || (size !== 4 && size !== 8) || durationAt + 3 + size > buffer.length) return null;
+    const duration = size === 4 ? buffer.readFloatBE(durationAt + 3) : buffer.readDoubleBE(durationAt + 3);
+
+    let timecodeScale = 1000000;
+    const scaleAt = header.indexOf(Buffer.from([0x2A, 0xD7, 0xB1]));
+    if (scaleAt >= 0 && scaleAt + 4 <= buffer.length) {
+        const scaleSize = buffer[scaleAt + 3] & 0x7F;
+        if (scaleSize >= 1 && scaleSize <= 4 && scaleAt + 4 + scaleSize <= buffer.length) {
+            timecodeScale = buffer.readUIntBE(scaleAt + 4, scaleSize);
+        }
+    }
+    return (duration * timecodeScale) / 1e9;
+}
+
+export function audioDuration(buffer, mimeType) {
+    const readers = {
+        'audio/wav': wavDuration,
+        'audio/ogg': oggDuration,
+        'audio/mp4': mp4Duration,
+        'audio/webm': webmDuration
+    };
+    try {
+        const seconds = readers[mimeType]?.(buffer);
+        return Number.isFinite(seconds) && seconds > 0 ? Math.round(seconds * 10) / 10 : null;
+    } catch {
+        return null;
+    }
+}
+
+function safeFileName(name, fallback) {
+    const base = path.basename(String(name || '')).replace(/[\u0000-\u001f\u007f"\\/]/g, '').trim();
+    return (base || fallback).slice(0, 255);
+}
+
+// Mesaja eklenen özet; disk yolları ve yükleyen bilgisi istemciye gitmez
+export function attachmentSummary(record) {
+    return {
+        id: record.id,
+        kind: record.kind,
+        name: record.name,
+        mimeType: record.mimeType,
+        size: record.size,
+        width: record.width ?? null,
+        height: record.height ?? null,
+        duration: record.duration ?? null,
+        hasThumbnail: Boolean(record.hasThumbnail)
+    };
+}
+
+export function createAttachmentStore({ dir, now = () => Date.now() }) {
+    const records = new Map(); // "<ODA>/<id>" -> kayıt
+
+    fs.mkdirSync(dir, { recursive: true });
+
+    function roomDir(roomCode) {
+        return path.join(dir, roomCode);
+    }
+
+    function filePath(record) {
+        return path.join(roomDir(record.roomCode), record.id);
+    }
+
+    function thumbnailPath(record) {
+        return path.join(roomDir(record.roomCode), `${record.id}.thumb.jpg`);
+    }
+
+    async function createThumbnail(buffer) {
+        const image = sharp(buffer, { animated: false }).rotate();
+        const { width, height } = await image.metadata();
+        const thumbnail = await image
+            .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+            .jpeg({ quality: 75 })
+            .toBuffer();
+        return { width, height, thumbnail };
+    }
+
+    // kind: 'file' | 'image' | 'audio'. clientDuration: kayıt süresi (sn), kapsayıcıda yoksa kullanılır
+    async function save(roomCode, { buffer, kind, name, declaredType, uploadedBy, clientDuration }) {
+        const policy = ATTACHMENT_POLICY[kind];
+        if (!policy) {
+            throw new AttachmentError('Geçersiz ek türü');
+        }
+        if (!buffer || buffer.length === 0) {
+            throw new AttachmentError('Dosya boş');
+        }
+        if (buffer.length > policy.maxSize) {
+            throw new AttachmentError(`Dosya boyutu ${Math.floor(policy.maxSize / MB)}MB sınırını aşıyor`, 413);
+        }
+
+        const mimeType = sniffMimeType(buffer, declaredType);
+        if (!mimeType || !policy.mimeTypes.includes(mimeType)) {
+            throw new AttachmentError('Bu dosya türüne izin verilmiyor', 415);
+        }
+
+        const record = {
+            id: crypto.randomUUID(),
+            roomCode,
+            kind,
+            name: safeFileName(name, kind === 'audio' ? 'ses-kaydi' : 'dosya'),
+            mimeType,
+            size: buffer.length,
+            uploadedBy,
+            uploadedAt: now()
+        };
+
+        let thumbnail = null;
+        if (IMAGE_TYPES.includes(mimeType)) {
+            try {
+                const image = await createThumbnail(buffer);
+                record.width = image.width;
+                record.height = image.height;
+                record.hasThumbnail = true;
+                thumbnail = image.thumbnail;
+            } catch {
+                // Çözümlenemeyen resim fotoğraf olarak kabul edilmez
+                if (kind === 'image') {
+                    throw new AttachmentError('Resim okunamadı', 415);
+                }
+            }
+        }
+
+        if (kind === 'audio') {
+            const requested = Number(clientDuration);
+            const fallback = Number.isFinite(requested) && requested > 0 ? Math.round(requested * 10) / 10 : null;
+            record.duration = audioDuration(buffer, mimeType) ?? fallback;
+            if (record.duration > MAX_VOICE_DURATION) {
+                throw new AttachmentError(`Sesli mesaj en fazla ${MAX_VOICE_DURATION / 60} dakika olabilir`, 413);
+            }
+        }
+
+        await fs.promises.mkdir(roomDir(roomCode), { recursive: true });
+        await fs.promises.writeFile(filePath(record), buffer);
+        if (thumbnail) {
+            await fs.promises.writeFile(thumbnailPath(record), thumbnail);
+        }
+        await fs.promises.writeFile(path.join(roomDir(roomCode), `${record.id}.json`), JSON.stringify(record));
+
+        records.set(`${roomCode}/${record.id}`, record);
+        return record;
+    }
+
+    // Önbellekte yoksa diskteki kayıttan okunur (sunucu yeniden başlamış olabilir)
+    function get(roomCode, id) {
+        if (typeof id !== 'string' || !ID_PATTERN.test(id)) return null;
+
+        const key = `${roomCode}/${id}`;
+        if (records.has(key)) return records.get(key);
+
+        try {
+            const record = JSON.parse(fs.readFileSync(path.join(roomDir(roomCode), `${id}.json`), 'utf8'));
+            records.set(key, record);
+            return record;
+        } catch {
+            return null;
+        }
+    }
+
+    function remove(roomCode, id) {
+        const record = get(roomCode, id);
+        if (!record) return;
+
+        records.delete(`${roomCode}/${id}`);
+        for (const file of [filePath(record), thumbnailPath(record), path.join(roomDir(roomCode), `${id}.json`)]) {
+            fs.rm(file, { force: true }, () => {});
+        }
+    }
+
+    function removeRoom(roomCode) {
+        for (const key of records.keys()) {
+            if (key.startsWith(`${roomCode}/`)) records.delete(key);
+        }
+        fs.rm(roomDir(roomCode), { recursive: true, force: true }, () => {});
+    }
+
+    // Açılışta artık var olmayan odaların eklerini sil
+    function prune(activeRoomCodes) {
+        for (const roomCode of fs.readdirSync(dir)) {
+            if (!activeRoomCodes.has(roomCode)) removeRoom(roomCode);
+        }
+    }
+
+    return { save, get, filePath, thumbnailPath, remove, removeRoom, prune };
+}
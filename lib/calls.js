@@ -0,0 +1,72 @@
+// lib/calls.js - Oda içi grup araması (katılımcı listesi ve medya durumları)
+//
+// Şimdilik tam örgü (mesh): her katılımcı diğer her katılımcıyla ayrı bir bağlantı kurar,
+// sunucu sadece ikili sinyalleri iletir. 'topology' alanı ileride SFU'ya geçiş için tutulur.
+import crypto from 'crypto';
+
+export const CALL_TYPES = ['audio', 'video'];
+
+export function createCall(type, startedBy, now = Date.now()) {
+    return {
+        id: crypto.randomUUID(),
+        type: CALL_TYPES.includes(type) ? type : 'audio',
+        topology: 'mesh',
+        startedBy,
+        startedAt: now,
+        participants: new Map() // sessionId -> { userId, audioMuted, videoOff, joinedAt }
+    };
+}
+
+export function isParticipant(call, userId) {
+    return Boolean(call && call.participants.has(userId));
+}
+
+export function isCallFull(call, maxParticipants) {
+    return call.participants.size >= maxParticipants;
+}
+
+// Tekrar katılım (yeniden bağlanma) mevcut kaydı korur, sadece medya durumunu günceller
+export function joinCall(call, userId, media = {}, now = Date.now()) {
+    const existing = call.participants.get(userId);
+    const participant = {
+        userId,
+        audioMuted: Boolean(media.audioMuted),
+        videoOff: call.type === 'audio' ? true : Boolean(media.videoOff),
+        joinedAt: existing?.joinedAt || now
+    };
+    call.participants.set(userId, participant);
+    return participant;
+}
+
+export function leaveCall(call, userId) {
+    return call.participants.delete(userId);
+}
+
+export function setMediaState(call, userId, media = {}) {
+    const participant = call.participants.get(userId);
+    if (!participant) return null;
+
+    if (typeof media.audioMuted === 'boolean') {
+        participant.audioMuted = media.audioMuted;
+    }
+    if (typeof media.videoOff === 'boolean' && call.type === 'video') {
+        participant.videoOff = media.videoOff;
+    }
+    return participant;
+}
+
+export function serializeCall(call, users) {
+    if (!call) return null;
+
+    return {
+        id: call.id,
+        type: call.type,
+        topology: call.topology,
+        startedBy: call.startedBy,
+        startedAt: call.startedAt,
+        participants: Array.from(call.participants.values()).map(participant => ({
+            ...participant,
+            userName: users.get(participant.userId)?.userName || null
+        }))
+    };
+}
@@ -0,0 +1,36 @@
+// lib/cluster/adapter.js - Mesaj yolu üzerinden çalışan Socket.IO küme adaptörü
+//
+// socket.io-adapter'ın ClusterAdapterWithHeartbeat sınıfı yayın, oda katılımı, uzak bağlantı
+// kesme, fetchSockets ve onaylı (ack) yayınların protokolünü zaten uygular; burada sadece
+// mesajların taşınması tanımlanır:
+//   sio:<namespace>          -> tüm sunuculara giden istekler
+//   sio:<namespace>:<uid>    -> tek bir sunucuya dönen yanıtlar
+import { ClusterAdapterWithHeartbeat } from 'socket.io-adapter';
+
+export function createBusAdapter(bus, options = {}) {
+    return class BusAdapter extends ClusterAdapterWithHeartbeat {
+        constructor(nsp) {
+            super(nsp, options);
+            this.channel = `sio:${nsp.name}`;
+            this.unsubscribers = [
+                bus.subscribe(this.channel, message => this.onMessage(message)),
+                bus.subscribe(`${this.channel}:${this.uid}`, response => this.onResponse(response))
+            ];
+        }
+
+        doPublish(message) {
+            bus.publish(this.channel, message);
+            return Promise.resolve('');
+        }
+
+        doPublishResponse(requesterUid, response) {
+            bus.publish(`${this.channel}:${requesterUid}`, response);
+            return Promise.resolve();
+        }
+
+        close() {
+            super.close();
+            for (const unsubscribe of this.unsubscribers) unsubscribe();
+        }
+    };
+}
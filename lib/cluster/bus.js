@@ -0,0 +1,240 @@
+// lib/cluster/bus.js - Sunucular arası mesaj yolu ve paylaşılan anahtar-değer durumu
+//
+// CLUSTER_URL verilmezse 'memory' sürücüsü kullanılır: tek süreç, her şey yerel kalır.
+// CLUSTER_URL=tcp://127.0.0.1:7400 ise cluster-hub.js'e bağlanılır.
+//
+// Arayüz:
+//   publish(kanal, veri)          subscribe(kanal, işleyici) -> aboneliği bırakan fonksiyon
+//   set(anahtar, değer)           remove(anahtar)
+//   onChange(işleyici(anahtar, değer|null))   -> sadece diğer sunuculardan gelen değişiklikler
+//   load(önek) -> Promise<[anahtar, değer][]> onNodes(işleyici(sunucular))   nodes()
+//   onReconnect(işleyici)         ready (Promise)   close()
+import net from 'net';
+import crypto from 'crypto';
+import os from 'os';
+import { EventEmitter } from 'events';
+import { encodeFrame, createFrameReader } from './frames.js';
+import { logger } from '../logger.js';
+
+const RECONNECT_DELAY = 1000;
+const LOAD_TIMEOUT = 5000;
+
+export function createNodeId() {
+    return `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+export function createBus({ url, nodeId = createNodeId() } = {}) {
+    if (!url) {
+        return createMemoryBus(nodeId);
+    }
+
+    const { protocol, hostname, port } = new URL(url);
+    if (protocol !== 'tcp:' || !port) {
+        throw new Error(`Geçersiz CLUSTER_URL: ${url} (ör. tcp://127.0.0.1:7400)`);
+    }
+    return createTcpBus({ host: hostname, port: Number(port), nodeId });
+}
+
+function createMemoryBus(nodeId) {
+    const events = new EventEmitter();
+    const state = new Map();
+
+    return {
+        driver: 'memory',
+        nodeId,
+        ready: Promise.resolve(),
+        publish(channel, data) {
+            events.emit(`msg:${channel}`, data);
+        },
+        subscribe(channel, handler) {
+            events.on(`msg:${channel}`, handler);
+            return () => events.off(`msg:${channel}`, handler);
+        },
+        set(key, value) {
+            state.set(key, value);
+        },
+        remove(key) {
+            state.delete(key);
+        },
+        onChange() {},
+        async load(prefix = '') {
+            return Array.from(state.entries()).filter(([key]) => key.startsWith(prefix));
+        },
+        nodes: () => [nodeId],
+        onNodes() {},
+        onReconnect() {},
+        async close() {}
+    };
+}
+
+function createTcpBus({ host, port, nodeId }) {
+    const log = logger.child({ component: 'cluster', nodeId });
+    const events = new EventEmitter();
+    const channels = new Map();      // kanal -> işleyici sayısı
+    const pendingWrites = new Map(); // anahtar -> merkezden yankısı beklenen kendi yazmalarımız
+    const loads = new Map();         // istek id -> { resolve, reject, timer }
+    let socket = null;
+    let connected = false;
+    let closing = false;
+    let everConnected = false;
+    let liveNodes = [nodeId];
+    let resolveReady;
+    const ready = new Promise(resolve => { resolveReady = resolve; });
+
+    function send(frame) {
+        if (connected) {
+            socket.write(encodeFrame(frame));
+            return true;
+        }
+        return false;
+    }
+
+    function handleFrame(frame) {
+        switch (frame.op) {
+            case 'msg':
+                events.emit(`msg:${frame.channel}`, frame.data);
+                break;
+            case 'set': {
+                // Kendi yazmamızın yankısı: zaten uygulandı. Bekleyen kendi yazmamız varken gelen
+                // başka bir yazma merkezde ondan önce sıralanmıştır, bizimki onu ezecek.
+                const pending = pendingWrites.get(frame.key) || 0;
+                if (frame.node === nodeId) {
+                    if (pending <= 1) pendingWrites.delete(frame.key);
+                    else pendingWrites.set(frame.key, pending - 1);
+                    break;
+                }
+                if (pending > 0) break;
+                events.emit('change', frame.key, frame.value);
+                break;
+            }
+            case 'loaded': {
+                const request = loads.get(frame.id);
+                if (request) {
+                    clearTimeout(request.timer);
+                    loads.delete(frame.id);
+                    request.resolve(frame.entries || []);
+                }
+                break;
+            }
+            case 'nodes':
+                liveNodes = frame.nodes;
+                events.emit('nodes', liveNodes);
+                break;
+        }
+    }
+
+    function connect() {
+        socket = net.connect({ host, port });
+        socket.setEncoding('utf8');
+        socket.setNoDelay(true);
+
+        const read = createFrameReader(handleFrame);
+        socket.on('data', (chunk) => {
+            try {
+                read(chunk);
+            } catch (error) {
+                log.error('Küme merkezinden bozuk veri', { error });
+                socket.destroy();
+            }
+        });
+
+        socket.on('connect', () => {
+            connected = true;
+            pendingWrites.clear();
+            socket.write(encodeFrame({ op: 'hello', node: nodeId }));
+            for (const channel of channels.keys()) {
+                socket.write(encodeFrame({ op: 'sub', channel }));
+            }
+            log.info('Küme merkezine bağlanıldı', { host, port });
+
+            if (everConnected) {
+                events.emit('reconnect');
+            }
+            everConnected = true;
+            resolveReady();
+        });
+
+        socket.on('error', (error) => {
+            if (!connected) {
+                log.warn('Küme merkezine bağlanılamadı, yeniden denenecek', { host, port, reason: error.message });
+            }
+        });
+
+        socket.on('close', () => {
+            const wasConnected = connected;
+            connected = false;
+            if (wasConnected && !closing) {
+                log.error('Küme merkezi bağlantısı koptu');
+                liveNodes = [nodeId];
+            }
+            if (!closing) {
+                setTimeout(connect, RECONNECT_DELAY).unref();
+            }
+        });
+    }
+
+    connect();
+
+    return {
+        driver: 'tcp',
+        nodeId,
+        ready,
+        publish(channel, data) {
+            send({ op: 'pub', channel, data });
+        },
+        subscribe(channel, handler) {
+            events.on(`msg:${channel}`, handler);
+            const count = channels.get(channel) || 0;
+            channels.set(channel, count + 1);
+            if (count === 0) send({ op: 'sub', channel });
+
+            return () => {
+                events.off(`msg:${channel}`, handler);
+                const remaining = (channels.get(channel) || 1) - 1;
+                if (remaining > 0) {
+                    channels.set(channel, remaining);
+                } else {
+                    channels.delete(channel);
+                    send({ op: 'unsub', channel });
+                }
+            };
+        },
+        set(key, value) {
+            if (send({ op: 'set', key, value })) {
+                pendingWrites.set(key, (pendingWrites.get(key) || 0) + 1);
+            }
+        },
+        remove(key) {
+            this.set(key, null);
+        },
+        onChange(handler) {
+            events.on('change', handler);
+        },
+        load(prefix = '') {
+            return new Promise((resolve, reject) => {
+                const id = crypto.randomUUID();
+                const timer = setTimeout(() => {
+                    loads.delete(id);
+                    reject(new Error('Küme durumu yüklenemedi (zaman aşımı)'));
+                }, LOAD_TIMEOUT);
+                loads.set(id, { resolve, reject, timer });
+                if (!send({ op: 'load', id, prefix })) {
+                    clearTimeout(timer);
+                    loads.delete(id);
+                    reject(new Error('Küme merkezine bağlı değil'));
+                }
+            });
+        },
+        nodes: () => liveNodes,
+        onNodes(handler) {
+            events.on('nodes', handler);
+        },
+        onReconnect(handler) {
+            events.on('reconnect', handler);
+        },
+        async close() {
+            closing = true;
+            socket?.end();
+        }
+    };
+}
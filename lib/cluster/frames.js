@@ -0,0 +1,47 @@
+// lib/cluster/frames.js - Merkez (hub) ile sunucular arasındaki satır tabanlı JSON çerçeveleri
+//
+// Her çerçeve tek satırlık bir JSON nesnesidir ve { op } alanı taşır.
+// Buffer'lar JSON'da { type: 'Buffer', data: [...] } olarak gider, alıcıda geri çevrilir.
+
+export const MAX_FRAME_LENGTH = 16 * 1024 * 1024;
+
+function revive(key, value) {
+    if (value && value.type === 'Buffer' && Array.isArray(value.data)) {
+        return Buffer.from(value.data);
+    }
+    return value;
+}
+
+export function encodeFrame(frame) {
+    return JSON.stringify(frame) + '\n';
+}
+
+// Soketten gelen parçaları satırlara böler; bozuk satır bağlantıyı düşürmez, atlanır
+export function createFrameReader(onFrame, { reviveBuffers = true } = {}) {
+    let buffered = '';
+
+    return (chunk) => {
+        buffered += chunk;
+        if (buffered.length > MAX_FRAME_LENGTH && !buffered.includes('\n')) {
+            buffered = '';
+            throw new Error('Küme çerçevesi çok büyük');
+        }
+
+        let newline;
+        while ((newline = buffered.indexOf('\n')) !== -1) {
+            const line = buffered.slice(0, newline);
+            buffered = buffered.slice(newline + 1);
+            if (!line) continue;
+
+            let frame;
+            try {
+                frame = JSON.parse(line, reviveBuffers ? revive : undefined);
+            } catch {
+                continue;
+            }
+            if (frame && typeof frame.op === 'string') {
+                onFrame(frame);
+            }
+        }
+    };
+}
@@ -0,0 +1,105 @@
+// lib/cluster/hub.js - Yerel küme merkezi (birden fazla sunucuyu tek makinede denemek için)
+//
+// Redis benzeri iki görevi vardır:
+//   1. Yayın/abonelik: 'pub' çerçevesi kanala abone olan diğer sunuculara iletilir (Socket.IO adaptörü)
+//   2. Paylaşılan durum: 'set' çerçevesi saklanır ve gönderen dahil herkese aynı sırayla iletilir.
+//      Herkes değişiklikleri merkezin sırasıyla gördüğü için aynı anahtara yapılan eşzamanlı
+//      yazmalarda bile tüm sunucular aynı son değerde buluşur.
+// Bağlı sunucuların listesi her değişimde 'nodes' çerçevesiyle duyurulur.
+import net from 'net';
+import { encodeFrame, createFrameReader } from './frames.js';
+
+export function createHub() {
+    const clients = new Set();     // { socket, nodeId, channels }
+    const state = new Map();       // anahtar -> değer
+
+    function send(client, frame) {
+        if (!client.socket.destroyed) {
+            client.socket.write(encodeFrame(frame));
+        }
+    }
+
+    function announceNodes() {
+        const nodes = Array.from(clients).map(client => client.nodeId).filter(Boolean);
+        for (const client of clients) {
+            if (client.nodeId) send(client, { op: 'nodes', nodes });
+        }
+    }
+
+    function handleFrame(client, frame) {
+        switch (frame.op) {
+            case 'hello':
+                client.nodeId = String(frame.node);
+                announceNodes();
+                break;
+            case 'sub':
+                client.channels.add(frame.channel);
+                break;
+            case 'unsub':
+                client.channels.delete(frame.channel);
+                break;
+            case 'pub':
+                for (const other of clients) {
+                    if (other !== client && other.channels.has(frame.channel)) {
+                        send(other, { op: 'msg', channel: frame.channel, data: frame.data });
+                    }
+                }
+                break;
+            case 'set':
+                if (frame.value === null) {
+                    state.delete(frame.key);
+                } else {
+                    state.set(frame.key, frame.value);
+                }
+                for (const other of clients) {
+                    send(other, { op: 'set', key: frame.key, value: frame.value, node: client.nodeId });
+                }
+                break;
+            case 'load': {
+                const prefix = String(frame.prefix || '');
+                const entries = Array.from(state.entries()).filter(([key]) => key.startsWith(prefix));
+                send(client, { op: 'loaded', id: frame.id, entries });
+                break;
+            }
+        }
+    }
+
+    const server = net.createServer((socket) => {
+        const client = { socket, nodeId: null, channels: new Set() };
+        clients.add(client);
+        socket.setEncoding('utf8');
+        socket.setNoDelay(true);
+
+        const read = createFrameReader(frame => handleFrame(client, frame), { reviveBuffers: false });
+        socket.on('data', (chunk) => {
+            try {
+                read(chunk);
+            } catch {
+                socket.destroy();
+            }
+        });
+        socket.on('error', () => {});
+        socket.on('close', () => {
+            clients.delete(client);
+            if (client.nodeId) announceNodes();
+        });
+    });
+
+    return {
+        server,
+        state,
+        listen(port, host = '127.0.0.1') {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, host, () => {
+                    server.off('error', reject);
+                    resolve(server.address());
+                });
+            });
+        },
+        close() {
+            for (const client of clients) client.socket.destroy();
+            return new Promise(resolve => server.close(() => resolve()));
+        }
+    };
+}
@@ -0,0 +1,168 @@
+// lib/cluster/state.js - Odaların sunucular arasında paylaşılan durumu
+//
+// Her sunucu odaların tam bir kopyasını 'rooms' Map'inde tutar; kod bu Map'i eskisi gibi
+// eşzamanlı okur ve değiştirir. syncRoom() değişen kısımları mesaj yoluna yazar:
+//   room:<KOD>            -> oda alanları (oynatma, sıra, yasaklar, arama...) - üyeler hariç
+//   member:<KOD>:<OTURUM> -> tek bir üyenin kaydı (bağlı olduğu sunucu ve socket id dahil)
+// Sadece son bilinen halinden farklı olan anahtarlar yazılır; böylece iki sunucu aynı odanın
+// farklı üyelerini aynı anda değiştirse de birbirinin değişikliğini ezmez.
+// Diğer sunuculardan gelen değişiklikler mevcut nesnelere yerinde uygulanır (kapanışlardaki
+// currentUser gibi referanslar geçerli kalır).
+
+const ROOM_PREFIX = 'room:';
+const MEMBER_PREFIX = 'member:';
+
+function roomKey(roomCode) {
+    return `${ROOM_PREFIX}${roomCode}`;
+}
+
+function memberKey(roomCode, userId) {
+    return `${MEMBER_PREFIX}${roomCode}:${userId}`;
+}
+
+export function serializeRoomState(room) {
+    const { users, messages, bans, mutes, call, createdAt, ...fields } = room;
+    return {
+        ...fields,
+        bans: Array.from(bans),
+        mutes: Array.from(mutes.entries()),
+        call: call ? { ...call, participants: Array.from(call.participants.entries()) } : null,
+        createdAt: new Date(createdAt).getTime()
+    };
+}
+
+function applyRoomState(room, state) {
+    const { bans, mutes, call, createdAt, ...fields } = state;
+    Object.assign(room, fields);
+    room.bans = new Set(bans);
+    room.mutes = new Map(mutes);
+    room.call = call ? { ...call, participants: new Map(call.participants) } : null;
+    room.createdAt = new Date(createdAt);
+    return room;
+}
+
+// Üye kaydı düz JSON'dur; kaldırılan alanlar da silinsin diye nesnenin içeriği değiştirilir
+function applyMemberState(user, state) {
+    for (const key of Object.keys(user)) {
+        if (!(key in state)) delete user[key];
+    }
+    return Object.assign(user, state);
+}
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// onRemoteChange({ type: 'room' | 'room-removed' | 'member' | 'member-removed', room, user, created })
+export function createSharedRooms({ bus, rooms, onRemoteChange = () => {} }) {
+    const known = new Map(); // anahtar -> son yazılan/alınan JSON
+
+    function write(key, value) {
+        const json = JSON.stringify(value);
+        if (known.get(key) === json) return;
+        known.set(key, json);
+        bus.set(key, JSON.parse(json));
+    }
+
+    function forget(key) {
+        if (!known.has(key)) return;
+        known.delete(key);
+        bus.remove(key);
+    }
+
+    // Yerel değişiklikleri yayınla. Önce oda, sonra üyeler: alıcı üyeyi odasından önce görmez.
+    function syncRoom(room) {
+        if (rooms.get(room.code) !== room) return;
+
+        write(roomKey(room.code), serializeRoomState(room));
+        for (const user of room.users.values()) {
+            write(memberKey(room.code, user.id), user);
+        }
+        // Odadan çıkan üyeler
+        const prefix = `${MEMBER_PREFIX}${room.code}:`;
+        for (const key of Array.from(known.keys())) {
+            if (key.startsWith(prefix) && !room.users.has(key.slice(prefix.length))) {
+                forget(key);
+            }
+        }
+    }
+
+    function dropRoom(roomCode) {
+        const prefix = `${MEMBER_PREFIX}${roomCode}:`;
+        for (const key of Array.from(known.keys())) {
+            if (key.startsWith(prefix)) forget(key);
+        }
+        forget(roomKey(roomCode));
+    }
+
+    // Merkez yeniden başladıysa elimizdeki her şey tekrar yazılır
+    function republishAll() {
+        known.clear();
+        for (const room of rooms.values()) {
+            syncRoom(room);
+        }
+    }
+
+    function applyRoom(roomCode, state) {
+        const room = rooms.get(roomCode);
+        if (!state) {
+            if (!room) return;
+            rooms.delete(roomCode);
+            for (const key of Array.from(known.keys())) {
+                if (key === roomKey(roomCode) || key.startsWith(`${MEMBER_PREFIX}${roomCode}:`)) known.delete(key);
+            }
+            onRemoteChange({ type: 'room-removed', room });
+            return;
+        }
+
+        const target = room || { users: new Map(), messages: [] };
+        applyRoomState(target, state);
+        if (!room) rooms.set(roomCode, target);
+        known.set(roomKey(roomCode), JSON.stringify(serializeRoomState(target)));
+        onRemoteChange({ type: 'room', room: target, created: !room });
+    }
+
+    function applyMember(roomCode, userId, state) {
+        const room = rooms.get(roomCode);
+        const key = memberKey(roomCode, userId);
+        if (!room) return;
+
+        const user = room.users.get(userId);
+        if (!state) {
+            known.delete(key);
+            if (!user) return;
+            room.users.delete(userId);
+            onRemoteChange({ type: 'member-removed', room, user });
+            return;
+        }
+
+        const target = applyMemberState(user || {}, state);
+        if (!user) room.users.set(userId, target);
+        known.set(key, JSON.stringify(target));
+        onRemoteChange({ type: 'member', room, user: target, created: !user });
+    }
+
+    function applyChange(key, value) {
+        if (key.startsWith(ROOM_PREFIX)) {
+            applyRoom(key.slice(ROOM_PREFIX.length), value);
+        } else if (key.startsWith(MEMBER_PREFIX)) {
+            const rest = key.slice(MEMBER_PREFIX.length);
+            const separator = rest.indexOf(':');
+            applyMember(rest.slice(0, separator), rest.slice(separator + 1), value);
+        }
+    }
+
+    bus.onChange(applyChange);
+    bus.onReconnect(republishAll);
+
+    // Açılışta merkezdeki durumu al: önce odalar, sonra üyeler. Dönen değer yüklenen oda sayısı.
+    async function load() {
+        const roomEntries = await bus.load(ROOM_PREFIX);
+        const memberEntries = await bus.load(MEMBER_PREFIX);
+        for (const [key, value] of roomEntries) applyChange(key, clone(value));
+        for (const [key, value] of memberEntries) applyChange(key, clone(value));
+        return roomEntries.length;
+    }
+
+    return { syncRoom, dropRoom, republishAll, load };
+}
@@ -0,0 +1,26 @@
+// lib/cluster/storage.js - Mesaj geçmişi yazmalarını diğer sunuculara da uygular
+//
+// Her sunucu kendi depolamasını tutar (memory veya kendi STORAGE_DIR'i); geçmişe yapılan
+// eklemeler ve düzenlemeler mesaj yolundan yayınlanır, böylece hangi sunucuya bağlanılırsa
+// bağlanılsın aynı geçmiş okunur. Oda kayıtları burada değil, paylaşılan durumda (state.js) taşınır.
+
+const CHANNEL = 'storage';
+const REPLICATED_METHODS = ['appendMessage', 'updateMessage', 'appendDirectMessage', 'appendAnnotation', 'updateAnnotation', 'appendEvent'];
+
+export function replicateStorage(storage, bus) {
+    bus.subscribe(CHANNEL, ({ method, args } = {}) => {
+        if (REPLICATED_METHODS.includes(method) && Array.isArray(args)) {
+            storage[method](...args);
+        }
+    });
+
+    const replicated = { ...storage };
+    for (const method of REPLICATED_METHODS) {
+        replicated[method] = (...args) => {
+            const result = storage[method](...args);
+            bus.publish(CHANNEL, { method, args });
+            return result;
+        };
+    }
+    return replicated;
+}
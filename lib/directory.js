@@ -0,0 +1,96 @@
+// lib/directory.js - Herkese açık oda dizini (arama, sıralama, sayfalama)
+
+export const VISIBILITY = {
+    PUBLIC: 'public',
+    PRIVATE: 'private'
+};
+
+export const ROOM_CATEGORIES = ['film', 'dizi', 'anime', 'belgesel', 'müzik', 'spor', 'oyun', 'sohbet', 'diğer'];
+export const MAX_TAGS = 5;
+export const MIN_MEMBER_LIMIT = 2;
+export const MAX_MEMBER_LIMIT = 100;
+
+const SORTS = ['members', 'newest', 'playing'];
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// Oda oluştururken gelen dizin ayarlarını temizler; geçersiz değerler varsayılana döner
+export function normalizeListing({ visibility, category, tags, maxMembers } = {}) {
+    const limit = parseInt(maxMembers, 10);
+
+    return {
+        visibility: visibility === VISIBILITY.PUBLIC ? VISIBILITY.PUBLIC : VISIBILITY.PRIVATE,
+        category: ROOM_CATEGORIES.includes(category) ? category : 'diğer',
+        tags: Array.from(new Set((Array.isArray(tags) ? tags : [])
+            .map(tag => String(tag).trim().toLowerCase().replace(/^#/, '').slice(0, 20))
+            .filter(Boolean)))
+            .slice(0, MAX_TAGS),
+        maxMembers: Number.isInteger(limit)
+            ? Math.min(Math.max(limit, MIN_MEMBER_LIMIT), MAX_MEMBER_LIMIT)
+            : null
+    };
+}
+
+export function isRoomFull(room) {
+    return Boolean(room.maxMembers) && room.users.size >= room.maxMembers;
+}
+
+// Dizinde gösterilen alanlar. Şifre ve kullanıcı bilgisi asla yer almaz.
+export function roomListing(room, isPlaying = false) {
+    return {
+        code: room.code,
+        name: room.name,
+        category: room.category,
+        tags: room.tags,
+        memberCount: room.users.size,
+        maxMembers: room.maxMembers,
+        hasPassword: Boolean(room.password),
+        nowPlaying: room.video ? {
+            title: room.video.title,
+            type: room.video.type,
+            playing: isPlaying
+        } : null,
+        createdAt: room.createdAt
+    };
+}
+
+export function isListed(room) {
+    return room.visibility === VISIBILITY.PUBLIC;
+}
+
+// q: ad/etiket araması, category, tag, sort: members | newest | playing, page (1'den başlar), limit
+export function queryDirectory(listings, { q, category, tag, sort, page, limit } = {}) {
+    const search = String(q || '').trim().toLowerCase();
+    const size = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+    const order = SORTS.includes(sort) ? sort : 'members';
+
+    const matches = listings.filter(listing =>
+        (!search || listing.name.toLowerCase().includes(search)
+            || listing.tags.some(t => t.includes(search))
+            || listing.nowPlaying?.title?.toLowerCase().includes(search))
+        && (!category || listing.category === category)
+        && (!tag || listing.tags.includes(String(tag).toLowerCase()))
+    );
+
+    const byNewest = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+    const comparators = {
+        members: (a, b) => b.memberCount - a.memberCount || byNewest(a, b),
+        newest: byNewest,
+        // Şu an oynayanlar önce, sonra video açık olanlar, sonra kalabalık olanlar
+        playing: (a, b) =>
+            Number(Boolean(b.nowPlaying?.playing)) - Number(Boolean(a.nowPlaying?.playing))
+            || Number(Boolean(b.nowPlaying)) - Number(Boolean(a.nowPlaying))
+            || b.memberCount - a.memberCount
+    };
+    matches.sort(comparators[order]);
+
+    const start = (pageNumber - 1) * size;
+    return {
+        rooms: matches.slice(start, start + size),
+        page: pageNumber,
+        limit: size,
+        total: matches.length,
+        hasMore: start + size < matches.length
+    };
+}
@@ -0,0 +1,42 @@
+// lib/errors.js - İstemciye gönderilen hata kodları
+//
+// Tüm 'error' olayları { code, message } taşır; istemci metne değil koda göre davranır.
+
+export const ERROR_CODES = Object.freeze({
+    // Genel
+    INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+    UNKNOWN_EVENT: 'UNKNOWN_EVENT',
+    RATE_LIMITED: 'RATE_LIMITED',
+    FORBIDDEN: 'FORBIDDEN',
+    INTERNAL_ERROR: 'INTERNAL_ERROR',
+    SERVER_RESTARTING: 'SERVER_RESTARTING',
+
+    // Oda
+    ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',
+    NOT_IN_ROOM: 'NOT_IN_ROOM',
+    WRONG_PASSWORD: 'WRONG_PASSWORD',
+    BANNED: 'BANNED',
+    ROOM_FULL: 'ROOM_FULL',
+    USER_NOT_FOUND: 'USER_NOT_FOUND',
+
+    // Sohbet
+    MUTED: 'MUTED',
+    MESSAGE_NOT_FOUND: 'MESSAGE_NOT_FOUND',
+    NOT_EDITABLE: 'NOT_EDITABLE',
+    REACTION_LIMIT: 'REACTION_LIMIT',
+    ATTACHMENT_NOT_FOUND: 'ATTACHMENT_NOT_FOUND',
+    ATTACHMENT_REJECTED: 'ATTACHMENT_REJECTED',
+
+    // Video ve sıra
+    INVALID_MEDIA: 'INVALID_MEDIA',
+    QUEUE_FULL: 'QUEUE_FULL',
+    UPLOAD_FAILED: 'UPLOAD_FAILED',
+    SEARCH_UNAVAILABLE: 'SEARCH_UNAVAILABLE',
+    SEARCH_FAILED: 'SEARCH_FAILED',
+
+    // Arama
+    CALL_IN_PROGRESS: 'CALL_IN_PROGRESS',
+    NO_ACTIVE_CALL: 'NO_ACTIVE_CALL',
+    CALL_FULL: 'CALL_FULL',
+    INVALID_SIGNAL_TARGET: 'INVALID_SIGNAL_TARGET'
+});
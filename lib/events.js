@@ -0,0 +1,315 @@
+// lib/events.js - Socket olaylarının yük şemaları ve hız sınırları
+//
+// Sunucunun dinlediği her olay burada tanımlıdır: { schema, limit }.
+// Tanımsız olaylar reddedilir; yük şemadan geçerse işleyiciye temizlenmiş hali ulaşır.
+import {
+    object, optional, string, number, integer, boolean, oneOf, array, refine, empty, validatePayload
+} from './validation.js';
+import { createRateLimiter } from './rateLimit.js';
+import { ERROR_CODES } from './errors.js';
+import { ROLES } from './permissions.js';
+import { CALL_TYPES } from './calls.js';
+import { MAX_MESSAGE_LENGTH, MAX_PAGE_SIZE } from './messages.js';
+import { MIN_PLAYBACK_RATE, MAX_PLAYBACK_RATE } from './playback.js';
+import { PLAYER_STATES, MAX_COUNTDOWN } from './watchparty.js';
+
+export const MAX_USERNAME_LENGTH = 20;
+export const MAX_ROOM_NAME_LENGTH = 50;
+export const MESSAGE_TYPES = ['text', 'file', 'image', 'audio'];
+
+const MAX_PHOTO_URL_LENGTH = 2 * 1024 * 1024;
+const PHOTO_URL = /^(data:image\/[\w.+-]+[;,]|https?:\/\/)/;
+
+// Olay grupları: aynı gruptaki olaylar tek kovayı paylaşır
+export const RATE_LIMITS = {
+    session: { capacity: 5, refillPerSecond: 0.2 },      // Oda oluşturma/katılma/ayrılma
+    system: { capacity: 10, refillPerSecond: 1 },        // Heartbeat ve sağlık yanıtları
+    chat: { capacity: 8, refillPerSecond: 1 },           // Mesaj, düzenleme, tepki, özel mesaj
+    typing: { capacity: 5, refillPerSecond: 1 },
+    query: { capacity: 20, refillPerSecond: 5 },         // Geçmiş, okundu bilgisi, durum sorguları
+    control: { capacity: 15, refillPerSecond: 3 },       // Oynatma kontrolü, video ve sıra işlemleri
+    player: { capacity: 10, refillPerSecond: 2 },        // Oynatıcı durumu ve hazır yanıtı
+    reaction: { capacity: 10, refillPerSecond: 2 },      // Video üzerinde uçan emoji tepkileri
+    moderation: { capacity: 10, refillPerSecond: 0.5 },
+    call: { capacity: 10, refillPerSecond: 1 },
+    signal: { capacity: 60, refillPerSecond: 20 }        // ICE adayları kısa patlamalarla gelir
+};
+
+const id = () => string({ min: 1, max: 64 });
+const optionalId = () => optional(string({ min: 1, max: 64 }));
+const mediaLink = object({
+    url: string({ min: 1, max: 2000 }),
+    title: optional(string({ max: 200 }))
+});
+const callMedia = {
+    audioMuted: optional(boolean()),
+    videoOff: optional(boolean())
+};
+const sessionDescription = (type) => object({
+    type: oneOf([type]),
+    sdp: string({ min: 1, max: 100000, trim: false })
+});
+
+export const EVENTS = {
+    // Sistem
+    'client-heartbeat': {
+        limit: 'system',
+        schema: object({
+            clientTime: optional(number()),
+            idleFor: optional(number({ min: 0 })),
+            hidden: optional(boolean())
+        })
+    },
+    'connection-health-response': { limit: 'system', schema: empty() },
+    'playback-query': { limit: 'query', schema: empty() },
+
+    // Oda
+    'create-room': {
+        limit: 'session',
+        schema: object({
+            userName: string({ min: 1, max: MAX_USERNAME_LENGTH }),
+            userPhoto: optional(string({ max: MAX_PHOTO_URL_LENGTH, pattern: PHOTO_URL })),
+            deviceId: optionalId(),
+            roomName: string({ min: 1, max: MAX_ROOM_NAME_LENGTH }),
+            password: optional(string({ max: 100, trim: false })),
+            visibility: optional(oneOf(['public', 'private'])),
+            category: optional(string({ max: 30 })),
+            tags: optional(array(string({ max: 30 }), { max: 10 })),
+            maxMembers: optional(integer({ min: 0, max: 1000 }))
+        })
+    },
+    'join-room': {
+        limit: 'session',
+        schema: object({
+            roomCode: string({ pattern: /^[A-Za-z0-9]{6}$/ }),
+            userName: string({ min: 1, max: MAX_USERNAME_LENGTH }),
+            userPhoto: optional(string({ max: MAX_PHOTO_URL_LENGTH, pattern: PHOTO_URL })),
+            deviceId: optionalId(),
+            password: optional(string({ max: 100, trim: false })),
+            sessionId: optionalId(),
+            resumeToken: optional(string({ max: 128 })),
+            inviteToken: optional(string({ max: 512 }))
+        })
+    },
+    'create-invite': {
+        limit: 'session',
+        schema: object({ ttl: optional(integer({ min: 1 })) })
+    },
+    'leave-room': { limit: 'session', schema: empty() },
+
+    // Video ve izleme sırası
+    'upload-init': {
+        limit: 'control',
+        schema: object({
+            uploadId: optionalId(),
+            fileName: optional(string({ max: 255 })),
+            fileSize: optional(integer({ min: 1 })),
+            mimeType: optional(string({ max: 100 })),
+            enqueue: optional(boolean())
+        })
+    },
+    'share-media': { limit: 'control', schema: mediaLink },
+    'video-control': {
+        limit: 'control',
+        schema: object({
+            currentTime: optional(number({ min: 0 })),
+            playing: optional(boolean()),
+            playbackRate: optional(number({ min: MIN_PLAYBACK_RATE, max: MAX_PLAYBACK_RATE }))
+        })
+    },
+    'delete-video': { limit: 'control', schema: empty() },
+    'video-ended': { limit: 'control', schema: object({ itemId: optionalId() }) },
+    'queue-add': { limit: 'control', schema: mediaLink },
+    'queue-propose': { limit: 'control', schema: mediaLink },
+    'queue-vote': { limit: 'control', schema: object({ itemId: id() }) },
+    'queue-approve': { limit: 'control', schema: object({ itemId: id() }) },
+    'queue-remove': { limit: 'control', schema: object({ itemId: id() }) },
+    'queue-reorder': {
+        limit: 'control',
+        schema: object({ itemId: id(), toIndex: integer({ min: 0 }) })
+    },
+    'queue-skip': { limit: 'control', schema: empty() },
+    'queue-settings': { limit: 'control', schema: object({ requireApproval: boolean() }) },
+
+    // Birlikte izleme
+    'ready-check-start': {
+        limit: 'control',
+        schema: object({
+            countdown: optional(integer({ min: 0, max: MAX_COUNTDOWN })),
+            timeout: optional(integer({ min: 10, max: 300 }))
+        })
+    },
+    'ready-check-respond': { limit: 'player', schema: object({ ready: boolean() }) },
+    'ready-check-cancel': { limit: 'control', schema: empty() },
+    'countdown-start': {
+        limit: 'control',
+        schema: object({ seconds: optional(integer({ min: 0, max: MAX_COUNTDOWN })) })
+    },
+    'countdown-cancel': { limit: 'control', schema: empty() },
+    'player-state': { limit: 'player', schema: object({ state: oneOf(PLAYER_STATES) }) },
+    'watch-settings': {
+        limit: 'control',
+        schema: object({
+            autoPause: optional(boolean()),
+            resumeShare: optional(number({ min: 0.1, max: 1 })),
+            maxWait: optional(integer({ min: 5, max: 300 }))
+        })
+    },
+
+    // Sohbet
+    'message': {
+        limit: 'chat',
+        schema: refine(
+            object({
+                type: optional(oneOf(MESSAGE_TYPES)),
+                text: optional(string({ max: MAX_MESSAGE_LENGTH })),
+                attachmentId: optionalId(),
+                replyTo: optionalId(),
+                // Videonun o anki konumuna bağlı yorum (videoTime verilmezse sunucu konumu kullanılır)
+                anchored: optional(boolean()),
+                videoTime: optional(number({ min: 0 }))
+            }),
+            message => ((message.type || 'text') === 'text' ? Boolean(message.text) : Boolean(message.attachmentId) && !message.anchored),
+            'text',
+            'Yazı mesajı boş olamaz, dosya mesajında attachmentId gerekli ve zamana bağlanamaz'
+        )
+    },
+    'edit-message': {
+        limit: 'chat',
+        schema: object({ messageId: id(), text: string({ min: 1, max: MAX_MESSAGE_LENGTH }) })
+    },
+    'delete-message': { limit: 'chat', schema: object({ messageId: id() }) },
+    'react-message': {
+        limit: 'chat',
+        schema: object({ messageId: id(), emoji: string({ min: 1, max: 16 }) })
+    },
+    'video-reaction': {
+        limit: 'reaction',
+        schema: object({ emoji: string({ min: 1, max: 16 }), videoTime: optional(number({ min: 0 })) })
+    },
+    'typing': { limit: 'typing', schema: object({ isTyping: optional(boolean()) }) },
+    'mark-read': { limit: 'query', schema: object({ messageId: id() }) },
+    'load-messages': {
+        limit: 'query',
+        schema: object({
+            before: optionalId(),
+            after: optionalId(),
+            limit: optional(integer({ min: 1, max: MAX_PAGE_SIZE }))
+        })
+    },
+
+    // Özel mesajlar
+    'send-direct-message': {
+        limit: 'chat',
+        schema: object({ to: id(), text: string({ min: 1, max: MAX_MESSAGE_LENGTH }) })
+    },
+    'direct-conversations': { limit: 'query', schema: empty() },
+    'direct-history': {
+        limit: 'query',
+        schema: object({
+            peerId: id(),
+            before: optionalId(),
+            limit: optional(integer({ min: 1, max: MAX_PAGE_SIZE }))
+        })
+    },
+    'direct-read': { limit: 'query', schema: object({ peerId: id(), messageId: id() }) },
+
+    // Arama ve WebRTC sinyalleri
+    'call-start': {
+        limit: 'call',
+        schema: object({ type: optional(oneOf(CALL_TYPES)), ...callMedia })
+    },
+    'call-join': { limit: 'call', schema: object(callMedia) },
+    'call-leave': { limit: 'call', schema: empty() },
+    'call-media-state': { limit: 'call', schema: object(callMedia) },
+    'webrtc-offer': {
+        limit: 'signal',
+        schema: object({ target: id(), offer: sessionDescription('offer') })
+    },
+    'webrtc-answer': {
+        limit: 'signal',
+        schema: object({ target: id(), answer: sessionDescription('answer') })
+    },
+    'webrtc-ice-candidate': {
+        limit: 'signal',
+        schema: object({
+            target: id(),
+            candidate: object({
+                candidate: string({ max: 1024, trim: false }),
+                sdpMid: optional(string({ max: 64 })),
+                sdpMLineIndex: optional(integer({ min: 0, max: 255 })),
+                usernameFragment: optional(string({ max: 256 }))
+            })
+        })
+    },
+
+    // Moderasyon
+    'kick-user': {
+        limit: 'moderation',
+        schema: object({ userId: id(), reason: optional(string({ max: 200 })) })
+    },
+    'ban-user': {
+        limit: 'moderation',
+        schema: object({ userId: id(), reason: optional(string({ max: 200 })) })
+    },
+    'unban-user': { limit: 'moderation', schema: object({ deviceId: id() }) },
+    'mute-user': {
+        limit: 'moderation',
+        schema: object({ userId: id(), duration: optional(number({ min: 0, max: 7 * 24 * 60 * 60 })) })
+    },
+    'unmute-user': { limit: 'moderation', schema: object({ userId: id() }) },
+    'set-role': {
+        limit: 'moderation',
+        schema: object({ userId: id(), role: oneOf(Object.values(ROLES)) })
+    }
+};
+
+// socket.use() ara katmanı: önce hız sınırı, sonra şema. Reddedilen olay işleyiciye ulaşmaz.
+// Yükün yerine temizlenmiş hali konur; sondaki onay (ack) fonksiyonu korunur.
+export function createEventGuard(socket, { events = EVENTS, limits = RATE_LIMITS, now = Date.now } = {}) {
+    const limiter = createRateLimiter(limits);
+
+    return (packet, next) => {
+        const [event] = packet;
+        const spec = events[event];
+
+        if (!spec) {
+            socket.emit('error', {
+                code: ERROR_CODES.UNKNOWN_EVENT,
+                event,
+                message: 'Bilinmeyen olay'
+            });
+            return;
+        }
+
+        const retryAfter = limiter.consume(spec.limit, now());
+        if (retryAfter > 0) {
+            socket.emit('error', {
+                code: ERROR_CODES.RATE_LIMITED,
+                event,
+                retryAfter: Math.ceil(retryAfter / 1000),
+                message: 'Çok hızlı işlem yapıyorsunuz, biraz bekleyin'
+            });
+            return;
+        }
+
+        const hasPayload = packet.length > 1 && typeof packet[1] !== 'function';
+        const { value, error } = validatePayload(spec.schema, hasPayload ? packet[1] : undefined);
+        if (error) {
+            socket.emit('error', {
+                code: ERROR_CODES.INVALID_PAYLOAD,
+                event,
+                field: error.field || null,
+                message: error.message
+            });
+            return;
+        }
+
+        if (hasPayload) {
+            packet[1] = value;
+        } else {
+            packet.splice(1, 0, value);
+        }
+        next();
+    };
+}
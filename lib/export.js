@@ -0,0 +1,194 @@
+// lib/export.js - Oda oturumunun dışa aktarımı (GET /api/room/:code/export)
+//
+// Oturum günlüğü depolamada mesajların yanında tutulur (appendEvent / getEvents); oda silinince
+// geçmişiyle birlikte gider. Olay: { id, type, at, ...alanlar }
+//   join / leave       -> { userId, userName }
+//   video              -> { itemId, mediaType, title, url, sharedBy }
+//   call-started       -> { callId, callType, startedBy }
+//   call-ended         -> { callId, callType, startedAt, duration (sn) }
+// Dışa aktarım JSON'dan üretilir; HTML ve düz metin dökümü aynı veriden okunur.
+import { createMessageId, MAX_PAGE_SIZE } from './messages.js';
+
+export const SESSION_EVENT_TYPES = ['join', 'leave', 'video', 'call-started', 'call-ended'];
+export const SESSION_EVENT_LIMIT = 5000;     // Oda başına saklanan olay (eskiler atılır)
+export const EXPORT_FORMATS = ['json', 'html', 'text', 'zip'];
+export const EXPORT_VERSION = 1;
+
+export function createSessionEvent(type, fields = {}, now = Date.now()) {
+    return { id: createMessageId(now), type, at: now, ...fields };
+}
+
+// Sayfalı geçmiş baştan sona okunur
+export function collectMessages(storage, roomCode) {
+    const messages = [];
+    let before;
+    for (;;) {
+        const page = storage.getMessages(roomCode, { before, limit: MAX_PAGE_SIZE });
+        messages.unshift(...page.messages);
+        if (!page.hasMore || page.messages.length === 0) break;
+        before = page.messages[0].id;
+    }
+    return messages;
+}
+
+// Paketteki ek dosyasının yolu; aynı adlı ekler kimlikle ayrılır
+export function attachmentPath(attachment) {
+    return `attachments/${attachment.id}-${attachment.name}`;
+}
+
+const iso = (value) => new Date(value).toISOString();
+
+function exportMessage(message, bundled) {
+    const attachment = message.attachment && !message.deleted
+        ? { ...message.attachment, file: bundled.has(message.attachment.id) ? attachmentPath(message.attachment) : null }
+        : null;
+    return {
+        id: message.id,
+        at: iso(message.timestamp),
+        userId: message.userId,
+        userName: message.userName,
+        type: message.type,
+        text: message.deleted ? null : (message.text ?? null),
+        replyTo: message.replyTo?.id || null,
+        attachment,
+        anchor: message.anchor ? { mediaKey: message.anchor.mediaKey, title: message.anchor.title, position: message.anchor.position } : null,
+        reactions: Object.fromEntries(Object.entries(message.reactions || {}).map(([emoji, voters]) => [emoji, voters.length])),
+        edited: Boolean(message.edited),
+        deleted: Boolean(message.deleted)
+    };
+}
+
+// bundled: pakete dosyası eklenen eklerin kimlikleri
+export function buildSessionExport({ room, messages, events, bundled = new Set() }, now = Date.now()) {
+    const calls = new Map(); // callId -> arama
+    const videos = [];
+    for (const event of events) {
+        if (event.type === 'video') {
+            videos.push({
+                itemId: event.itemId,
+                type: event.mediaType,
+                title: event.title,
+                url: event.url,
+                sharedBy: event.sharedBy,
+                playedAt: iso(event.at)
+            });
+        } else if (event.type === 'call-started') {
+            calls.set(event.callId, {
+                id: event.callId, type: event.callType, startedBy: event.startedBy, startedAt: iso(event.at), endedAt: null, duration: null
+            });
+        } else if (event.type === 'call-ended') {
+            // Başlangıç olayı sınır yüzünden atılmış olabilir
+            const call = calls.get(event.callId) || {
+                id: event.callId, type: event.callType, startedBy: null, startedAt: iso(event.startedAt)
+            };
+            calls.set(event.callId, { ...call, endedAt: iso(event.at), duration: event.duration });
+        }
+    }
+
+    const exported = messages.map(message => exportMessage(message, bundled));
+    return {
+        version: EXPORT_VERSION,
+        exportedAt: iso(now),
+        room: { code: room.code, name: room.name, createdAt: iso(room.createdAt) },
+        messages: exported,
+        videos,
+        calls: Array.from(calls.values()),
+        events: events.map(event => ({ ...event, at: iso(event.at) })),
+        attachments: exported.filter(message => message.attachment).map(message => message.attachment)
+    };
+}
+
+// ⏱️ 1:02:03 ya da 2:03
+export function formatDuration(seconds) {
+    const total = Math.max(0, Math.round(seconds || 0));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const rest = String(total % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+}
+
+// Döküm satırları: mesajlar ve oturum olayları zamana göre sıralı
+function transcriptEntries(data) {
+    const entries = data.messages.map(message => ({ at: message.at, message }));
+    for (const event of data.events) {
+        let text = null;
+        switch (event.type) {
+            case 'join': text = `→ ${event.userName} odaya katıldı`; break;
+            case 'leave': text = `← ${event.userName} odadan ayrıldı`; break;
+            case 'video': text = `🎬 ${event.sharedBy || 'Biri'} "${event.title}" videosunu açtı`; break;
+            case 'call-started': text = `📞 ${event.startedBy} ${event.callType === 'video' ? 'görüntülü' : 'sesli'} arama başlattı`; break;
+            case 'call-ended': text = `📞 Arama bitti (${formatDuration(event.duration)})`; break;
+        }
+        if (text) entries.push({ at: event.at, text });
+    }
+    return entries.sort((a, b) => a.at.localeCompare(b.at));
+}
+
+const stamp = (at) => new Date(at).toLocaleString('tr-TR', {
+    day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit'
+});
+
+function messageLine(message) {
+    if (message.deleted) return '(silinmiş mesaj)';
+    const parts = [];
+    if (message.anchor) parts.push(`[⏱️ ${formatDuration(message.anchor.position)}]`);
+    if (message.text) parts.push(message.text);
+    if (message.attachment) parts.push(`[📎 ${message.attachment.name}]`);
+    if (message.edited) parts.push('(düzenlendi)');
+    return parts.join(' ');
+}
+
+export function renderTranscriptText(data) {
+    const lines = [
+        `Oda: ${data.room.name} (${data.room.code})`,
+        `Dışa aktarma: ${stamp(data.exportedAt)}`,
+        ''
+    ];
+    for (const entry of transcriptEntries(data)) {
+        const body = entry.message ? `${entry.message.userName}: ${messageLine(entry.message)}` : entry.text;
+        lines.push(`[${stamp(entry.at)}] ${body}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]));
+
+export function renderTranscriptHtml(data) {
+    const rows = transcriptEntries(data).map(entry => {
+        const time = `<time datetime="${entry.at}">${stamp(entry.at)}</time>`;
+        if (!entry.message) {
+            return `<li class="event">${time} ${escapeHtml(entry.text)}</li>`;
+        }
+        const message = entry.message;
+        const attachment = message.attachment?.file
+            ? ` <a href="${escapeHtml(encodeURI(message.attachment.file))}">📎 ${escapeHtml(message.attachment.name)}</a>`
+            : '';
+        const text = message.attachment?.file ? messageLine({ ...message, attachment: null }) : messageLine(message);
+        return `<li>${time} <strong>${escapeHtml(message.userName)}</strong>: ${escapeHtml(text)}${attachment}</li>`;
+    });
+
+    return `<!DOCTYPE html>
+<html lang="tr">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(data.room.name)} - sohbet dökümü</title>
+<style>
+body { font-family: sans-serif; max-width: 800px; margin: 2em auto; color: #222; }
+ol { list-style: none; padding: 0; }
+li { padding: 4px 0; border-bottom: 1px solid #eee; }
+li.event { color: #777; font-style: italic; }
+time { color: #999; font-size: 0.85em; margin-right: 6px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(data.room.name)} <small>(${escapeHtml(data.room.code)})</small></h1>
+<p>Dışa aktarma: ${stamp(data.exportedAt)} · ${data.messages.length} mesaj · ${data.videos.length} video · ${data.calls.length} arama</p>
+<ol>
+${rows.join('\n')}
+</ol>
+</body>
+</html>
+`;
+}
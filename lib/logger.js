@@ -0,0 +1,60 @@
+// lib/logger.js - Seviyeli, JSON satırı biçiminde günlük
+//
+// Her satır tek bir JSON nesnesidir: { time, level, msg, ...alanlar }
+// child() bağlam alanlarını (requestId, socketId, roomCode...) sonraki tüm satırlara ekler;
+// böylece bir isteğe veya bağlantıya ait satırlar tek alanla süzülebilir.
+// Seviye LOG_LEVEL ile seçilir: debug | info (varsayılan) | warn | error | silent
+
+export const LOG_LEVELS = Object.freeze({ debug: 10, info: 20, warn: 30, error: 40, silent: Infinity });
+
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        ...(error.code !== undefined && { code: error.code }),
+        stack: error.stack
+    };
+}
+
+function serializeFields(fields) {
+    const result = {};
+    for (const [key, value] of Object.entries(fields)) {
+        if (value === undefined) continue;
+        result[key] = value instanceof Error ? serializeError(value) : value;
+    }
+    return result;
+}
+
+export function createLogger({
+    level = 'info',
+    fields = {},
+    write = (line) => process.stdout.write(line + '\n'),
+    now = () => new Date()
+} = {}) {
+    const threshold = LOG_LEVELS[level] ?? LOG_LEVELS.info;
+
+    function log(levelName, msg, extra = {}) {
+        if (LOG_LEVELS[levelName] < threshold) return;
+
+        let line;
+        try {
+            line = JSON.stringify({ time: now().toISOString(), level: levelName, msg, ...serializeFields({ ...fields, ...extra }) });
+        } catch {
+            // Döngüsel veya BigInt içeren alanlar satırı düşürmesin
+            line = JSON.stringify({ time: now().toISOString(), level: levelName, msg, ...serializeFields(fields), unserializable: true });
+        }
+        write(line);
+    }
+
+    return {
+        level,
+        debug: (msg, extra) => log('debug', msg, extra),
+        info: (msg, extra) => log('info', msg, extra),
+        warn: (msg, extra) => log('warn', msg, extra),
+        error: (msg, extra) => log('error', msg, extra),
+        child: (extra) => createLogger({ level, fields: { ...fields, ...extra }, write, now })
+    };
+}
+
+// Uygulama genelindeki kök günlükçü; modüller component alanıyla child() alır
+export const logger = createLogger({ level: process.env.LOG_LEVEL || 'info' });
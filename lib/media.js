@@ -0,0 +1,233 @@
+// lib/media.js - Paylaşılan bağlantıyı oynatılabilir medya tanımına çevirir
+//
+// resolveMediaUrl(bağlantı) -> { provider, id, url, startAt, live, playlist, mimeType, hash } | null
+//   youtube: watch, youtu.be, embed, shorts, live, music; t= / start= başlangıcı; list= oynatma listesi
+//   vimeo:   vimeo.com/<id>, vimeo.com/<id>/<hash>, player.vimeo.com/video/<id>; #t=1m30s
+//   direct:  .mp4 / .webm dosya bağlantıları; #t=90 (medya parçası)
+//   hls:     .m3u8 yayınları
+// Ağ gerektiren işler ayrıdır: fetchMediaMetadata (başlık, oEmbed) ve fetchPlaylistItems (YouTube Data API).
+
+export const MEDIA_PROVIDERS = Object.freeze({
+    YOUTUBE: 'youtube',
+    VIMEO: 'vimeo',
+    DIRECT: 'direct',
+    HLS: 'hls'
+});
+
+export const MAX_PLAYLIST_ITEMS = 50;
+const METADATA_TIMEOUT = 5000;
+
+const YOUTUBE_HOSTS = ['youtube.com', 'm.youtube.com', 'music.youtube.com', 'youtube-nocookie.com'];
+const YOUTUBE_ID = /^[A-Za-z0-9_-]{11}$/;
+const YOUTUBE_PLAYLIST_ID = /^[A-Za-z0-9_-]{10,64}$/;
+const YOUTUBE_PATH = /^\/(?:embed|v|e|shorts|live)\/([^/?#]+)/;
+const VIMEO_HOSTS = ['vimeo.com', 'player.vimeo.com'];
+const VIMEO_PATH = /^\/(?:video\/|channels\/[^/]+\/|groups\/[^/]+\/videos\/)?(\d+)(?:\/([a-f0-9]+))?\/?$/;
+const FILE_TYPES = {
+    '.mp4': 'video/mp4',
+    '.m4v': 'video/mp4',
+    '.webm': 'video/webm'
+};
+const HLS_MIME_TYPE = 'application/vnd.apple.mpegurl';
+
+export class MediaError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MediaError';
+    }
+}
+
+// "90", "90s", "1m30s", "1h2m3s", "01:30", "1:02:03" -> saniye. Anlaşılmayan değer 0 sayılır.
+export function parseTimestamp(value) {
+    const text = String(value ?? '').trim().toLowerCase();
+    if (!text) return 0;
+
+    if (/^\d+(?:\.\d+)?s?$/.test(text)) {
+        return Math.floor(parseFloat(text));
+    }
+    const units = text.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+    if (units && (units[1] || units[2] || units[3])) {
+        return (Number(units[1] || 0) * 3600) + (Number(units[2] || 0) * 60) + Number(units[3] || 0);
+    }
+    if (/^\d+(?::\d{1,2}){1,2}$/.test(text)) {
+        return text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+    }
+    return 0;
+}
+
+function hostOf(url) {
+    return url.hostname.toLowerCase().replace(/^www\./, '');
+}
+
+// Parça (#t=...) içindeki değer; medya parçalarında "t=10,20" biçimi de olabilir
+function fragmentParam(url, name) {
+    const params = new URLSearchParams(url.hash.replace(/^#/, ''));
+    return params.get(name)?.split(',')[0] ?? null;
+}
+
+function startOffset(url) {
+    return parseTimestamp(url.searchParams.get('t') ?? url.searchParams.get('start') ?? fragmentParam(url, 't'));
+}
+
+function resolveYouTube(url) {
+    const host = hostOf(url);
+    let id = null;
+    let live = false;
+
+    if (host === 'youtu.be') {
+        id = url.pathname.split('/')[1] || null;
+    } else if (YOUTUBE_HOSTS.includes(host)) {
+        const match = url.pathname.match(YOUTUBE_PATH);
+        if (match && match[1] !== 'videoseries') {
+            id = match[1];
+            live = url.pathname.startsWith('/live/');
+        } else if (url.pathname === '/watch') {
+            id = url.searchParams.get('v');
+        }
+    } else {
+        return null;
+    }
+
+    const listId = url.searchParams.get('list');
+    const playlist = listId && YOUTUBE_PLAYLIST_ID.test(listId)
+        ? { id: listId, index: Math.max(0, (parseInt(url.searchParams.get('index'), 10) || 1) - 1) }
+        : null;
+
+    if (id !== null && !YOUTUBE_ID.test(id)) return null;
+    if (!id && !playlist) return null;
+
+    return {
+        provider: MEDIA_PROVIDERS.YOUTUBE,
+        id,
+        url: id ? `https://www.youtube.com/watch?v=${id}` : `https://www.youtube.com/playlist?list=${playlist.id}`,
+        startAt: startOffset(url),
+        live,
+        playlist,
+        mimeType: null
+    };
+}
+
+function resolveVimeo(url) {
+    if (!VIMEO_HOSTS.includes(hostOf(url))) return null;
+
+    const match = url.pathname.match(VIMEO_PATH);
+    if (!match) return null;
+
+    // Liste dışı videolar gizli anahtarla (h) açılır
+    const hash = match[2] || url.searchParams.get('h') || null;
+    return {
+        provider: MEDIA_PROVIDERS.VIMEO,
+        id: match[1],
+        url: `https://vimeo.com/${match[1]}${hash ? `/${hash}` : ''}`,
+        startAt: startOffset(url),
+        live: false,
+        playlist: null,
+        mimeType: null,
+        hash
+    };
+}
+
+function resolveFile(url) {
+    const pathname = url.pathname.toLowerCase();
+    const extension = pathname.slice(pathname.lastIndexOf('.'));
+    const isHls = extension === '.m3u8';
+    if (!isHls && !FILE_TYPES[extension]) return null;
+
+    const href = new URL(url.href);
+    href.hash = '';
+    return {
+        provider: isHls ? MEDIA_PROVIDERS.HLS : MEDIA_PROVIDERS.DIRECT,
+        id: null,
+        url: href.href,
+        startAt: parseTimestamp(fragmentParam(url, 't')),
+        live: false,
+        playlist: null,
+        mimeType: isHls ? HLS_MIME_TYPE : FILE_TYPES[extension]
+    };
+}
+
+export function resolveMediaUrl(input) {
+    if (typeof input !== 'string') return null;
+
+    let url;
+    try {
+        // Kullanıcılar şemasız da yapıştırabiliyor: "youtu.be/..."
+        url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(input.trim()) ? input.trim() : `https://${input.trim()}`);
+    } catch {
+        return null;
+    }
+    if (!['http:', 'https:'].includes(url.protocol) || url.username || url.password) {
+        return null;
+    }
+
+    return resolveYouTube(url) || resolveVimeo(url) || resolveFile(url);
+}
+
+// Dosya ve yayın bağlantılarında başlık olarak dosya adı kullanılır
+export function fallbackTitle(media) {
+    if (media.provider === MEDIA_PROVIDERS.DIRECT || media.provider === MEDIA_PROVIDERS.HLS) {
+        const name = new URL(media.url).pathname.split('/').pop();
+        try {
+            return decodeURIComponent(name) || 'Video';
+        } catch {
+            return name || 'Video';
+        }
+    }
+    return media.provider === MEDIA_PROVIDERS.VIMEO ? 'Vimeo Videosu' : 'YouTube Videosu';
+}
+
+async function fetchJson(url, { fetch, timeout }) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(timeout) });
+    if (!response.ok) {
+        throw new MediaError(`Sağlayıcı yanıtı başarısız (${response.status})`);
+    }
+    return response.json();
+}
+
+// Başlık, kanal ve küçük resim sağlayıcının oEmbed adresinden alınır. Hata olursa null döner;
+// paylaşım bu yüzden engellenmez.
+export async function fetchMediaMetadata(media, { fetch = globalThis.fetch, timeout = METADATA_TIMEOUT } = {}) {
+    const endpoints = {
+        [MEDIA_PROVIDERS.YOUTUBE]: 'https://www.youtube.com/oembed?format=json&url=',
+        [MEDIA_PROVIDERS.VIMEO]: 'https://vimeo.com/api/oembed.json?url='
+    };
+    const endpoint = endpoints[media.provider];
+    if (!endpoint || !media.id) return null;
+
+    try {
+        const data = await fetchJson(endpoint + encodeURIComponent(media.url), { fetch, timeout });
+        return {
+            title: typeof data.title === 'string' ? data.title.slice(0, 200) : null,
+            author: typeof data.author_name === 'string' ? data.author_name : null,
+            thumbnail: typeof data.thumbnail_url === 'string' ? data.thumbnail_url : null,
+            duration: Number.isFinite(data.duration) ? data.duration : null
+        };
+    } catch {
+        return null;
+    }
+}
+
+// YouTube oynatma listesinin videoları (Data API anahtarı gerekir). Silinmiş/gizli videolar atlanır.
+export async function fetchPlaylistItems(playlistId, { apiKey, fetch = globalThis.fetch, timeout = METADATA_TIMEOUT, limit = MAX_PLAYLIST_ITEMS } = {}) {
+    if (!apiKey) {
+        throw new MediaError('Oynatma listeleri için sunucuda YOUTUBE_API_KEY tanımlı olmalı');
+    }
+
+    const params = new URLSearchParams({
+        part: 'snippet',
+        maxResults: String(Math.min(limit, 50)),
+        playlistId,
+        key: apiKey
+    });
+    let data;
+    try {
+        data = await fetchJson(`https://www.googleapis.com/youtube/v3/playlistItems?${params}`, { fetch, timeout });
+    } catch {
+        throw new MediaError('Oynatma listesi alınamadı');
+    }
+
+    return (data.items || [])
+        .map(item => ({ id: item.snippet?.resourceId?.videoId, title: item.snippet?.title }))
+        .filter(item => YOUTUBE_ID.test(item.id || '') && !['Private video', 'Deleted video'].includes(item.title))
+        .slice(0, limit);
+}
@@ -0,0 +1,137 @@
+// lib/messages.js - Sohbet mesajı kimlikleri ve geçmiş sayfalama
+import crypto from 'crypto';
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 100;
+
+// Kimlik = zaman (9) + sayaç (4) + rastgele (4), hepsi sabit uzunlukta base36.
+// Metin olarak sıralandığında oluşturulma sırasını verir; aynı milisaniyede
+// üretilen kimlikler sayaçla ayrışır.
+let lastTime = 0;
+let counter = 0;
+
+export function createMessageId(now = Date.now()) {
+    if (now <= lastTime) {
+        counter++;
+    } else {
+        lastTime = now;
+        counter = 0;
+    }
+
+    return lastTime.toString(36).padStart(9, '0')
+        + counter.toString(36).padStart(4, '0')
+        + crypto.randomBytes(3).readUIntBE(0, 3).toString(36).padStart(4, '0').slice(-4);
+}
+
+export function clampPageSize(limit) {
+    const value = parseInt(limit, 10);
+    if (!Number.isInteger(value) || value <= 0) return DEFAULT_PAGE_SIZE;
+    return Math.min(value, MAX_PAGE_SIZE);
+}
+
+// Sıralı mesaj dizisinden imleçle sayfa seçer.
+// before: bu kimlikten eskiler (sona en yakın olanlar), after: bu kimlikten yeniler.
+export function paginateMessages(roomMessages, { before, after, limit } = {}) {
+    const size = clampPageSize(limit);
+    let candidates = roomMessages;
+
+    if (after) {
+        candidates = candidates.filter(message => message.id > after);
+    }
+    if (before) {
+        candidates = candidates.filter(message => message.id < before);
+    }
+
+    if (after && !before) {
+        return {
+            messages: candidates.slice(0, size),
+            hasMore: candidates.length > size
+        };
+    }
+    return {
+        messages: candidates.slice(-size),
+        hasMore: candidates.length > size
+    };
+}
+
+// ✏️ DÜZENLEME / SİLME / TEPKİLER
+export const MAX_MESSAGE_LENGTH = 2000;
+export const MAX_REACTIONS_PER_MESSAGE = 20;
+const REPLY_PREVIEW_LENGTH = 100;
+
+// Mesajı yanıt olarak gösterebilmek için kısa bir özet (orijinal sonradan değişse bile)
+export function replyPreview(message) {
+    return {
+        id: message.id,
+        userName: message.userName,
+        text: message.deleted ? '' : String(message.text || message.fileName || '').slice(0, REPLY_PREVIEW_LENGTH),
+        deleted: Boolean(message.deleted)
+    };
+}
+
+export function editMessage(message, text, now = Date.now()) {
+    return {
+        ...message,
+        text,
+        edited: true,
+        editedAt: now
+    };
+}
+
+// Silinen mesajın içeriği atılır, sadece yer tutucu kalır
+export function deleteMessage(message, deletedBy, now = Date.now()) {
+    return {
+        ...message,
+        text: '',
+        fileUrl: null,
+        attachment: null,
+        fileName: null,
+        fileSize: null,
+        reactions: {},
+        deleted: true,
+        deletedBy,
+        deletedAt: now
+    };
+}
+
+export function isValidReaction(emoji) {
+    return typeof emoji === 'string'
+        && emoji.length > 0
+        && emoji.length <= 16
+        && /\p{Extended_Pictographic}/u.test(emoji)
+        && !/[\s<>&"']/.test(emoji);
+}
+
+// Aynı kullanıcı aynı emojiye tekrar basarsa tepkisi geri alınır.
+// Yeni emoji sınırı aşıyorsa null döner.
+export function toggleReaction(message, emoji, userId) {
+    const reactions = { ...(message.reactions || {}) };
+    const voters = reactions[emoji] || [];
+
+    if (voters.includes(userId)) {
+        const remaining = voters.filter(id => id !== userId);
+        if (remaining.length > 0) {
+            reactions[emoji] = remaining;
+        } else {
+            delete reactions[emoji];
+        }
+    } else {
+        if (!reactions[emoji] && Object.keys(reactions).length >= MAX_REACTIONS_PER_MESSAGE) {
+            return null;
+        }
+        reactions[emoji] = [...voters, userId];
+    }
+
+    return { ...message, reactions };
+}
+
+// ✉️ ÖZEL MESAJLAR
+// İki oturum arasındaki konuşmanın kimliği, taraflardan bağımsız olarak aynıdır
+export function conversationIdFor(userId, otherUserId) {
+    return [userId, otherUserId].sort().join('_');
+}
+
+// Okunmamış: karşı taraftan gelen ve okundu imlecinden sonraki mesajlar
+export function countUnread(conversation, userId, lastReadId = '') {
+    return conversation.filter(message => message.to === userId && message.id > (lastReadId || '')).length;
+}
@@ -0,0 +1,101 @@
+// lib/metrics.js - Prometheus metin biçiminde (text/plain; version=0.0.4) ölçümler
+//
+// counter: sadece artan sayaç (olay, bayt...). gauge: okunduğu anda hesaplanan değer.
+// Etiketli ölçümlerde her etiket birleşimi ayrı bir satırdır:
+//   watchparty_upload_bytes_total{kind="attachment"} 52311
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels || {});
+    if (entries.length === 0) return '';
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+    if (Number.isNaN(value)) return 'NaN';
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+export function createMetrics({ prefix = '' } = {}) {
+    const families = new Map();
+
+    function register(name, type, help, samples) {
+        const fullName = prefix + name;
+        if (families.has(fullName)) {
+            throw new Error(`Ölçüm zaten tanımlı: ${fullName}`);
+        }
+        families.set(fullName, { type, help, samples });
+    }
+
+    function counter(name, help) {
+        const values = new Map(); // etiket satırı -> { labels, value }
+
+        register(name, 'counter', help, () => Array.from(values.values()));
+
+        return {
+            inc(labels = {}, amount = 1) {
+                const key = formatLabels(labels);
+                const entry = values.get(key) || { labels, value: 0 };
+                entry.value += amount;
+                values.set(key, entry);
+            },
+            get(labels = {}) {
+                return values.get(formatLabels(labels))?.value || 0;
+            }
+        };
+    }
+
+    // collect() bir sayı veya [{ labels, value }] dizisi döner
+    function gauge(name, help, collect) {
+        register(name, 'gauge', help, () => {
+            const result = collect();
+            return typeof result === 'number' ? [{ labels: {}, value: result }] : result;
+        });
+    }
+
+    function render() {
+        const lines = [];
+        for (const [name, { type, help, samples }] of families) {
+            lines.push(`# HELP ${name} ${help.replace(/\n/g, ' ')}`);
+            lines.push(`# TYPE ${name} ${type}`);
+            for (const { labels, value } of samples()) {
+                lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    return { counter, gauge, render };
+}
+
+// Son 'windowSeconds' saniyedeki olayların saniye başına ortalaması (saniyelik kovalarla)
+export function createRateMeter({ windowSeconds = 60 } = {}) {
+    const buckets = new Map(); // saniye -> adet
+
+    function prune(second) {
+        for (const key of buckets.keys()) {
+            if (key <= second - windowSeconds) buckets.delete(key);
+        }
+    }
+
+    return {
+        mark(count = 1, at = Date.now()) {
+            const second = Math.floor(at / 1000);
+            buckets.set(second, (buckets.get(second) || 0) + count);
+            prune(second);
+        },
+        rate(at = Date.now()) {
+            prune(Math.floor(at / 1000));
+            let total = 0;
+            for (const count of buckets.values()) total += count;
+            return total / windowSeconds;
+        }
+    };
+}
@@ -0,0 +1,63 @@
+// lib/permissions.js - Oda rolleri ve yetki tablosu
+
+export const ROLES = {
+    OWNER: 'owner',
+    COHOST: 'cohost',
+    MODERATOR: 'moderator',
+    MEMBER: 'member',
+    GUEST: 'guest'
+};
+
+// Büyük sayı = yüksek yetki. Bir kullanıcı sadece kendinden düşük rütbedekileri yönetebilir.
+const ROLE_RANK = {
+    owner: 4,
+    cohost: 3,
+    moderator: 2,
+    member: 1,
+    guest: 0
+};
+
+const PERMISSIONS = {
+    'room:participate': ['owner', 'cohost', 'moderator', 'member', 'guest'], // geçmiş, okundu, özel mesaj listesi, oynatıcı durumu
+    'video:control': ['owner', 'cohost'],                          // oynat/duraklat/ileri sar
+    'video:share': ['owner', 'cohost'],                            // videoyu doğrudan değiştir/yükle/sil
+    'queue:edit': ['owner', 'cohost'],                             // ekle, sil, sırala, atla, onayla
+    'queue:propose': ['owner', 'cohost', 'moderator', 'member'],
+    'queue:vote': ['owner', 'cohost', 'moderator', 'member', 'guest'],
+    'chat:send': ['owner', 'cohost', 'moderator', 'member', 'guest'],
+    'chat:moderate': ['owner', 'cohost', 'moderator'],              // başkalarının mesajlarını sil
+    'file:share': ['owner', 'cohost', 'moderator', 'member'],
+    'call:start': ['owner', 'cohost', 'moderator', 'member'],
+    'call:join': ['owner', 'cohost', 'moderator', 'member', 'guest'],
+    'moderate:kick': ['owner', 'cohost', 'moderator'],
+    'moderate:ban': ['owner', 'cohost', 'moderator'],
+    'moderate:mute': ['owner', 'cohost', 'moderator'],
+    'roles:manage': ['owner', 'cohost'],
+    'room:invite': ['owner', 'cohost', 'moderator'],               // şifresiz katılım sağlayan davet bağlantısı
+    'room:export': ['owner']                                       // sohbet dökümü ve oturum kaydını indir
+};
+
+export function isValidRole(role) {
+    return Object.prototype.hasOwnProperty.call(ROLE_RANK, role);
+}
+
+export function can(role, permission) {
+    const allowed = PERMISSIONS[permission];
+    return Boolean(allowed && allowed.includes(role));
+}
+
+export function permissionsFor(role) {
+    return Object.keys(PERMISSIONS).filter(permission => can(role, permission));
+}
+
+export function outranks(role, otherRole) {
+    return (ROLE_RANK[role] ?? -1) > (ROLE_RANK[otherRole] ?? -1);
+}
+
+// Rol atama: hedefin mevcut ve yeni rolü atayanın rütbesinden düşük olmalı.
+// Sahiplik bu yolla devredilemez.
+export function canAssignRole(actorRole, targetRole, newRole) {
+    if (!isValidRole(newRole) || newRole === ROLES.OWNER) return false;
+    if (!can(actorRole, 'roles:manage')) return false;
+    return outranks(actorRole, targetRole) && outranks(actorRole, newRole);
+}
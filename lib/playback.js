@@ -0,0 +1,57 @@
+// lib/playback.js - Sunucu tarafı oynatma saati
+//
+// Oda başına tutulan saat: referans konum (saniye), bu konumun geçerli olduğu
+// sunucu zamanı (ms), oynatılıyor bayrağı ve hız. Beklenen konum her an
+// bu dört değerden hesaplanır; böylece geç katılanlar eski currentTime ile başlamaz.
+
+export const MIN_PLAYBACK_RATE = 0.25;
+export const MAX_PLAYBACK_RATE = 4;
+
+export function createPlaybackClock(now = Date.now()) {
+    return {
+        position: 0,
+        updatedAt: now,
+        playing: false,
+        rate: 1
+    };
+}
+
+export function expectedPosition(clock, now = Date.now()) {
+    if (!clock.playing) return clock.position;
+    const elapsed = Math.max(0, now - clock.updatedAt) / 1000;
+    return clock.position + elapsed * clock.rate;
+}
+
+// Sahibin gönderdiği kontrolü saate uygular. Bilinmeyen alanlar yok sayılır.
+export function applyControl(clock, control, now = Date.now()) {
+    const next = {
+        position: expectedPosition(clock, now),
+        updatedAt: now,
+        playing: clock.playing,
+        rate: clock.rate
+    };
+
+    if (control && typeof control === 'object') {
+        if (Number.isFinite(control.currentTime) && control.currentTime >= 0) {
+            next.position = control.currentTime;
+        }
+        if (typeof control.playing === 'boolean') {
+            next.playing = control.playing;
+        }
+        if (Number.isFinite(control.playbackRate)) {
+            next.rate = Math.min(MAX_PLAYBACK_RATE, Math.max(MIN_PLAYBACK_RATE, control.playbackRate));
+        }
+    }
+
+    return next;
+}
+
+// İstemcilere gönderilen durum. currentTime/playbackRate alanları eski istemcilerle uyumludur.
+export function playbackSnapshot(clock, now = Date.now()) {
+    return {
+        playing: clock.playing,
+        currentTime: expectedPosition(clock, now),
+        playbackRate: clock.rate,
+        serverTime: now
+    };
+}
@@ -0,0 +1,37 @@
+// lib/presence.js - Kullanıcı durumları (aktif, boşta, aramada, uzakta)
+
+export const PRESENCE = {
+    ACTIVE: 'active',
+    IDLE: 'idle',
+    IN_CALL: 'in-call',
+    AWAY: 'away'
+};
+
+export const IDLE_AFTER = 2 * 60 * 1000;   // Bu süre etkileşim yoksa boşta
+export const AWAY_AFTER = 35 * 1000;       // Bu süre heartbeat gelmezse uzakta (istemci 10 sn'de bir gönderir)
+export const TYPING_TIMEOUT = 5000;        // "yazıyor" bu süre sonra kendiliğinden düşer
+export const TYPING_THROTTLE = 2000;       // Aynı kullanıcıdan en fazla bu aralıkla yayın
+
+// lastSeen: bağlantı izleyicisindeki son sinyal zamanı
+export function resolvePresence(user, lastSeen, now = Date.now()) {
+    if (!user.connected || user.hidden || !lastSeen || now - lastSeen > AWAY_AFTER) {
+        return PRESENCE.AWAY;
+    }
+    if (user.call) {
+        return PRESENCE.IN_CALL;
+    }
+    if (now - (user.lastActiveAt || 0) > IDLE_AFTER) {
+        return PRESENCE.IDLE;
+    }
+    return PRESENCE.ACTIVE;
+}
+
+// İstemci heartbeat'te son etkileşimden bu yana geçen süreyi bildirir
+export function recordHeartbeat(user, { idleFor, hidden } = {}, now = Date.now()) {
+    user.hidden = Boolean(hidden);
+
+    const idle = Number(idleFor);
+    if (Number.isFinite(idle) && idle >= 0) {
+        user.lastActiveAt = Math.max(user.lastActiveAt || 0, now - idle);
+    }
+}
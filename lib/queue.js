@@ -0,0 +1,130 @@
+// lib/queue.js - Oda izleme sırası (playlist), öneriler ve oylama
+import { v4 as uuidv4 } from 'uuid';
+
+export const MAX_QUEUE_ITEMS = 100;
+
+export function createQueue() {
+    return {
+        items: [],            // Sıradaki videolar (sahibin belirlediği sırayla)
+        proposals: [],        // Onay bekleyen öneriler
+        requireApproval: false
+    };
+}
+
+// media: { type: 'youtube' | 'vimeo' | 'direct' | 'hls' | 'file', videoId?, uploadId?, url, title,
+//          mimeType?, fileSize?, startAt?, live?, hash? } - bağlantılar için bkz. lib/media.js
+export function createQueueItem(media, uploadedBy, now = Date.now()) {
+    return {
+        id: uuidv4(),
+        type: media.type,
+        videoId: media.videoId,
+        uploadId: media.uploadId,
+        url: media.url,
+        title: media.title,
+        mimeType: media.mimeType,
+        fileSize: media.fileSize,
+        startAt: media.startAt || 0,
+        live: Boolean(media.live),
+        hash: media.hash,
+        uploadedBy,
+        addedAt: new Date(now),
+        votes: []             // Oy veren kullanıcı id'leri
+    };
+}
+
+export function isQueueFull(queue) {
+    return queue.items.length + queue.proposals.length >= MAX_QUEUE_ITEMS;
+}
+
+export function enqueue(queue, item) {
+    queue.items.push(item);
+    return item;
+}
+
+export function addProposal(queue, item) {
+    queue.proposals.push(item);
+    return item;
+}
+
+// Sıradan veya önerilerden siler, silinen öğeyi döndürür
+export function removeItem(queue, itemId) {
+    for (const list of [queue.items, queue.proposals]) {
+        const index = list.findIndex(item => item.id === itemId);
+        if (index !== -1) {
+            return list.splice(index, 1)[0];
+        }
+    }
+    return null;
+}
+
+export function moveItem(queue, itemId, toIndex) {
+    const index = queue.items.findIndex(item => item.id === itemId);
+    if (index === -1 || !Number.isInteger(toIndex)) return false;
+
+    const [item] = queue.items.splice(index, 1);
+    const target = Math.min(Math.max(toIndex, 0), queue.items.length);
+    queue.items.splice(target, 0, item);
+    return true;
+}
+
+// Öneriyi onaylayıp sıranın sonuna ekler
+export function approveProposal(queue, proposalId) {
+    const index = queue.proposals.findIndex(item => item.id === proposalId);
+    if (index === -1) return null;
+
+    const [item] = queue.proposals.splice(index, 1);
+    queue.items.push(item);
+    return item;
+}
+
+export function shiftQueue(queue) {
+    return queue.items.shift() || null;
+}
+
+// Oy ver / oyu geri al. Öğe bulunamazsa null döner.
+export function toggleVote(queue, itemId, voterId) {
+    const item = queue.items.find(i => i.id === itemId) || queue.proposals.find(i => i.id === itemId);
+    if (!item) return null;
+
+    const index = item.votes.indexOf(voterId);
+    if (index === -1) {
+        item.votes.push(voterId);
+    } else {
+        item.votes.splice(index, 1);
+    }
+    return item;
+}
+
+export function removeVoter(queue, voterId) {
+    for (const item of [...queue.items, ...queue.proposals]) {
+        const index = item.votes.indexOf(voterId);
+        if (index !== -1) {
+            item.votes.splice(index, 1);
+        }
+    }
+}
+
+function serializeItem(item) {
+    return {
+        id: item.id,
+        type: item.type,
+        videoId: item.videoId,
+        url: item.type !== 'file' ? item.url : undefined,
+        title: item.title,
+        uploadedBy: item.uploadedBy,
+        addedAt: item.addedAt,
+        votes: item.votes.length,
+        voters: [...item.votes]
+    };
+}
+
+// İstemcilere gönderilen hali - öneriler oy sayısına göre sıralanır
+export function serializeQueue(queue) {
+    return {
+        items: queue.items.map(serializeItem),
+        proposals: queue.proposals
+            .map(serializeItem)
+            .sort((a, b) => b.votes - a.votes),
+        requireApproval: queue.requireApproval
+    };
+}
@@ -0,0 +1,47 @@
+// lib/rateLimit.js - Token bucket hız sınırlayıcı
+//
+// Kova 'capacity' jetonla dolu başlar ve saniyede 'refillPerSecond' jeton dolar.
+// Her olay bir jeton harcar; kova boşsa olay reddedilir. Böylece kısa patlamalara izin verilir
+// ama sürekli taşkın (sohbet seli, kontrol spam'i) ortalama hızla sınırlanır.
+
+export function createTokenBucket({ capacity, refillPerSecond }, now = Date.now()) {
+    let tokens = capacity;
+    let refilledAt = now;
+
+    function refill(at) {
+        const elapsed = Math.max(0, at - refilledAt) / 1000;
+        tokens = Math.min(capacity, tokens + elapsed * refillPerSecond);
+        refilledAt = at;
+    }
+
+    // Jeton varsa harcar ve 0 döner; yoksa bir sonraki jetona kalan süreyi (ms) döner
+    function take(cost = 1, at = Date.now()) {
+        refill(at);
+        if (tokens >= cost) {
+            tokens -= cost;
+            return 0;
+        }
+        return Math.ceil(((cost - tokens) / refillPerSecond) * 1000);
+    }
+
+    return { take };
+}
+
+// Aynı gruptaki olaylar tek kovayı paylaşır (ör. mesaj, düzenleme ve tepki -> 'chat')
+export function createRateLimiter(limits) {
+    const buckets = new Map(); // grup -> kova
+
+    function consume(group, now = Date.now()) {
+        const limit = limits[group];
+        if (!limit) return 0;
+
+        let bucket = buckets.get(group);
+        if (!bucket) {
+            bucket = createTokenBucket(limit, now);
+            buckets.set(group, bucket);
+        }
+        return bucket.take(1, now);
+    }
+
+    return { consume };
+}
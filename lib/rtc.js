@@ -0,0 +1,75 @@
+// lib/rtc.js - ICE (STUN/TURN) sunucu yapılandırması ve kısa ömürlü TURN kimlik bilgileri
+//
+// TURN_SECRET verilirse coturn'ün "REST API" yöntemi kullanılır (use-auth-secret):
+//   username   = "<bitiş zamanı (unix sn)>:<kullanıcı id>"
+//   credential = base64(HMAC-SHA1(TURN_SECRET, username))
+// Böylece sunucu kullanıcı başına, süresi dolan şifreler üretir; kalıcı şifre istemciye gitmez.
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+const DEFAULT_STUN_URLS = [
+    'stun:stun.l.google.com:19302',
+    'stun:stun1.l.google.com:19302',
+    'stun:stun2.l.google.com:19302',
+    'stun:stun3.l.google.com:19302',
+    'stun:stun4.l.google.com:19302'
+];
+
+function splitList(value) {
+    return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+export function turnCredentials(secret, userId, ttlSeconds, now = Date.now()) {
+    const expiresAt = Math.floor(now / 1000) + ttlSeconds;
+    const username = `${expiresAt}:${userId}`;
+    const credential = crypto.createHmac('sha1', secret).update(username).digest('base64');
+    return { username, credential, expiresAt: expiresAt * 1000 };
+}
+
+// env: ICE_SERVERS (JSON, tamamen özel liste) | STUN_URLS, TURN_URLS,
+//      TURN_SECRET veya TURN_USERNAME + TURN_CREDENTIAL, TURN_TTL (sn), ICE_TRANSPORT_POLICY
+export function createRtcConfig(env = process.env) {
+    let baseServers;
+    if (env.ICE_SERVERS) {
+        try {
+            baseServers = JSON.parse(env.ICE_SERVERS);
+        } catch {
+            throw new Error('ICE_SERVERS geçerli bir JSON dizisi olmalı');
+        }
+    } else {
+        const stunUrls = env.STUN_URLS !== undefined ? splitList(env.STUN_URLS) : DEFAULT_STUN_URLS;
+        baseServers = stunUrls.map(urls => ({ urls }));
+    }
+
+    const turnUrls = splitList(env.TURN_URLS);
+    const turnSecret = env.TURN_SECRET || null;
+    const ttlSeconds = parseInt(env.TURN_TTL, 10) || 3600;
+    const iceTransportPolicy = env.ICE_TRANSPORT_POLICY === 'relay' ? 'relay' : 'all';
+
+    if (turnUrls.length > 0 && !turnSecret && !(env.TURN_USERNAME && env.TURN_CREDENTIAL)) {
+        logger.warn('TURN_URLS tanımlı ama TURN_SECRET veya TURN_USERNAME/TURN_CREDENTIAL yok', { component: 'rtc' });
+    }
+
+    // Kullanıcıya özel yapılandırma; expiresAt'ten önce /api/rtc-config ile yenilenmeli
+    function forUser(userId, now = Date.now()) {
+        const iceServers = [...baseServers];
+        let expiresAt = null;
+
+        if (turnUrls.length > 0) {
+            if (turnSecret) {
+                const credentials = turnCredentials(turnSecret, userId, ttlSeconds, now);
+                iceServers.push({ urls: turnUrls, username: credentials.username, credential: credentials.credential });
+                expiresAt = credentials.expiresAt;
+            } else if (env.TURN_USERNAME && env.TURN_CREDENTIAL) {
+                iceServers.push({ urls: turnUrls, username: env.TURN_USERNAME, credential: env.TURN_CREDENTIAL });
+            }
+        }
+
+        return { iceServers, iceTransportPolicy, expiresAt };
+    }
+
+    return {
+        forUser,
+        hasTurn: turnUrls.length > 0
+    };
+}
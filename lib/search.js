@@ -0,0 +1,192 @@
+// lib/search.js - Sunucu üzerinden video arama (GET /api/search)
+//
+// API anahtarı yalnızca sunucuda durur; tarayıcı sağlayıcıya doğrudan gitmez.
+// Sağlayıcı takılabilir: { name, search(query, { pageToken }) -> { results, nextPageToken } }.
+// Sonuçlar ortak biçime çevrilir: { id, title, channel, thumbnail, duration, url }.
+// Aynı sorgu TTL boyunca önbellekten döner; her istemcinin kendi jeton kovası (kotası) vardır.
+import { createTokenBucket } from './rateLimit.js';
+import { ERROR_CODES } from './errors.js';
+
+export const SEARCH_QUERY_MAX = 100;
+const SEARCH_TIMEOUT = 5000;
+
+export class SearchError extends Error {
+    constructor(code, message, status, retryAfter = null) {
+        super(message);
+        this.name = 'SearchError';
+        this.code = code;
+        this.status = status;
+        this.retryAfter = retryAfter;
+    }
+}
+
+// ISO 8601 süresi (PT1H2M3S) -> saniye; canlı yayınlarda P0D gelir
+export function parseIsoDuration(value) {
+    const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value || '');
+    if (!match) return null;
+    const [, days, hours, minutes, seconds] = match.map(part => Number(part || 0));
+    return days * 86400 + hours * 3600 + minutes * 60 + seconds;
+}
+
+// 🔎 YouTube Data API: search.list sonuçları, süreler için videos.list ile tamamlanır
+export function createYouTubeSearchProvider({ apiKey, fetch = globalThis.fetch, timeout = SEARCH_TIMEOUT, pageSize = 10 }) {
+    async function request(resource, params) {
+        const query = new URLSearchParams({ ...params, key: apiKey });
+        const response = await fetch(`https://www.googleapis.com/youtube/v3/${resource}?${query}`, {
+            signal: AbortSignal.timeout(timeout)
+        });
+        if (!response.ok) {
+            throw new Error(`YouTube API yanıtı başarısız (${response.status})`);
+        }
+        return response.json();
+    }
+
+    async function search(query, { pageToken } = {}) {
+        const data = await request('search', {
+            part: 'snippet',
+            type: 'video',
+            maxResults: String(pageSize),
+            q: query,
+            ...(pageToken ? { pageToken } : {})
+        });
+        const items = (data.items || []).filter(item => item.id?.videoId);
+
+        // Süre alınamazsa arama yine de sonuç döner
+        const durations = new Map();
+        if (items.length > 0) {
+            try {
+                const details = await request('videos', {
+                    part: 'contentDetails',
+                    id: items.map(item => item.id.videoId).join(',')
+                });
+                for (const video of details.items || []) {
+                    durations.set(video.id, parseIsoDuration(video.contentDetails?.duration));
+                }
+            } catch {
+                // süreler boş kalır
+            }
+        }
+
+        return {
+            results: items.map(item => ({
+                id: item.id.videoId,
+                title: item.snippet?.title,
+                channel: item.snippet?.channelTitle,
+                thumbnail: item.snippet?.thumbnails?.medium?.url || item.snippet?.thumbnails?.default?.url,
+                duration: durations.get(item.id.videoId) ?? null,
+                url: `https://www.youtube.com/watch?v=${item.id.videoId}`
+            })),
+            nextPageToken: data.nextPageToken || null
+        };
+    }
+
+    return { name: 'youtube', search };
+}
+
+// Sağlayıcıdan gelen sonuç ne olursa olsun istemciye aynı alanlar gider
+function normalizeResult(result) {
+    const text = (value) => (typeof value === 'string' ? value.slice(0, 200) : '');
+    return {
+        id: String(result.id),
+        title: text(result.title),
+        channel: text(result.channel),
+        thumbnail: typeof result.thumbnail === 'string' ? result.thumbnail : null,
+        duration: Number.isFinite(result.duration) ? result.duration : null,
+        url: typeof result.url === 'string' ? result.url : null
+    };
+}
+
+// providers: { ad: sağlayıcı }; anahtarı olmayan sağlayıcılar hiç verilmez
+export function createSearchService({
+    providers = {},
+    defaultProvider = Object.keys(providers)[0],
+    cacheTtl = 10 * 60 * 1000,
+    cacheSize = 500,
+    quota = { capacity: 20, refillPerSecond: 0.2 },
+    now = () => Date.now()
+} = {}) {
+    const cache = new Map();   // sağlayıcı|sorgu|sayfa -> { expiresAt, page }
+    const clients = new Map(); // istemci -> { bucket, seenAt }
+
+    function consumeQuota(clientId) {
+        const at = now();
+        let client = clients.get(clientId);
+        if (!client) {
+            client = { bucket: createTokenBucket(quota, at), seenAt: at };
+            clients.set(clientId, client);
+        }
+        client.seenAt = at;
+        return client.bucket.take(1, at);
+    }
+
+    function remember(key, page) {
+        cache.delete(key);
+        cache.set(key, { expiresAt: now() + cacheTtl, page });
+        // Map ekleme sırasını korur: en eski kayıt ilk sıradadır
+        while (cache.size > cacheSize) {
+            cache.delete(cache.keys().next().value);
+        }
+    }
+
+    // { query, provider, pageToken } -> { provider, query, results, nextPageToken, cached }
+    async function search({ query, provider: providerName = defaultProvider, pageToken = null }, clientId) {
+        const text = typeof query === 'string' ? query.trim().replace(/\s+/g, ' ') : '';
+        if (!text || text.length > SEARCH_QUERY_MAX) {
+            throw new SearchError(ERROR_CODES.INVALID_PAYLOAD, `Arama metni 1-${SEARCH_QUERY_MAX} karakter olmalı`, 400);
+        }
+        if (Object.keys(providers).length === 0) {
+            throw new SearchError(ERROR_CODES.SEARCH_UNAVAILABLE, 'Sunucuda video araması yapılandırılmamış', 503);
+        }
+        const provider = providers[providerName];
+        if (!provider) {
+            throw new SearchError(ERROR_CODES.INVALID_PAYLOAD, 'Bilinmeyen arama sağlayıcısı', 400);
+        }
+
+        const key = `${providerName}|${text.toLowerCase()}|${pageToken || ''}`;
+        const hit = cache.get(key);
+        if (hit && hit.expiresAt > now()) {
+            return { ...hit.page, cached: true };
+        }
+
+        // Kota yalnızca sağlayıcıya giden isteklerde harcanır
+        const waitMs = consumeQuota(clientId);
+        if (waitMs > 0) {
+            throw new SearchError(ERROR_CODES.RATE_LIMITED, 'Çok fazla arama yaptınız, biraz bekleyin', 429, Math.ceil(waitMs / 1000));
+        }
+
+        let upstream;
+        try {
+            upstream = await provider.search(text, { pageToken });
+        } catch (error) {
+            throw Object.assign(new SearchError(ERROR_CODES.SEARCH_FAILED, 'Arama sağlayıcısına ulaşılamadı', 502), { cause: error });
+        }
+
+        const page = {
+            provider: providerName,
+            query: text,
+            results: (upstream.results || []).filter(result => result?.id).map(normalizeResult),
+            nextPageToken: upstream.nextPageToken || null
+        };
+        remember(key, page);
+        return { ...page, cached: false };
+    }
+
+    // Süresi dolan önbellek kayıtları ve kovası çoktan dolmuş istemciler atılır
+    function cleanup() {
+        const at = now();
+        for (const [key, entry] of cache) {
+            if (entry.expiresAt <= at) cache.delete(key);
+        }
+        const idleMs = (quota.capacity / quota.refillPerSecond) * 1000;
+        for (const [clientId, client] of clients) {
+            if (at - client.seenAt > idleMs) clients.delete(clientId);
+        }
+    }
+
+    return {
+        search,
+        cleanup,
+        providers: () => Object.keys(providers),
+        stats: () => ({ cached: cache.size, clients: clients.size })
+    };
+}
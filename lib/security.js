@@ -0,0 +1,164 @@
+// lib/security.js - Oda şifreleri, oda kodları, davet bağlantıları, ek indirme anahtarları, yönetici anahtarı ve giriş denemesi sınırı
+import crypto from 'crypto';
+
+const ROOM_CODE_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+const SCRYPT_KEY_LENGTH = 32;
+
+// Kriptografik rastgele oda kodu (Math.random tahmin edilebilir)
+export function generateRoomCode(length = 6) {
+    let code = '';
+    for (let i = 0; i < length; i++) {
+        code += ROOM_CODE_CHARS[crypto.randomInt(ROOM_CODE_CHARS.length)];
+    }
+    return code;
+}
+
+// 🔒 ŞİFRELER - "scrypt$<salt>$<hash>" biçiminde saklanır
+export function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEY_LENGTH);
+    return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+export function verifyPassword(password, stored) {
+    if (!stored) return true;
+    if (typeof password !== 'string' || password.length === 0) return false;
+
+    const [scheme, salt, hash] = stored.split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        // Eski kayıtlarda şifre düz metin olabilir
+        const given = Buffer.from(password);
+        const expected = Buffer.from(stored);
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    }
+
+    const expected = Buffer.from(hash, 'base64');
+    const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// ✉️ DAVET BAĞLANTILARI - "<yük>.<imza>", yük = base64url({ r: oda kodu, e: bitiş })
+export function createInviteSigner(secret) {
+    function signature(payload) {
+        return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+    }
+
+    function sign(roomCode, ttlMs, now = Date.now()) {
+        const expiresAt = now + ttlMs;
+        const payload = Buffer.from(JSON.stringify({ r: roomCode, e: expiresAt })).toString('base64url');
+        return { token: `${payload}.${signature(payload)}`, expiresAt };
+    }
+
+    // Geçerliyse true; imza, oda veya süre tutmazsa false
+    function verify(token, roomCode, now = Date.now()) {
+        if (typeof token !== 'string') return false;
+
+        const [payload, given] = token.split('.');
+        if (!payload || !given) return false;
+
+        const expected = Buffer.from(signature(payload));
+        const actual = Buffer.from(given);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+            return false;
+        }
+
+        try {
+            const { r, e } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+            return r === roomCode && Number(e) > now;
+        } catch {
+            return false;
+        }
+    }
+
+    return { sign, verify };
+}
+
+// 📎 EK İNDİRME ANAHTARI - <img>/<audio> başlık gönderemediği için adrese eklenir.
+// Oda + oturuma bağlıdır; oturum odadan çıkınca üyelik kontrolü zaten başarısız olur.
+export function createMediaTokens(secret) {
+    function sign(roomCode, sessionId) {
+        return crypto.createHmac('sha256', secret).update(`media:${roomCode}:${sessionId}`).digest('base64url');
+    }
+
+    function verify(token, roomCode, sessionId) {
+        if (typeof token !== 'string' || typeof sessionId !== 'string') return false;
+
+        const expected = Buffer.from(sign(roomCode, sessionId));
+        const actual = Buffer.from(token);
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    return { sign, verify };
+}
+
+// 🛠️ YÖNETİCİ ANAHTARI - "Authorization: Bearer <anahtar>". Özetler karşılaştırıldığı için
+// uzunluk farkı da zamanlamadan anlaşılmaz. Anahtar tanımlı değilse hiçbir istek geçmez.
+export function verifyBearerToken(header, token) {
+    if (!token || typeof header !== 'string') return false;
+
+    const [scheme, given] = header.split(' ');
+    if (scheme !== 'Bearer' || !given) return false;
+
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(given), digest(token));
+}
+
+// 🚦 GİRİŞ DENEMESİ SINIRI
+// Pencere içinde maxFailures hatalı denemeden sonra anahtar (IP/cihaz) lockoutMs boyunca kilitlenir.
+export function createAttemptLimiter({ maxFailures, windowMs, lockoutMs }) {
+    const failures = new Map(); // anahtar -> hatalı deneme zamanları
+    const lockouts = new Map(); // anahtar -> kilidin bitiş zamanı
+    let totalFailures = 0;
+    let totalLockouts = 0;
+
+    // Kilitliyse kalan süreyi (ms), değilse 0 döner
+    function lockedFor(key, now = Date.now()) {
+        const until = lockouts.get(key);
+        if (!until) return 0;
+        if (until <= now) {
+            lockouts.delete(key);
+            return 0;
+        }
+        return until - now;
+    }
+
+    function recordFailure(key, now = Date.now()) {
+        totalFailures++;
+        const recent = (failures.get(key) || []).filter(time => now - time < windowMs);
+        recent.push(now);
+
+        if (recent.length >= maxFailures) {
+            failures.delete(key);
+            lockouts.set(key, now + lockoutMs);
+            totalLockouts++;
+            return true;
+        }
+        failures.set(key, recent);
+        return false;
+    }
+
+    function reset(key) {
+        failures.delete(key);
+    }
+
+    function prune(now = Date.now()) {
+        for (const [key, until] of lockouts.entries()) {
+            if (until <= now) lockouts.delete(key);
+        }
+        for (const [key, times] of failures.entries()) {
+            if (times.every(time => now - time >= windowMs)) failures.delete(key);
+        }
+    }
+
+    function stats(now = Date.now()) {
+        prune(now);
+        return {
+            activeLockouts: lockouts.size,
+            trackedKeys: failures.size,
+            totalFailures,
+            totalLockouts
+        };
+    }
+
+    return { lockedFor, recordFailure, reset, prune, stats };
+}
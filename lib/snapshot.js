@@ -0,0 +1,49 @@
+// lib/snapshot.js - Kapanışta alınan oda görüntüsü (snapshot) ve açılışta geri yüklenmesi
+//
+// Kontrollü kapanışta tüm odalar (üyeler, oynatma konumu, sıra, yasaklar) oda kaydı olarak,
+// kalıcı olmayan sürücülerde (memory) sohbet geçmişi de yanında tek bir JSON dosyasına yazılır.
+// Açılışta dosya bir kez okunup silinir; eski ya da bozuk görüntü yok sayılır.
+import fs from 'fs';
+import path from 'path';
+import { roomToRecord } from './storage/index.js';
+
+export const SNAPSHOT_VERSION = 1;
+
+export function createSnapshot({ rooms, storage, node = null, expectedBackAt = null, now = Date.now() }) {
+    return {
+        version: SNAPSHOT_VERSION,
+        node,
+        savedAt: now,
+        expectedBackAt,
+        rooms: Array.from(rooms.values()).map(room => ({
+            record: roomToRecord(room, now),
+            chat: storage.exportChat?.(room.code) || null
+        }))
+    };
+}
+
+// Yarım yazılmış dosya kalmasın diye geçici dosyaya yazılıp yeniden adlandırılır
+export async function writeSnapshot(file, snapshot) {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tempFile = `${file}.tmp`;
+    await fs.promises.writeFile(tempFile, JSON.stringify(snapshot));
+    await fs.promises.rename(tempFile, file);
+}
+
+// Görüntü tek kullanımlıktır: okunduktan sonra silinir, bir sonraki açılışta tekrar uygulanmaz.
+// maxAge'den eski görüntüdeki odalar artık beklenmiyordur, yüklenmez.
+export function readSnapshot(file, { maxAge = Infinity, now = Date.now() } = {}) {
+    if (!fs.existsSync(file)) return null;
+
+    let snapshot = null;
+    try {
+        snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+        snapshot = null;
+    }
+    fs.rmSync(file, { force: true });
+
+    if (!snapshot || snapshot.version !== SNAPSHOT_VERSION || !Array.isArray(snapshot.rooms)) return null;
+    if (now - snapshot.savedAt > maxAge) return null;
+    return snapshot;
+}
@@ -0,0 +1,246 @@
+// lib/storage/file.js - Yerel diskte JSON tabanlı depolama
+//
+// data/rooms/<KOD>.json      -> odanın son hali (gecikmeli, atomik yazılır)
+// data/messages/<KOD>.jsonl  -> mesaj geçmişi, her satır bir mesaj (sadece sona eklenir)
+// data/dms/<KOD>/<KONUŞMA>.jsonl -> oda içi özel mesajlar, aynı biçimde
+// data/timelines/<KOD>/<VİDEO>.jsonl -> videoya bağlı yorum ve tepkiler (dosya adı video anahtarının özeti)
+// data/events/<KOD>.jsonl        -> oturum günlüğü (katılma/ayrılma, videolar, aramalar)
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { paginateMessages } from '../messages.js';
+import { TIMELINE_LIMIT } from '../timeline.js';
+import { SESSION_EVENT_LIMIT } from '../export.js';
+import { logger } from '../logger.js';
+
+const ROOM_WRITE_DELAY = 1000;
+const log = logger.child({ component: 'storage' });
+
+export function createFileStorage({ dir, messageLimit }) {
+    const roomsDir = path.join(dir, 'rooms');
+    const messagesDir = path.join(dir, 'messages');
+    const dmDir = path.join(dir, 'dms');
+    const timelineDir = path.join(dir, 'timelines');
+    const eventsDir = path.join(dir, 'events');
+    const cache = new Map();         // dosya yolu -> mesaj dizisi (okuma önbelleği)
+    const pendingRooms = new Map();  // roomCode -> yazılmayı bekleyen oda kaydı
+    let flushTimer = null;
+    let writeChain = Promise.resolve();
+
+    fs.mkdirSync(roomsDir, { recursive: true });
+    fs.mkdirSync(messagesDir, { recursive: true });
+    fs.mkdirSync(dmDir, { recursive: true });
+    fs.mkdirSync(timelineDir, { recursive: true });
+    fs.mkdirSync(eventsDir, { recursive: true });
+
+    const roomFile = (roomCode) => path.join(roomsDir, `${roomCode}.json`);
+    const messageFile = (roomCode) => path.join(messagesDir, `${roomCode}.jsonl`);
+    const directFile = (roomCode, conversationId) => path.join(dmDir, roomCode, `${conversationId}.jsonl`);
+    // Video anahtarı adres içerebilir; dosya adında özeti kullanılır
+    const timelineFile = (roomCode, mediaKey) => path.join(
+        timelineDir, roomCode, `${crypto.createHash('sha1').update(mediaKey).digest('hex').slice(0, 16)}.jsonl`
+    );
+    const eventFile = (roomCode) => path.join(eventsDir, `${roomCode}.jsonl`);
+    // Kanal türüne göre saklama sınırı
+    const channelLimit = (file) => {
+        if (file.startsWith(timelineDir + path.sep)) return TIMELINE_LIMIT;
+        if (file.startsWith(eventsDir + path.sep)) return SESSION_EVENT_LIMIT;
+        return messageLimit;
+    };
+
+    // Disk yazmaları sırayla yapılır; hata olursa zincir kopmaz
+    function enqueueWrite(task) {
+        writeChain = writeChain.then(task).catch(error => {
+            log.error('Depolama yazma hatası', { error });
+        });
+        return writeChain;
+    }
+
+    async function writeAtomic(file, content) {
+        const tempFile = `${file}.tmp`;
+        await fs.promises.writeFile(tempFile, content);
+        await fs.promises.rename(tempFile, file);
+    }
+
+    function readMessages(file, limit = messageLimit) {
+        if (!fs.existsSync(file)) return [];
+
+        const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+        const byId = new Map(); // Aynı kimliğin sonraki satırı (düzenleme/silme) öncekinin yerine geçer
+        for (const line of lines) {
+            try {
+                const message = JSON.parse(line);
+                byId.set(message.id, message);
+            } catch {
+                // Yarım yazılmış son satır atlanır
+            }
+        }
+        const list = Array.from(byId.values());
+
+        // Sınır aşıldıysa ya da güncelleme satırları biriktiyse dosyayı sıkıştır
+        if (limit > 0 && list.length > limit) {
+            list.splice(0, list.length - limit);
+        }
+        if (list.length < lines.length) {
+            fs.writeFileSync(file, list.map(m => JSON.stringify(m)).join('\n') + '\n');
+        }
+        return list;
+    }
+
+    // Oda sohbeti ve özel mesajlar aynı şekilde saklanır: dosya yolu = kanal
+    function channel(file) {
+        if (!cache.has(file)) {
+            cache.set(file, []);
+        }
+        return cache.get(file);
+    }
+
+    function append(file, message) {
+        const list = channel(file);
+        list.push(message);
+
+        const limit = channelLimit(file);
+        if (limit > 0 && list.length > limit) {
+            list.splice(0, list.length - limit);
+        }
+        enqueueWrite(() => fs.promises.appendFile(file, JSON.stringify(message) + '\n'));
+    }
+
+    // Güncellenen mesaj aynı kimlikle dosyanın sonuna eklenir; okurken son hali geçerlidir
+    function replace(file, message) {
+        const list = channel(file);
+        const index = list.findIndex(existing => existing.id === message.id);
+        if (index === -1) return;
+
+        list[index] = message;
+        enqueueWrite(() => fs.promises.appendFile(file, JSON.stringify(message) + '\n'));
+    }
+
+    // Odanın özel mesaj ya da çizelge klasöründeki tüm kanallar önbelleğe okunur
+    function loadChannels(roomDir, limit) {
+        if (!fs.existsSync(roomDir)) return;
+
+        for (const fileName of fs.readdirSync(roomDir)) {
+            if (!fileName.endsWith('.jsonl')) continue;
+            const file = path.join(roomDir, fileName);
+            cache.set(file, readMessages(file, limit));
+        }
+    }
+
+    function flushRooms() {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+
+        const records = Array.from(pendingRooms.values());
+        pendingRooms.clear();
+        for (const record of records) {
+            enqueueWrite(() => writeAtomic(roomFile(record.code), JSON.stringify(record)));
+        }
+        return writeChain;
+    }
+
+    return {
+        driver: 'file',
+
+        loadRooms() {
+            const records = [];
+            for (const fileName of fs.readdirSync(roomsDir)) {
+                if (!fileName.endsWith('.json')) continue;
+                try {
+                    const record = JSON.parse(fs.readFileSync(path.join(roomsDir, fileName), 'utf8'));
+                    cache.set(messageFile(record.code), readMessages(messageFile(record.code)));
+                    cache.set(eventFile(record.code), readMessages(eventFile(record.code), SESSION_EVENT_LIMIT));
+                    loadChannels(path.join(dmDir, record.code), messageLimit);
+                    loadChannels(path.join(timelineDir, record.code), TIMELINE_LIMIT);
+                    records.push(record);
+                } catch (error) {
+                    log.error('Oda kaydı okunamadı', { file: fileName, error });
+                }
+            }
+            return records;
+        },
+
+        saveRoom(record) {
+            pendingRooms.set(record.code, record);
+            if (!flushTimer) {
+                flushTimer = setTimeout(flushRooms, ROOM_WRITE_DELAY);
+            }
+        },
+
+        deleteRoom(roomCode) {
+            pendingRooms.delete(roomCode);
+            const roomDmDir = path.join(dmDir, roomCode);
+            const roomTimelineDir = path.join(timelineDir, roomCode);
+            for (const file of cache.keys()) {
+                if (file === messageFile(roomCode) || file === eventFile(roomCode)
+                    || file.startsWith(roomDmDir + path.sep) || file.startsWith(roomTimelineDir + path.sep)) {
+                    cache.delete(file);
+                }
+            }
+            enqueueWrite(() => Promise.all([
+                fs.promises.rm(roomFile(roomCode), { force: true }),
+                fs.promises.rm(messageFile(roomCode), { force: true }),
+                fs.promises.rm(eventFile(roomCode), { force: true }),
+                fs.promises.rm(roomDmDir, { recursive: true, force: true }),
+                fs.promises.rm(roomTimelineDir, { recursive: true, force: true })
+            ]));
+        },
+
+        appendMessage(roomCode, message) {
+            append(messageFile(roomCode), message);
+        },
+
+        getMessage(roomCode, messageId) {
+            return channel(messageFile(roomCode)).find(message => message.id === messageId) || null;
+        },
+
+        updateMessage(roomCode, message) {
+            replace(messageFile(roomCode), message);
+        },
+
+        getMessages(roomCode, query) {
+            return paginateMessages(channel(messageFile(roomCode)), query);
+        },
+
+        appendDirectMessage(roomCode, conversationId, message) {
+            const file = directFile(roomCode, conversationId);
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            append(file, message);
+        },
+
+        getDirectMessages(roomCode, conversationId, query) {
+            return paginateMessages(channel(directFile(roomCode, conversationId)), query);
+        },
+
+        getConversation(roomCode, conversationId) {
+            return [...channel(directFile(roomCode, conversationId))];
+        },
+
+        appendAnnotation(roomCode, mediaKey, annotation) {
+            const file = timelineFile(roomCode, mediaKey);
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            append(file, annotation);
+        },
+
+        updateAnnotation(roomCode, mediaKey, annotation) {
+            replace(timelineFile(roomCode, mediaKey), annotation);
+        },
+
+        getTimeline(roomCode, mediaKey) {
+            return [...channel(timelineFile(roomCode, mediaKey))];
+        },
+
+        appendEvent(roomCode, event) {
+            append(eventFile(roomCode), event);
+        },
+
+        getEvents(roomCode) {
+            return [...channel(eventFile(roomCode))];
+        },
+
+        // Bekleyen tüm yazmaları diske aktar (kapanışta çağrılır)
+        flush() {
+            return flushRooms();
+        }
+    };
+}
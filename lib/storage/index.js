@@ -0,0 +1,108 @@
+// lib/storage/index.js - Depolama sürücüsü seçimi ve oda kaydı dönüşümleri
+//
+// Her sürücü aynı arayüzü sağlar:
+//   loadRooms() -> oda kayıtları      saveRoom(kayıt)      deleteRoom(kod)
+//   appendMessage(kod, mesaj)         getMessages(kod, { before, after, limit }) -> { messages, hasMore }
+//   getMessage(kod, mesajId)          updateMessage(kod, mesaj)
+//   appendDirectMessage(kod, konuşma, mesaj)   getDirectMessages(kod, konuşma, sorgu)
+//   getConversation(kod, konuşma) -> tüm mesajlar
+//   appendAnnotation(kod, video, not)  updateAnnotation(kod, video, not)  getTimeline(kod, video) -> notlar
+//   appendEvent(kod, olay)            getEvents(kod) -> oturum günlüğü (bkz. lib/export.js)
+//   flush() -> Promise (bekleyen yazmalar bitince çözülür)
+// Geçmişi diskte tutmayan sürücüler ayrıca kapanış görüntüsü için şunları sağlar (bkz. lib/snapshot.js):
+//   exportChat(kod) -> { messages, directMessages, timelines, events }   importChat(kod, sohbet)
+import { createMemoryStorage } from './memory.js';
+import { createFileStorage } from './file.js';
+import { expectedPosition } from '../playback.js';
+import { DEFAULT_WATCH_SETTINGS } from '../watchparty.js';
+
+const DRIVERS = {
+    memory: createMemoryStorage,
+    file: createFileStorage
+};
+
+export function createStorage({ driver = 'memory', ...options }) {
+    const factory = DRIVERS[driver];
+    if (!factory) {
+        throw new Error(`Bilinmeyen depolama sürücüsü: ${driver}`);
+    }
+    return factory(options);
+}
+
+// Canlı oda nesnesini JSON'a yazılabilir kayda çevirir. Socket bilgisi saklanmaz.
+export function roomToRecord(room, now = Date.now()) {
+    return {
+        code: room.code,
+        name: room.name,
+        password: room.password,
+        owner: room.owner,
+        visibility: room.visibility,
+        category: room.category,
+        tags: room.tags,
+        maxMembers: room.maxMembers,
+        createdAt: room.createdAt,
+        video: room.video,
+        playbackState: room.playbackState,
+        queue: room.queue,
+        watchSettings: room.watchSettings,
+        bans: Array.from(room.bans),
+        mutes: Array.from(room.mutes.entries()),
+        users: Array.from(room.users.values()).map(user => ({
+            id: user.id,
+            resumeToken: user.resumeToken,
+            userName: user.userName,
+            userPhoto: user.userPhoto,
+            userColor: user.userColor,
+            deviceId: user.deviceId,
+            role: user.role,
+            joinedAt: user.joinedAt,
+            lastReadMessageId: user.lastReadMessageId,
+            directReads: user.directReads,
+            directDelivered: user.directDelivered,
+            country: user.country
+        })),
+        savedAt: now
+    };
+}
+
+// Kayıttan oda nesnesi oluşturur. Tüm kullanıcılar bağlantısız başlar;
+// oynatma, sunucu kapalıyken geçen süre ilerlemesin diye kaldığı yerde duraklatılır.
+export function recordToRoom(record, now = Date.now()) {
+    const clock = record.playbackState;
+
+    return {
+        code: record.code,
+        name: record.name,
+        password: record.password,
+        owner: record.owner,
+        // Dizin alanları olmayan eski kayıtlar özel oda sayılır
+        visibility: record.visibility || 'private',
+        category: record.category || 'diğer',
+        tags: record.tags || [],
+        maxMembers: record.maxMembers || null,
+        users: new Map(record.users.map(user => [user.id, {
+            ...user,
+            socketId: null,
+            connected: false,
+            call: null
+        }])),
+        video: record.video,
+        playbackState: {
+            ...clock,
+            position: expectedPosition(clock, record.savedAt),
+            updatedAt: now,
+            playing: false
+        },
+        queue: record.queue,
+        // Yoklama, geri sayım ve duraklatma geçicidir; sadece ayarlar geri gelir
+        watchSettings: { ...DEFAULT_WATCH_SETTINGS, ...record.watchSettings },
+        readyCheck: null,
+        countdown: null,
+        bufferHold: null,
+        bans: new Set(record.bans),
+        mutes: new Map(record.mutes),
+        call: null,
+        messages: [],
+        createdAt: new Date(record.createdAt)
+    };
+}
@@ -0,0 +1,135 @@
+// lib/storage/memory.js - Bellek içi depolama (yeniden başlatmada her şey silinir)
+import { paginateMessages } from '../messages.js';
+import { TIMELINE_LIMIT } from '../timeline.js';
+import { SESSION_EVENT_LIMIT } from '../export.js';
+
+export function createMemoryStorage({ messageLimit }) {
+    const messages = new Map();       // roomCode -> mesaj dizisi
+    const directMessages = new Map(); // roomCode -> (conversationId -> mesaj dizisi)
+    const timelines = new Map();      // roomCode -> (video anahtarı -> not dizisi)
+    const sessionEvents = new Map();  // roomCode -> oturum olayları (katılma, video, arama)
+
+    function append(channels, key, message, limit = messageLimit) {
+        const list = channels.get(key) || [];
+        list.push(message);
+
+        if (limit > 0 && list.length > limit) {
+            list.splice(0, list.length - limit);
+        }
+        channels.set(key, list);
+    }
+
+    function replace(list, message) {
+        const index = list.findIndex(existing => existing.id === message.id);
+        if (index !== -1) {
+            list[index] = message;
+        }
+    }
+
+    function conversations(roomCode) {
+        if (!directMessages.has(roomCode)) {
+            directMessages.set(roomCode, new Map());
+        }
+        return directMessages.get(roomCode);
+    }
+
+    function roomTimelines(roomCode) {
+        if (!timelines.has(roomCode)) {
+            timelines.set(roomCode, new Map());
+        }
+        return timelines.get(roomCode);
+    }
+
+    return {
+        driver: 'memory',
+
+        loadRooms() {
+            return [];
+        },
+
+        saveRoom() {
+            // Odalar zaten sunucunun bellekteki Map'inde tutuluyor
+        },
+
+        deleteRoom(roomCode) {
+            messages.delete(roomCode);
+            directMessages.delete(roomCode);
+            timelines.delete(roomCode);
+            sessionEvents.delete(roomCode);
+        },
+
+        appendMessage(roomCode, message) {
+            append(messages, roomCode, message);
+        },
+
+        getMessage(roomCode, messageId) {
+            return (messages.get(roomCode) || []).find(message => message.id === messageId) || null;
+        },
+
+        updateMessage(roomCode, message) {
+            replace(messages.get(roomCode) || [], message);
+        },
+
+        getMessages(roomCode, query) {
+            return paginateMessages(messages.get(roomCode) || [], query);
+        },
+
+        appendDirectMessage(roomCode, conversationId, message) {
+            append(conversations(roomCode), conversationId, message);
+        },
+
+        getDirectMessages(roomCode, conversationId, query) {
+            return paginateMessages(conversations(roomCode).get(conversationId) || [], query);
+        },
+
+        // Tüm geçmiş (okunmamış sayısı hesaplamak için)
+        getConversation(roomCode, conversationId) {
+            return [...(conversations(roomCode).get(conversationId) || [])];
+        },
+
+        appendAnnotation(roomCode, mediaKey, annotation) {
+            append(roomTimelines(roomCode), mediaKey, annotation, TIMELINE_LIMIT);
+        },
+
+        updateAnnotation(roomCode, mediaKey, annotation) {
+            replace(roomTimelines(roomCode).get(mediaKey) || [], annotation);
+        },
+
+        getTimeline(roomCode, mediaKey) {
+            return [...(roomTimelines(roomCode).get(mediaKey) || [])];
+        },
+
+        appendEvent(roomCode, event) {
+            append(sessionEvents, roomCode, event, SESSION_EVENT_LIMIT);
+        },
+
+        getEvents(roomCode) {
+            return [...(sessionEvents.get(roomCode) || [])];
+        },
+
+        // Kapanış görüntüsü için sohbet geçmişi (bellek yeniden başlatmada silindiğinden)
+        exportChat(roomCode) {
+            return {
+                messages: [...(messages.get(roomCode) || [])],
+                directMessages: Object.fromEntries(conversations(roomCode)),
+                timelines: Object.fromEntries(roomTimelines(roomCode)),
+                events: [...(sessionEvents.get(roomCode) || [])]
+            };
+        },
+
+        importChat(roomCode, {
+            messages: roomMessages = [],
+            directMessages: conversationMessages = {},
+            timelines: videoTimelines = {},
+            events = []
+        } = {}) {
+            const copy = (entries) => new Map(Object.entries(entries).map(([key, list]) => [key, [...list]]));
+            messages.set(roomCode, [...roomMessages]);
+            directMessages.set(roomCode, copy(conversationMessages));
+            timelines.set(roomCode, copy(videoTimelines));
+            sessionEvents.set(roomCode, [...events]);
+        },
+
+        async flush() {}
+    };
+}
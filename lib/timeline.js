@@ -0,0 +1,79 @@
+// lib/timeline.js - Videonun zaman çizelgesine bağlı yorumlar ve anlık emoji tepkileri
+//
+// Her video (aynı video tekrar paylaşılsa da) tek bir anahtarla tanınır; çizelge oda geçmişiyle
+// birlikte depolamada tutulur (appendAnnotation / updateAnnotation / getTimeline).
+// Not: { id, kind: 'comment' | 'reaction', position (sn), userId, userName, userColor, text | emoji, createdAt }
+// Yorum notunun kimliği sohbet mesajının kimliğidir; mesaj düzenlenir ya da silinirse not da güncellenir.
+import { createMessageId } from './messages.js';
+
+export const ANNOTATION_KINDS = ['comment', 'reaction'];
+export const TIMELINE_LIMIT = 2000;          // Video başına saklanan not (eskiler atılır)
+export const DEFAULT_MARKER_BUCKET = 10;     // İlerleme çubuğu işaretleri kaç saniyelik dilimlerde toplanır
+
+// youtube:<id> | vimeo:<id> | file:<yükleme> | url:<adres>
+export function timelineKey(video) {
+    if (!video) return null;
+    switch (video.type) {
+        case 'youtube':
+        case 'vimeo':
+            return `${video.type}:${video.videoId}`;
+        case 'file':
+            return `file:${video.uploadId}`;
+        default:
+            return video.url ? `url:${video.url}` : null;
+    }
+}
+
+export function createAnnotation({ kind, position, user, text = null, emoji = null, id = null }, now = Date.now()) {
+    return {
+        id: id || createMessageId(now),
+        kind,
+        position: Math.max(0, Math.round(position * 10) / 10),
+        userId: user.id,
+        userName: user.userName,
+        userColor: user.userColor,
+        text,
+        emoji,
+        createdAt: now
+    };
+}
+
+// Bağlı yorum mesajının güncel hali (düzenleme/silme) çizelgeye yansır
+export function annotationFromMessage(message) {
+    return {
+        id: message.id,
+        kind: 'comment',
+        position: message.anchor.position,
+        userId: message.userId,
+        userName: message.userName,
+        userColor: message.userColor,
+        text: message.deleted ? '' : message.text,
+        emoji: null,
+        createdAt: new Date(message.timestamp).getTime(),
+        ...(message.edited ? { edited: true } : {}),
+        ...(message.deleted ? { deleted: true } : {})
+    };
+}
+
+// İstemcinin çizelge yanıtı: konuma göre sıralı notlar ve ilerleme çubuğu için dilim özetleri
+export function buildTimeline(annotations, { bucketSize = DEFAULT_MARKER_BUCKET } = {}) {
+    const size = Number.isFinite(bucketSize) && bucketSize > 0 ? bucketSize : DEFAULT_MARKER_BUCKET;
+    const items = annotations
+        .filter(annotation => !annotation.deleted)
+        .sort((a, b) => (a.position - b.position) || (a.createdAt - b.createdAt));
+
+    const buckets = new Map(); // dilim başlangıcı -> işaret
+    for (const item of items) {
+        const start = Math.floor(item.position / size) * size;
+        const marker = buckets.get(start) || { position: start, comments: 0, reactions: 0, emojis: {} };
+        if (item.kind === 'comment') {
+            marker.comments++;
+        } else {
+            marker.reactions++;
+            marker.emojis[item.emoji] = (marker.emojis[item.emoji] || 0) + 1;
+        }
+        buckets.set(start, marker);
+    }
+
+    return { items, markers: Array.from(buckets.values()), bucketSize: size };
+}
@@ -0,0 +1,194 @@
+// lib/uploads.js - Parçalı (chunked) ve devam ettirilebilir video yükleme
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+
+const VIDEO_EXTENSIONS = ['.mp4', '.webm', '.ogg', '.ogv', '.mov', '.m4v', '.mkv'];
+
+export class UploadError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'UploadError';
+        this.status = status;
+    }
+}
+
+function safeExtension(fileName) {
+    const ext = path.extname(fileName || '').toLowerCase();
+    return VIDEO_EXTENSIONS.includes(ext) ? ext : '.mp4';
+}
+
+export function createUploadManager({ uploadDir, maxFileSize, chunkSize, sessionTtl, now = () => Date.now() }) {
+    const sessions = new Map(); // uploadId -> yükleme oturumu
+
+    fs.mkdirSync(uploadDir, { recursive: true });
+
+    function roomDir(roomCode) {
+        return path.join(uploadDir, roomCode);
+    }
+
+    // ownerId: yükleyenin oda oturumu; parçaları yalnızca o yazabilir
+    function createSession({ roomCode, socketId, ownerId, fileName, fileSize, mimeType, uploadedBy }) {
+        const size = Number(fileSize);
+        if (!Number.isInteger(size) || size <= 0) {
+            throw new UploadError('Geçersiz dosya boyutu');
+        }
+        if (size > maxFileSize) {
+            throw new UploadError(`Dosya boyutu ${Math.floor(maxFileSize / (1024 * 1024))}MB sınırını aşıyor`, 413);
+        }
+        if (mimeType && !String(mimeType).startsWith('video/')) {
+            throw new UploadError('Sadece video dosyaları yüklenebilir', 415);
+        }
+
+        const uploadId = uuidv4();
+        const dir = roomDir(roomCode);
+        fs.mkdirSync(dir, { recursive: true });
+
+        const session = {
+            uploadId,
+            roomCode,
+            socketId,
+            ownerId,
+            fileName: fileName || 'video',
+            fileSize: size,
+            mimeType: mimeType || 'video/mp4',
+            uploadedBy,
+            uploadedBytes: 0,
+            tempPath: path.join(dir, `${uploadId}.part`),
+            filePath: path.join(dir, `${uploadId}${safeExtension(fileName)}`),
+            completed: false,
+            busy: false,
+            createdAt: now(),
+            updatedAt: now()
+        };
+
+        fs.writeFileSync(session.tempPath, '');
+        sessions.set(uploadId, session);
+        return session;
+    }
+
+    function getSession(uploadId) {
+        return sessions.get(uploadId) || null;
+    }
+
+    // Parçayı verilen offset'e yazar. Tekrar gönderilen parçalar üzerine yazılır,
+    // boşluk bırakan parçalar reddedilir.
+    async function writeChunk(uploadId, offset, chunk) {
+        const session = sessions.get(uploadId);
+        if (!session) {
+            throw new UploadError('Yükleme oturumu bulunamadı', 404);
+        }
+        if (session.completed) {
+            return session;
+        }
+        if (!Number.isInteger(offset) || offset < 0 || offset > session.uploadedBytes) {
+            throw new UploadError('Beklenmeyen parça konumu', 409);
+        }
+        if (!chunk || chunk.length === 0 || chunk.length > chunkSize) {
+            throw new UploadError('Geçersiz parça boyutu');
+        }
+        if (offset + chunk.length > session.fileSize) {
+            throw new UploadError('Parça dosya boyutunu aşıyor');
+        }
+        if (session.busy) {
+            throw new UploadError('Önceki parça hâlâ yazılıyor', 409);
+        }
+
+        session.busy = true;
+        try {
+            const handle = await fs.promises.open(session.tempPath, 'r+');
+            try {
+                await handle.write(chunk, 0, chunk.length, offset);
+            } finally {
+                await handle.close();
+            }
+
+            session.uploadedBytes = Math.max(session.uploadedBytes, offset + chunk.length);
+            session.updatedAt = now();
+
+            if (session.uploadedBytes === session.fileSize) {
+                await fs.promises.rename(session.tempPath, session.filePath);
+                session.completed = true;
+            }
+        } finally {
+            session.busy = false;
+        }
+
+        return session;
+    }
+
+    // Yeniden başlatmadan sonra diskte duran tamamlanmış yüklemeyi tekrar kaydet
+    function restoreUpload({ uploadId, roomCode, title, mimeType, fileSize, uploadedBy }) {
+        if (!uploadId || sessions.has(uploadId)) return;
+
+        const filePath = path.join(roomDir(roomCode), `${uploadId}${safeExtension(title)}`);
+        if (!fs.existsSync(filePath)) return;
+
+        sessions.set(uploadId, {
+            uploadId,
+            roomCode,
+            socketId: null,
+            ownerId: null,
+            fileName: title,
+            fileSize,
+            mimeType,
+            uploadedBy,
+            uploadedBytes: fileSize,
+            tempPath: null,
+            filePath,
+            completed: true,
+            busy: false,
+            createdAt: now(),
+            updatedAt: now()
+        });
+    }
+
+    function describe(session) {
+        return {
+            uploadId: session.uploadId,
+            fileName: session.fileName,
+            fileSize: session.fileSize,
+            uploadedBytes: session.uploadedBytes,
+            chunkSize,
+            progress: Math.floor((session.uploadedBytes / session.fileSize) * 100),
+            completed: session.completed
+        };
+    }
+
+    function removeUpload(uploadId) {
+        const session = sessions.get(uploadId);
+        if (!session) return;
+        sessions.delete(uploadId);
+        fs.rm(session.completed ? session.filePath : session.tempPath, { force: true }, () => {});
+    }
+
+    function removeRoomUploads(roomCode) {
+        for (const [uploadId, session] of sessions.entries()) {
+            if (session.roomCode === roomCode) {
+                sessions.delete(uploadId);
+            }
+        }
+        fs.rm(roomDir(roomCode), { recursive: true, force: true }, () => {});
+    }
+
+    // Uzun süre parça gelmeyen yarım yüklemeleri temizle
+    function cleanupStaleSessions(at = now()) {
+        for (const session of sessions.values()) {
+            if (!session.completed && at - session.updatedAt > sessionTtl) {
+                removeUpload(session.uploadId);
+            }
+        }
+    }
+
+    return {
+        chunkSize,
+        createSession,
+        getSession,
+        writeChunk,
+        restoreUpload,
+        describe,
+        removeUpload,
+        removeRoomUploads,
+        cleanupStaleSessions
+    };
+}
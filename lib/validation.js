@@ -0,0 +1,135 @@
+// lib/validation.js - Olay yükleri için küçük şema doğrulayıcı
+//
+// Her şema (değer, alan yolu) alıp temizlenmiş değeri döner ya da ValidationError fırlatır.
+// object() tanımlanmamış alanları atar; böylece istemcinin gönderdiği fazlalık hiçbir yere yayılmaz.
+
+export class ValidationError extends Error {
+    constructor(field, message) {
+        super(message);
+        this.name = 'ValidationError';
+        this.field = field;
+    }
+}
+
+const isMissing = (value) => value === undefined || value === null;
+
+export function optional(schema) {
+    const wrapped = (value, field) => (isMissing(value) ? undefined : schema(value, field));
+    wrapped.optional = true;
+    return wrapped;
+}
+
+export function string({ min = 0, max, pattern, trim = true } = {}) {
+    return (value, field) => {
+        if (typeof value !== 'string') {
+            throw new ValidationError(field, `${field} metin olmalı`);
+        }
+        const text = trim ? value.trim() : value;
+        if (text.length < min) {
+            throw new ValidationError(field, min === 1 ? `${field} boş olamaz` : `${field} en az ${min} karakter olmalı`);
+        }
+        if (max !== undefined && text.length > max) {
+            throw new ValidationError(field, `${field} en fazla ${max} karakter olabilir`);
+        }
+        if (pattern && !pattern.test(text)) {
+            throw new ValidationError(field, `${field} geçersiz biçimde`);
+        }
+        return text;
+    };
+}
+
+export function number({ min, max, integer = false } = {}) {
+    return (value, field) => {
+        if (typeof value !== 'number' || !Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+            throw new ValidationError(field, `${field} ${integer ? 'tam sayı' : 'sayı'} olmalı`);
+        }
+        if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+            throw new ValidationError(field, `${field} ${min ?? '-∞'} ile ${max ?? '∞'} arasında olmalı`);
+        }
+        return value;
+    };
+}
+
+export function integer(options = {}) {
+    return number({ ...options, integer: true });
+}
+
+export function boolean() {
+    return (value, field) => {
+        if (typeof value !== 'boolean') {
+            throw new ValidationError(field, `${field} true/false olmalı`);
+        }
+        return value;
+    };
+}
+
+export function oneOf(values) {
+    return (value, field) => {
+        if (!values.includes(value)) {
+            throw new ValidationError(field, `${field} şunlardan biri olmalı: ${values.join(', ')}`);
+        }
+        return value;
+    };
+}
+
+export function array(item, { max } = {}) {
+    return (value, field) => {
+        if (!Array.isArray(value)) {
+            throw new ValidationError(field, `${field} liste olmalı`);
+        }
+        if (max !== undefined && value.length > max) {
+            throw new ValidationError(field, `${field} en fazla ${max} öğe içerebilir`);
+        }
+        return value.map((entry, index) => item(entry, `${field}[${index}]`));
+    };
+}
+
+// Yük hiç gönderilmediyse boş nesne kabul edilir; zorunlu alanlar yine de kontrol edilir
+export function object(shape) {
+    return (value, field) => {
+        const input = isMissing(value) ? {} : value;
+        if (typeof input !== 'object' || Array.isArray(input)) {
+            throw new ValidationError(field, `${field || 'Yük'} nesne olmalı`);
+        }
+
+        const result = {};
+        for (const [key, schema] of Object.entries(shape)) {
+            const path = field ? `${field}.${key}` : key;
+            if (isMissing(input[key]) && !schema.optional) {
+                throw new ValidationError(path, `${path} gerekli`);
+            }
+            const parsed = schema(input[key], path);
+            if (parsed !== undefined) {
+                result[key] = parsed;
+            }
+        }
+        return result;
+    };
+}
+
+// Alanlar arası kurallar için: test(değer) false dönerse 'field' alanında hata verilir
+export function refine(schema, test, field, message) {
+    return (value, path) => {
+        const parsed = schema(value, path);
+        if (!test(parsed)) {
+            throw new ValidationError(field, message);
+        }
+        return parsed;
+    };
+}
+
+// Yük beklemeyen olaylar: gelen her şey yok sayılır
+export function empty() {
+    return () => undefined;
+}
+
+export function validatePayload(schema, payload) {
+    try {
+        return { value: schema(payload, '') };
+    } catch (error) {
+        if (error instanceof ValidationError) {
+            return { error };
+        }
+        throw error;
+    }
+}
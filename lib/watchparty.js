@@ -0,0 +1,106 @@
+// lib/watchparty.js - Birlikte izleme: hazır yoklaması, geri sayım ve arabellek beklemesi
+//
+// Yoklama, geri sayım ve bekleme düz JSON olarak oda nesnesinde durur (kümede diğer sunuculara
+// oda durumuyla birlikte gider). Zamanlayıcılar sunucuda tutulur; buradaki fonksiyonlar saftır.
+//   room.readyCheck  -> { id, startedBy, startedAt, expiresAt, countdown, responses: { üyeId: true|false } }
+//   room.countdown   -> { startedBy, seconds, startsAt }
+//   room.bufferHold  -> { since, waitingFor: [üyeId] }
+//   user.playerState -> 'ok' | 'buffering' | 'stalled'
+import crypto from 'crypto';
+
+export const PLAYER_STATES = ['ok', 'buffering', 'stalled'];
+export const MAX_COUNTDOWN = 10;
+export const DEFAULT_COUNTDOWN = 3;
+export const DEFAULT_READY_TIMEOUT = 60;
+
+// autoPause: biri takılınca oda duraklar; resumeShare: oynatmanın sürmesi için hazır olması gereken
+// izleyici oranı (1 = herkes); maxWait: takılan izleyicinin en fazla beklendiği süre (sn)
+export const DEFAULT_WATCH_SETTINGS = Object.freeze({
+    autoPause: false,
+    resumeShare: 1,
+    maxWait: 30
+});
+
+export function applyWatchSettings(settings, changes = {}) {
+    const next = { ...DEFAULT_WATCH_SETTINGS, ...settings };
+    if (typeof changes.autoPause === 'boolean') {
+        next.autoPause = changes.autoPause;
+    }
+    if (Number.isFinite(changes.resumeShare)) {
+        next.resumeShare = Math.min(1, Math.max(0.1, changes.resumeShare));
+    }
+    if (Number.isInteger(changes.maxWait)) {
+        next.maxWait = Math.min(300, Math.max(5, changes.maxWait));
+    }
+    return next;
+}
+
+// ✅ HAZIR YOKLAMASI
+export function createReadyCheck(startedBy, { timeout = DEFAULT_READY_TIMEOUT, countdown = DEFAULT_COUNTDOWN } = {}, now = Date.now()) {
+    return {
+        id: crypto.randomUUID(),
+        startedBy,
+        startedAt: now,
+        expiresAt: now + timeout * 1000,
+        countdown: Math.min(MAX_COUNTDOWN, Math.max(0, countdown)),
+        // Başlatan hazır sayılır
+        responses: { [startedBy]: true }
+    };
+}
+
+export function respondToReadyCheck(check, userId, ready) {
+    if (check.responses[userId] === ready) return false;
+    check.responses[userId] = ready;
+    return true;
+}
+
+export function readyStateOf(check, userId) {
+    if (!check) return null;
+    const response = check.responses[userId];
+    return response === undefined ? 'pending' : (response ? 'ready' : 'not-ready');
+}
+
+// Yoklama o an bağlı üyeler üzerinden değerlendirilir; sonradan katılan da yanıt bekler
+export function readyCheckSummary(check, members) {
+    const summary = { ready: [], notReady: [], pending: [] };
+    for (const member of members) {
+        if (!member.connected) continue;
+        const state = readyStateOf(check, member.id);
+        summary[state === 'ready' ? 'ready' : state === 'not-ready' ? 'notReady' : 'pending'].push(member.id);
+    }
+
+    return {
+        id: check.id,
+        startedBy: check.startedBy,
+        expiresAt: check.expiresAt,
+        countdown: check.countdown,
+        ...summary,
+        allReady: summary.notReady.length === 0 && summary.pending.length === 0
+    };
+}
+
+// ⏳ GERİ SAYIM - startsAt sunucu saatidir; istemciler saat farkıyla kendi sayacını gösterir
+export function createCountdown(startedBy, seconds = DEFAULT_COUNTDOWN, now = Date.now()) {
+    const duration = Math.min(MAX_COUNTDOWN, Math.max(0, seconds));
+    return { startedBy, seconds: duration, startsAt: now + duration * 1000 };
+}
+
+// 📶 ARABELLEK - bağlı izleyicilerin ne kadarı oynatmaya hazır?
+// Bekleme süresi dolduğu için muaf tutulanlar (bufferExempt) hesaba katılmaz.
+export function viewerHealth(members) {
+    let total = 0;
+    const waitingFor = [];
+    for (const member of members) {
+        if (!member.connected || member.bufferExempt) continue;
+        total++;
+        if (member.playerState && member.playerState !== 'ok') {
+            waitingFor.push(member.id);
+        }
+    }
+    return { total, ok: total - waitingFor.length, waitingFor };
+}
+
+export function shouldHoldPlayback(settings, health) {
+    if (!settings?.autoPause || health.total === 0) return false;
+    return health.ok / health.total < settings.resumeShare;
+}
@@ -0,0 +1,85 @@
+// lib/zip.js - Bağımlılıksız, bellekte ZIP arşivi (dışa aktarım paketi için)
+//
+// Girdiler: [{ name, data: Buffer | string, date? }]. Metin dosyaları sıkıştırılır; sıkıştırma
+// kazanç sağlamıyorsa (resim, ses) dosya olduğu gibi saklanır. Dosya adları UTF-8 işaretlidir.
+import zlib from 'zlib';
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+export function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS tarih/saat alanları (2 saniye çözünürlük, yerel saat)
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+export function createZip(entries) {
+    const chunks = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.from(entry.name, 'utf8');
+        const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf8');
+        const deflated = zlib.deflateRawSync(data);
+        const compressed = deflated.length < data.length;
+        const body = compressed ? deflated : data;
+        const { time, date } = dosDateTime(entry.date || new Date());
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);                    // Gereken sürüm
+        local.writeUInt16LE(0x0800, 6);                // UTF-8 dosya adı
+        local.writeUInt16LE(compressed ? 8 : 0, 8);    // deflate | saklama
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(body.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        chunks.push(local, name, body);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(compressed ? 8 : 0, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(body.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+        directory.push(central, name);
+
+        offset += local.length + name.length + body.length;
+    }
+
+    const directorySize = directory.reduce((size, chunk) => size + chunk.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directorySize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...chunks, ...directory, end]);
+}
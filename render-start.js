@@ -14,9 +14,20 @@ process.env.NODE_ENV = process.env.NODE_ENV || 'production';
 process.env.NODE_OPTIONS = '--max-old-space-size=4096 --max-http-header-size=16384';
 
 // Graceful shutdown handler
+// The signal is forwarded to server.js, which notifies clients and saves room state;
+// this process exits from the child's 'close' handler once that is done.
+const FORCE_EXIT_AFTER = (parseInt(process.env.SHUTDOWN_TIMEOUT, 10) || 10000) + 5000;
+
 const gracefulShutdown = (signal) => {
   console.log(`🛑 ${signal} received, shutting down gracefully...`);
-  process.exit(0);
+  if (server.exitCode !== null || server.signalCode !== null) {
+    process.exit(0);
+  }
+  server.kill(signal);
+  setTimeout(() => {
+    console.error('💥 Server did not exit in time, forcing shutdown');
+    process.exit(1);
+  }, FORCE_EXIT_AFTER).unref();
 };
 
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { sniffMimeType, audioDuration, createAttachmentStore, AttachmentError } from '../lib/attachments.js';
+
+function wav(seconds, sampleRate = 8000) {
+    const data = Buffer.alloc(seconds * sampleRate, 128);
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + data.length, 4);
+    header.write('WAVE', 8);
+    header.write('fmt ', 12);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(1, 22);
+    header.writeUInt32LE(sampleRate, 24);
+    header.writeUInt32LE(sampleRate, 28);
+    header.writeUInt16LE(1, 32);
+    header.writeUInt16LE(8, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(data.length, 40);
+    return Buffer.concat([header, data]);
+}
+
+test('MIME tipi bildirilen tipten değil içerikten tespit edilir', () => {
+    assert.equal(sniffMimeType(Buffer.from([0xFF, 0xD8, 0xFF, 0xE0]), 'text/plain'), 'image/jpeg');
+    assert.equal(sniffMimeType(Buffer.from('%PDF-1.7 ...'), 'image/png'), 'application/pdf');
+    assert.equal(sniffMimeType(Buffer.from([0x1A, 0x45, 0xDF, 0xA3]), 'audio/webm'), 'audio/webm');
+    assert.equal(sniffMimeType(Buffer.from('düz metin'), 'application/octet-stream'), 'text/plain');
+    assert.equal(sniffMimeType(Buffer.from([0x4D, 0x5A, 0x00, 0x01])), null);
+});
+
+test('WAV süresi başlıktan hesaplanır', () => {
+    assert.equal(audioDuration(wav(3), 'audio/wav'), 3);
+    assert.equal(audioDuration(Buffer.from([0x1A, 0x45, 0xDF, 0xA3]), 'audio/webm'), null);
+});
+
+test('izin verilmeyen tür ve boyut reddedilir, süre yoksa istemci değeri kullanılır', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ekler-'));
+    const store = createAttachmentStore({ dir });
+
+    try {
+        await assert.rejects(
+            store.save('ODA123', { buffer: Buffer.from('<svg onload=alert(1)>'), kind: 'image', uploadedBy: 'u1' }),
+            AttachmentError
+        );
+        await assert.rejects(
+            store.save('ODA123', { buffer: Buffer.alloc(11 * 1024 * 1024, 0xFF), kind: 'audio', uploadedBy: 'u1' }),
+            (error) => error.status === 413
+        );
+
+        const voice = await store.save('ODA123', {
+            buffer: Buffer.from([0x1A, 0x45, 0xDF, 0xA3, 0, 0, 0, 0]),
+            kind: 'audio',
+            name: '../../ses.webm',
+            declaredType: 'audio/webm',
+            uploadedBy: 'u1',
+            clientDuration: '4.25'
+        });
+        assert.equal(voice.mimeType, 'audio/webm');
+        assert.equal(voice.duration, 4.3);
+        assert.equal(voice.name, 'ses.webm');
+        assert.deepEqual(store.get('ODA123', voice.id), voice);
+        assert.ok(fs.existsSync(store.filePath(voice)));
+        assert.equal(store.get('ODA123', '../../etc/passwd'), null);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
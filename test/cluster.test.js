@@ -0,0 +1,305 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { once } from 'events';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import { encodeFrame, createFrameReader } from '../lib/cluster/frames.js';
+import { createHub } from '../lib/cluster/hub.js';
+import { createBus } from '../lib/cluster/bus.js';
+import { createBusAdapter } from '../lib/cluster/adapter.js';
+import { createSharedRooms } from '../lib/cluster/state.js';
+import { createApp } from '../app.js';
+import { createLogger } from '../lib/logger.js';
+
+function eventually(check, timeout = 2000) {
+    const started = Date.now();
+    return new Promise((resolve, reject) => {
+        const poll = () => {
+            if (check()) return resolve();
+            if (Date.now() - started > timeout) return reject(new Error('Koşul zamanında sağlanmadı'));
+            setTimeout(poll, 10);
+        };
+        poll();
+    });
+}
+
+async function startCluster(nodeIds) {
+    const hub = createHub();
+    const { port } = await hub.listen(0);
+    const buses = nodeIds.map(nodeId => createBus({ url: `tcp://127.0.0.1:${port}`, nodeId }));
+    await Promise.all(buses.map(bus => bus.ready));
+    await eventually(() => buses.every(bus => bus.nodes().length === nodeIds.length));
+    return {
+        hub,
+        buses,
+        async stop() {
+            await Promise.all(buses.map(bus => bus.close()));
+            await hub.close();
+        }
+    };
+}
+
+function createRoom(code) {
+    return {
+        code,
+        name: 'Oda',
+        users: new Map(),
+        messages: [],
+        bans: new Set(),
+        mutes: new Map(),
+        call: null,
+        createdAt: new Date(0)
+    };
+}
+
+test('çerçeveler parçalı gelse de satır satır okunur, Buffer geri çevrilir', () => {
+    const frames = [];
+    const read = createFrameReader(frame => frames.push(frame));
+    const encoded = encodeFrame({ op: 'msg', data: Buffer.from('ab') }) + encodeFrame({ op: 'nodes', nodes: ['n1'] });
+
+    read(encoded.slice(0, 10));
+    read(encoded.slice(10) + '{bozuk\n');
+
+    assert.equal(frames.length, 2);
+    assert.ok(Buffer.isBuffer(frames[0].data));
+    assert.equal(frames[0].data.toString(), 'ab');
+    assert.deepEqual(frames[1].nodes, ['n1']);
+});
+
+test('bir sunucudaki oda ve üye değişiklikleri diğerine yansır', async () => {
+    const cluster = await startCluster(['n1', 'n2']);
+    const [roomsA, roomsB] = [new Map(), new Map()];
+    const changes = [];
+    const sharedA = createSharedRooms({ bus: cluster.buses[0], rooms: roomsA });
+    createSharedRooms({ bus: cluster.buses[1], rooms: roomsB, onRemoteChange: change => changes.push(change.type) });
+
+    try {
+        const room = createRoom('ABC123');
+        room.bans.add('ip:1');
+        room.users.set('s1', { id: 's1', userName: 'Ali', node: 'n1' });
+        roomsA.set(room.code, room);
+        sharedA.syncRoom(room);
+
+        await eventually(() => roomsB.get('ABC123')?.users.has('s1'));
+        const copy = roomsB.get('ABC123');
+        assert.equal(copy.name, 'Oda');
+        assert.ok(copy.bans.has('ip:1'));
+        assert.equal(copy.createdAt.getTime(), 0);
+        assert.deepEqual(changes.slice(0, 2), ['room', 'member']);
+
+        // Yerel nesne yerinde güncellenir, referansı tutanlar değişikliği görür
+        const member = copy.users.get('s1');
+        room.users.get('s1').userName = 'Ali Veli';
+        sharedA.syncRoom(room);
+        await eventually(() => member.userName === 'Ali Veli');
+
+        room.users.delete('s1');
+        sharedA.syncRoom(room);
+        await eventually(() => !copy.users.has('s1'));
+
+        sharedA.dropRoom('ABC123');
+        await eventually(() => !roomsB.has('ABC123'));
+        assert.equal(changes.at(-1), 'room-removed');
+    } finally {
+        await cluster.stop();
+    }
+});
+
+test('Socket.IO yayınları ve uzak bağlantı kesme sunucular arasında çalışır', async () => {
+    const cluster = await startCluster(['n1', 'n2']);
+    const servers = cluster.buses.map(bus => {
+        const httpServer = http.createServer();
+        const io = new Server(httpServer, { adapter: createBusAdapter(bus) });
+        io.on('connection', socket => socket.join('oda'));
+        return { httpServer, io };
+    });
+    const clients = [];
+
+    try {
+        for (const { httpServer } of servers) {
+            httpServer.listen(0, '127.0.0.1');
+            await once(httpServer, 'listening');
+            const client = connect(`http://127.0.0.1:${httpServer.address().port}`, { transports: ['websocket'] });
+            clients.push(client);
+            await once(client, 'connect');
+        }
+
+        const received = once(clients[1], 'duyuru');
+        servers[0].io.to('oda').emit('duyuru', 'merhaba');
+        assert.deepEqual(await received, ['merhaba']);
+
+        const sockets = await servers[0].io.in('oda').fetchSockets();
+        assert.equal(sockets.length, 2);
+
+        const disconnected = once(clients[1], 'disconnect');
+        servers[0].io.in(clients[1].id).disconnectSockets(true);
+        const [reason] = await disconnected;
+        assert.equal(reason, 'io server disconnect');
+    } finally {
+        for (const client of clients) client.close();
+        for (const { io } of servers) io.close();
+        await cluster.stop();
+    }
+});
+
+// İki sunucu aynı sahte saati paylaşır; advance() ikisinin zamanlayıcılarını da sırayla çalıştırır
+function createFakeTimers(start = Date.UTC(2024, 0, 1)) {
+    let current = start;
+    let nextId = 1;
+    const pending = new Map(); // id -> { at, fn, every }
+    const schedule = (fn, delay, every) => {
+        pending.set(nextId, { at: current + Math.max(0, delay || 0), fn, every });
+        return nextId++;
+    };
+    const cancel = (id) => { pending.delete(id); };
+
+    return {
+        clock: { now: () => current },
+        timers: {
+            setTimeout: (fn, delay) => schedule(fn, delay, null),
+            clearTimeout: cancel,
+            setInterval: (fn, delay) => schedule(fn, delay, delay),
+            clearInterval: cancel
+        },
+        advance(ms) {
+            const target = current + ms;
+            for (;;) {
+                const due = [...pending].filter(([, timer]) => timer.at <= target).sort(([, a], [, b]) => a.at - b.at)[0];
+                if (!due) break;
+                const [id, timer] = due;
+                current = timer.at;
+                if (timer.every) timer.at += timer.every;
+                else pending.delete(id);
+                timer.fn();
+            }
+            current = target;
+        }
+    };
+}
+
+// Koşulu sağlayan ilk olay (aynı olay birden çok kez gelebilir)
+function waitForEvent(socket, event, predicate = () => true, timeout = 2000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            socket.off(event, listener);
+            reject(new Error(`'${event}' zamanında gelmedi`));
+        }, timeout);
+        const listener = (data) => {
+            if (!predicate(data)) return;
+            clearTimeout(timer);
+            socket.off(event, listener);
+            resolve(data);
+        };
+        socket.on(event, listener);
+    });
+}
+
+test('iki sunucu aynı merkezde odaları, aramaları ve bağlantı bekçisini paylaşır', async () => {
+    const hub = createHub();
+    const { port } = await hub.listen(0);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cluster-app-'));
+    const fake = createFakeTimers();
+    const nodes = [];
+    const clients = [];
+
+    const client = (node) => {
+        const socket = connect(node.url, { transports: ['websocket'], reconnection: false, forceNew: true });
+        clients.push(socket);
+        return socket;
+    };
+
+    try {
+        for (const nodeId of ['n1', 'n2']) {
+            const instance = await createApp({
+                env: {
+                    CLUSTER_URL: `tcp://127.0.0.1:${port}`,
+                    NODE_ID: nodeId,
+                    STORAGE_DRIVER: 'memory',
+                    STORAGE_DIR: path.join(dir, nodeId),
+                    UPLOAD_DIR: path.join(dir, 'uploads'),
+                    ATTACHMENT_DIR: path.join(dir, 'attachments'),
+                    INVITE_SECRET: 'test'
+                },
+                clock: fake.clock,
+                timers: fake.timers,
+                logger: createLogger({ level: 'silent' })
+            });
+            const listening = await instance.listen(0, '127.0.0.1');
+            nodes.push({ ...instance, url: `http://127.0.0.1:${listening}` });
+        }
+        const [a, b] = nodes;
+
+        // Oda n1'de kurulur, n2'deki istemci katılır
+        const owner = client(a);
+        const created = waitForEvent(owner, 'room-created');
+        owner.emit('create-room', { userName: 'Ayşe', roomName: 'Film gecesi' });
+        const { roomCode, sessionId: ownerId } = await created;
+        await eventually(() => b.rooms.has(roomCode));
+
+        const member = client(b);
+        const bothListed = waitForEvent(owner, 'user-list-update', list => list.length === 2);
+        const joined = waitForEvent(member, 'room-joined');
+        member.emit('join-room', { roomCode, userName: 'Mehmet' });
+        const { sessionId: memberId } = await joined;
+        const list = await bothListed;
+        assert.deepEqual(list.map(user => [user.userName, user.isOwner, user.connected]), [['Ayşe', true, true], ['Mehmet', false, true]]);
+        await eventually(() => a.rooms.get(roomCode).users.has(memberId));
+
+        // Sinyaller diğer sunucudaki sokete ulaşır
+        const ownerInCall = waitForEvent(owner, 'call-joined');
+        owner.emit('call-start', { type: 'audio' });
+        await ownerInCall;
+        await eventually(() => b.rooms.get(roomCode).call?.participants.has(ownerId));
+        const memberInCall = waitForEvent(member, 'call-joined');
+        member.emit('call-join', {});
+        assert.deepEqual((await memberInCall).peers, [ownerId]);
+        await eventually(() => a.rooms.get(roomCode).call.participants.has(memberId));
+
+        const offer = waitForEvent(owner, 'webrtc-offer');
+        member.emit('webrtc-offer', { target: ownerId, offer: { type: 'offer', sdp: 'v=0' } });
+        assert.equal((await offer).sender, memberId);
+        const answer = waitForEvent(member, 'webrtc-answer');
+        owner.emit('webrtc-answer', { target: memberId, answer: { type: 'answer', sdp: 'v=0' } });
+        assert.equal((await answer).sender, ownerId);
+
+        // n2'deki sessiz bağlantı kendi bekçisince kesilir; n1'deki sahip bunu görür
+        const dropped = waitForEvent(member, 'disconnect', () => true, 5000);
+        const memberLeft = waitForEvent(owner, 'user-left', data => data.userName === 'Mehmet', 5000);
+        for (let minute = 0; minute < 32; minute++) {
+            const echoed = waitForEvent(owner, 'server-heartbeat');
+            owner.emit('client-heartbeat', { clientTime: Date.now() });
+            await echoed;
+            fake.advance(60 * 1000);
+        }
+        assert.equal(await dropped, 'io server disconnect');
+        await memberLeft;
+        await eventually(() => !a.rooms.get(roomCode).users.has(memberId));
+        assert.equal(owner.connected, true);
+
+        // n1'de boşalan oda, n2'ye gelip giden üye yüzünden erken silinmez
+        owner.emit('leave-room');
+        await eventually(() => a.rooms.get(roomCode).users.size === 0);
+        fake.advance(60 * 1000);
+        const visitor = client(b);
+        const visitorJoined = waitForEvent(visitor, 'room-joined');
+        visitor.emit('join-room', { roomCode, userName: 'Zeynep' });
+        await visitorJoined;
+        await eventually(() => a.rooms.get(roomCode).users.size === 1);
+        fake.advance(3 * 60 * 1000);
+        visitor.emit('leave-room');
+        await eventually(() => a.rooms.get(roomCode).users.size === 0 && b.rooms.get(roomCode).users.size === 0);
+        fake.advance(5 * 60 * 1000 - 1);
+        assert.ok(a.rooms.has(roomCode));
+        fake.advance(1);
+        await eventually(() => !a.rooms.has(roomCode) && !b.rooms.has(roomCode));
+    } finally {
+        for (const socket of clients) socket.disconnect();
+        for (const node of nodes) await node.close();
+        await hub.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,150 @@
+// Olay koruması gerçek bir Socket.IO sunucusu ve istemcisiyle (aynı süreçte) denenir
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { Server } from 'socket.io';
+import { io as connect } from 'socket.io-client';
+import { createEventGuard, RATE_LIMITS } from '../lib/events.js';
+
+let httpServer;
+let ioServer;
+let url;
+
+before(async () => {
+    httpServer = createServer();
+    ioServer = new Server(httpServer);
+    ioServer.on('connection', (socket) => {
+        socket.use(createEventGuard(socket));
+        for (const event of ['message', 'video-control', 'webrtc-ice-candidate', 'join-room', 'leave-room']) {
+            socket.on(event, (payload) => {
+                socket.emit('handled', { event, payload });
+            });
+        }
+    });
+    await new Promise(resolve => httpServer.listen(0, resolve));
+    url = `http://localhost:${httpServer.address().port}`;
+});
+
+after(() => {
+    ioServer.close();
+});
+
+async function client() {
+    const socket = connect(url, { transports: ['websocket'], forceNew: true });
+    await new Promise(resolve => socket.once('connect', resolve));
+    return socket;
+}
+
+function next(socket, event) {
+    return new Promise(resolve => socket.once(event, resolve));
+}
+
+// Bir olayın sonucu: işleyiciye ulaştıysa 'handled', reddedildiyse 'error' yükü
+function outcome(socket) {
+    return new Promise(resolve => {
+        const done = (type) => (data) => {
+            socket.off('handled', onHandled);
+            socket.off('error', onError);
+            resolve({ type, data });
+        };
+        const onHandled = done('handled');
+        const onError = done('error');
+        socket.on('handled', onHandled);
+        socket.on('error', onError);
+    });
+}
+
+test('geçerli yük işleyiciye temizlenmiş olarak ulaşır', async () => {
+    const socket = await client();
+    const result = outcome(socket);
+    socket.emit('video-control', { playing: true, currentTime: 3, position: 999, rate: 50 });
+
+    const { type, data } = await result;
+    assert.equal(type, 'handled');
+    assert.deepEqual(data.payload, { playing: true, currentTime: 3 });
+    socket.close();
+});
+
+test('geçersiz yük kodlu hata ile reddedilir', async () => {
+    const socket = await client();
+    const result = next(socket, 'error');
+    socket.emit('join-room', { userName: 'Ali' });
+
+    const error = await result;
+    assert.equal(error.code, 'INVALID_PAYLOAD');
+    assert.equal(error.event, 'join-room');
+    assert.equal(error.field, 'roomCode');
+    socket.close();
+});
+
+test('yüksüz olaylar da işleyiciye ulaşır', async () => {
+    const socket = await client();
+    const result = outcome(socket);
+    socket.emit('leave-room');
+
+    assert.equal((await result).type, 'handled');
+    socket.close();
+});
+
+test('bilinmeyen olaylar reddedilir', async () => {
+    const socket = await client();
+    const result = next(socket, 'error');
+    socket.emit('drop-tables', {});
+
+    assert.equal((await result).code, 'UNKNOWN_EVENT');
+    socket.close();
+});
+
+test('sohbet seli bağlantı başına sınırlanır', async () => {
+    const socket = await client();
+    const results = [];
+    socket.on('handled', () => results.push('handled'));
+    socket.on('error', (error) => results.push(error.code));
+
+    const burst = RATE_LIMITS.chat.capacity + 3;
+    for (let i = 0; i < burst; i++) {
+        socket.emit('message', { text: `mesaj ${i}` });
+    }
+    while (results.length < burst) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    assert.equal(results.filter(r => r === 'handled').length, RATE_LIMITS.chat.capacity);
+    assert.equal(results.filter(r => r === 'RATE_LIMITED').length, 3);
+
+    // Diğer gruplar etkilenmez
+    const result = outcome(socket);
+    socket.emit('video-control', { playing: false });
+    assert.equal((await result).type, 'handled');
+
+    // Başka bir bağlantının kovası ayrıdır
+    const other = await client();
+    const otherResult = outcome(other);
+    other.emit('message', { text: 'merhaba' });
+    assert.equal((await otherResult).type, 'handled');
+
+    socket.close();
+    other.close();
+});
+
+test("sinyal spam'i sınırlanır", async () => {
+    const socket = await client();
+    let limited = 0;
+    let handled = 0;
+    socket.on('handled', () => handled++);
+    socket.on('error', (error) => {
+        if (error.code === 'RATE_LIMITED') limited++;
+    });
+
+    const burst = RATE_LIMITS.signal.capacity + 20;
+    for (let i = 0; i < burst; i++) {
+        socket.emit('webrtc-ice-candidate', { target: 'peer', candidate: { candidate: `c${i}`, sdpMLineIndex: 0 } });
+    }
+    while (handled + limited < burst) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    assert.ok(limited > 0);
+    assert.ok(handled >= RATE_LIMITS.signal.capacity);
+    socket.close();
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import { createZip, crc32 } from '../lib/zip.js';
+import {
+    createSessionEvent, collectMessages, buildSessionExport, renderTranscriptText, renderTranscriptHtml, formatDuration
+} from '../lib/export.js';
+import { createMemoryStorage } from '../lib/storage/memory.js';
+
+// Merkez dizinden dosyaları geri okur (yalnızca bu yazarın ürettiği arşivler için)
+function readZip(buffer) {
+    const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const count = buffer.readUInt16LE(end + 10);
+    let offset = buffer.readUInt32LE(end + 16);
+    const files = {};
+    for (let i = 0; i < count; i++) {
+        const method = buffer.readUInt16LE(offset + 10);
+        const crc = buffer.readUInt32LE(offset + 16);
+        const size = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+        const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+        const body = buffer.subarray(start, start + size);
+        const data = method === 8 ? zlib.inflateRawSync(body) : body;
+        assert.equal(crc32(data), crc, `${name} CRC`);
+        files[name] = data;
+        offset += 46 + nameLength;
+    }
+    return files;
+}
+
+const message = (id, fields = {}) => ({
+    id, userId: 'u1', userName: 'Ayşe', type: 'text', text: `mesaj ${id}`, reactions: {}, timestamp: new Date(Date.UTC(2026, 0, 1, 20, 0, Number(id))), ...fields
+});
+
+test('ZIP arşivi metni sıkıştırır, ikili dosyayı saklar, UTF-8 adları korur', () => {
+    assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+
+    const binary = Buffer.from([0x89, 0x50, 0x4e, 0x47, 1, 2, 3]);
+    const files = readZip(createZip([
+        { name: 'sohbet.txt', data: 'çok güzel film '.repeat(50) },
+        { name: 'ekler/resim ğ.png', data: binary }
+    ]));
+    assert.equal(files['sohbet.txt'].toString(), 'çok güzel film '.repeat(50));
+    assert.deepEqual(files['ekler/resim ğ.png'], binary);
+});
+
+test('oturum kaydı mesajları, videoları ve arama sürelerini toplar', () => {
+    const at = Date.UTC(2026, 0, 1, 20, 0, 0);
+    const events = [
+        createSessionEvent('join', { userId: 'u1', userName: 'Ayşe' }, at),
+        createSessionEvent('video', { itemId: 'v1', mediaType: 'youtube', title: 'Film', url: 'https://youtu.be/a', sharedBy: 'Ayşe' }, at + 1000),
+        createSessionEvent('call-started', { callId: 'c1', callType: 'video', startedBy: 'Ayşe' }, at + 2000),
+        createSessionEvent('call-ended', { callId: 'c1', callType: 'video', startedAt: at + 2000, duration: 3725 }, at + 3727000),
+        createSessionEvent('leave', { userId: 'u1', userName: 'Ayşe' }, at + 3800000)
+    ];
+    const messages = [
+        message('1', { anchor: { mediaKey: 'youtube:a', title: 'Film', position: 65, itemId: 'v1' }, reactions: { '😂': ['u1', 'u2'] } }),
+        message('2', { deleted: true, text: '', attachment: { id: 'a0', name: 'gizli.png' } }),
+        message('3', { type: 'image', text: undefined, attachment: { id: 'a1', name: 'poster.png', size: 10 } })
+    ];
+
+    const data = buildSessionExport({
+        room: { code: 'ODA123', name: 'Film <gecesi>', createdAt: new Date(at) },
+        messages,
+        events,
+        bundled: new Set(['a1'])
+    }, at + 4000000);
+
+    assert.equal(data.room.createdAt, '2026-01-01T20:00:00.000Z');
+    assert.deepEqual(data.videos, [{ itemId: 'v1', type: 'youtube', title: 'Film', url: 'https://youtu.be/a', sharedBy: 'Ayşe', playedAt: '2026-01-01T20:00:01.000Z' }]);
+    assert.deepEqual(data.calls.map(call => [call.type, call.startedBy, call.duration]), [['video', 'Ayşe', 3725]]);
+    assert.deepEqual(data.messages[0].reactions, { '😂': 2 });
+    assert.equal(data.messages[1].text, null);
+    assert.equal(data.messages[1].attachment, null);
+    assert.deepEqual(data.attachments, [{ id: 'a1', name: 'poster.png', size: 10, file: 'attachments/a1-poster.png' }]);
+
+    const text = renderTranscriptText(data);
+    assert.match(text, /Ayşe: \[⏱️ 1:05\] mesaj 1/);
+    assert.match(text, /\(silinmiş mesaj\)/);
+    assert.match(text, /📞 Arama bitti \(1:02:05\)/);
+    assert.ok(text.indexOf('odaya katıldı') < text.indexOf('mesaj 1'));
+
+    const html = renderTranscriptHtml(data);
+    assert.ok(html.includes('Film &lt;gecesi&gt;'));
+    assert.ok(html.includes('href="attachments/a1-poster.png"'));
+    assert.equal(formatDuration(59.6), '1:00');
+});
+
+test('geçmiş sayfa sayfa sonuna kadar okunur, olaylar odayla silinir', () => {
+    const storage = createMemoryStorage({ messageLimit: 0 });
+    for (let i = 0; i < 250; i++) {
+        storage.appendMessage('ODA', message(String(i).padStart(3, '0')));
+    }
+    const messages = collectMessages(storage, 'ODA');
+    assert.equal(messages.length, 250);
+    assert.equal(messages[0].id, '000');
+    assert.equal(messages.at(-1).id, '249');
+
+    storage.appendEvent('ODA', createSessionEvent('join', { userId: 'u1', userName: 'Ayşe' }));
+    assert.equal(storage.getEvents('ODA').length, 1);
+    assert.equal(storage.exportChat('ODA').events.length, 1);
+    storage.deleteRoom('ODA');
+    assert.deepEqual(storage.getEvents('ODA'), []);
+});
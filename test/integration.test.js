@@ -0,0 +1,596 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { io as connect } from 'socket.io-client';
+import { createApp } from '../app.js';
+import { createLogger } from '../lib/logger.js';
+import { ERROR_CODES } from '../lib/errors.js';
+
+// Sahte saat ve zamanlayıcılar: advance() süresi dolanları sırayla çalıştırır.
+// Saat gerçek zamandan çok geride başlar; sunucuda Date.now() ile karışan bir süre hemen bozulur.
+const EPOCH = Date.UTC(2024, 0, 1);
+
+function createFakeTimers(start = EPOCH) {
+    let current = start;
+    let nextId = 1;
+    const pending = new Map(); // id -> { at, fn, every }
+
+    const schedule = (fn, delay, every) => {
+        const id = nextId++;
+        pending.set(id, { at: current + Math.max(0, delay || 0), fn, every });
+        return id;
+    };
+    const cancel = (id) => { pending.delete(id); };
+
+    return {
+        clock: { now: () => current },
+        timers: {
+            setTimeout: (fn, delay) => schedule(fn, delay, null),
+            clearTimeout: cancel,
+            setInterval: (fn, delay) => schedule(fn, delay, delay),
+            clearInterval: cancel
+        },
+        advance(ms) {
+            const target = current + ms;
+            for (;;) {
+                let due = null;
+                for (const [id, timer] of pending) {
+                    if (timer.at <= target && (!due || timer.at < due[1].at)) due = [id, timer];
+                }
+                if (!due) break;
+                const [id, timer] = due;
+                current = timer.at;
+                if (timer.every) {
+                    timer.at += timer.every;
+                } else {
+                    pending.delete(id);
+                }
+                timer.fn();
+            }
+            current = target;
+        }
+    };
+}
+
+async function startServer(env = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'integration-'));
+    const fake = createFakeTimers();
+    const instance = await createApp({
+        env: {
+            STORAGE_DRIVER: 'memory',
+            STORAGE_DIR: dir,
+            UPLOAD_DIR: path.join(dir, 'uploads'),
+            ATTACHMENT_DIR: path.join(dir, 'attachments'),
+            INVITE_SECRET: 'test',
+            ...env
+        },
+        clock: fake.clock,
+        timers: fake.timers,
+        logger: createLogger({ level: 'silent' })
+    });
+    const port = await instance.listen(0, '127.0.0.1');
+    const clients = [];
+
+    return {
+        ...instance,
+        advance: fake.advance,
+        url: `http://127.0.0.1:${port}`,
+        client() {
+            const socket = connect(`http://127.0.0.1:${port}`, { transports: ['websocket'], reconnection: false, forceNew: true });
+            clients.push(socket);
+            return socket;
+        },
+        async stop() {
+            for (const socket of clients) socket.disconnect();
+            await instance.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+function eventually(check, timeout = 2000) {
+    const started = Date.now();
+    return new Promise((resolve, reject) => {
+        const poll = () => {
+            if (check()) return resolve();
+            if (Date.now() - started > timeout) return reject(new Error('Koşul zamanında sağlanmadı'));
+            setTimeout(poll, 10);
+        };
+        poll();
+    });
+}
+
+function nextEvent(socket, event, timeout = 2000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`'${event}' zamanında gelmedi`)), timeout);
+        socket.once(event, (data) => {
+            clearTimeout(timer);
+            resolve(data);
+        });
+    });
+}
+
+async function createRoom(server, userName = 'Ayşe') {
+    const socket = server.client();
+    const created = nextEvent(socket, 'room-created');
+    socket.emit('create-room', { userName, roomName: 'Film gecesi' });
+    return { socket, room: await created };
+}
+
+async function joinRoom(server, roomCode, userName = 'Mehmet', fields = {}) {
+    const socket = server.client();
+    const joined = nextEvent(socket, 'room-joined');
+    socket.emit('join-room', { roomCode, userName, ...fields });
+    return { socket, room: await joined };
+}
+
+// Ağ kopması: sunucu 'transport close' görür, üyenin yeri bekleme süresince korunur
+function dropConnection(member) {
+    const closed = nextEvent(member.socket, 'disconnect');
+    member.socket.io.engine.close();
+    return closed;
+}
+
+function sessionHeaders(member) {
+    return { 'X-Session-Id': member.room.sessionId, 'X-Resume-Token': member.room.resumeToken };
+}
+
+test('oda yaşam döngüsü: kurulur, katılınır, mesajlaşılır, ayrılınır', async () => {
+    const server = await startServer();
+    try {
+        const owner = await createRoom(server);
+        assert.equal(owner.room.isOwner, true);
+        assert.ok(server.rooms.has(owner.room.roomCode));
+
+        const userJoined = nextEvent(owner.socket, 'user-joined');
+        const guest = await joinRoom(server, owner.room.roomCode);
+        assert.equal(guest.room.isOwner, false);
+        assert.equal((await userJoined).userName, 'Mehmet');
+
+        const received = nextEvent(owner.socket, 'message');
+        guest.socket.emit('message', { text: 'merhaba' });
+        assert.equal((await received).text, 'merhaba');
+
+        const userLeft = nextEvent(owner.socket, 'user-left');
+        guest.socket.emit('leave-room');
+        await userLeft;
+        assert.equal(server.rooms.get(owner.room.roomCode).users.size, 1);
+    } finally {
+        await server.stop();
+    }
+});
+
+test('sonradan katılan video, konum ve geçmişi tek seferde alır', async () => {
+    const server = await startServer();
+    try {
+        const owner = await createRoom(server);
+        const shared = nextEvent(owner.socket, 'media-shared');
+        owner.socket.emit('share-media', { url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ' });
+        await shared;
+        owner.socket.emit('video-control', { currentTime: 42, playing: true });
+        const sent = nextEvent(owner.socket, 'message');
+        owner.socket.emit('message', { text: 'başlıyoruz' });
+        await sent;
+
+        // Oynatma sunucu saatiyle ilerler
+        server.advance(10 * 1000);
+        const late = await joinRoom(server, owner.room.roomCode);
+        assert.equal(late.room.activeVideo.videoId, 'dQw4w9WgXcQ');
+        assert.equal(late.room.playbackState.playing, true);
+        assert.equal(late.room.playbackState.currentTime, 52);
+        assert.equal(late.room.playbackState.serverTime, EPOCH + 10 * 1000);
+        assert.deepEqual(late.room.previousMessages.map(message => message.text), ['başlıyoruz']);
+        assert.equal(Date.parse(late.room.previousMessages[0].timestamp), EPOCH);
+
+        const countdown = nextEvent(late.socket, 'countdown-started');
+        owner.socket.emit('countdown-start', { seconds: 3 });
+        const started = await countdown;
+        assert.equal(started.serverTime, EPOCH + 10 * 1000);
+        assert.equal(started.startsAt, started.serverTime + 3000);
+    } finally {
+        await server.stop();
+    }
+});
+
+test('geçersiz bağlantı paylaşılmaz, oda videosu değişmez', async () => {
+    const server = await startServer();
+    try {
+        const owner = await createRoom(server);
+        for (const url of ['bağlantı değil', 'https://example.com/sayfa', 'javascript:alert(1)']) {
+            const rejected = nextEvent(owner.socket, 'error');
+            owner.socket.emit('share-media', { url });
+            assert.equal((await rejected).code, ERROR_CODES.INVALID_MEDIA, url);
+        }
+
+        const empty = nextEvent(owner.socket, 'error');
+        owner.socket.emit('share-media', {});
+        assert.equal((await empty).code, ERROR_CODES.INVALID_PAYLOAD);
+        assert.equal(server.rooms.get(owner.room.roomCode).video, null);
+    } finally {
+        await server.stop();
+    }
+});
+
+test('yetkisiz olay reddedilir, eksik yük sunucuyu düşürmez', async () => {
+    const server = await startServer();
+    try {
+        const owner = await createRoom(server);
+        const member = await joinRoom(server, owner.room.roomCode);
+
+        const forbidden = nextEvent(member.socket, 'error');
+        member.socket.emit('video-control', { playing: true });
+        const error = await forbidden;
+        assert.equal(error.code, ERROR_CODES.FORBIDDEN);
+        assert.equal(error.permission, 'video:control');
+
+        const stray = server.client();
+        const invalid = nextEvent(stray, 'error');
+        stray.emit('join-room', { userName: 'Kodsuz' });
+        assert.equal((await invalid).code, ERROR_CODES.INVALID_PAYLOAD);
+
+        // Sunucu ayakta, oda etkilenmedi
+        const response = await fetch(`${server.url}/api/room/${owner.room.roomCode}`);
+        assert.equal(response.status, 200);
+    } finally {
+        await server.stop();
+    }
+});
+
+test('sohbet geçmişi yalnızca üyeye ya da şifreyi bilene açıktır', async () => {
+    const server = await startServer();
+    try {
+        const owner = await createRoom(server);
+        const code = owner.room.roomCode;
+        const sent = nextEvent(owner.socket, 'message');
+        owner.socket.emit('message', { text: 'gizli değil ama herkese de değil' });
+        await sent;
+
+        // Şifresiz odada kodu bilmek yetmez
+        for (const route of ['messages', 'timeline']) {
+            assert.equal((await fetch(`${server.url}/api/room/${code}/${route}`)).status, 403, route);
+        }
+        const member = await fetch(`${server.url}/api/room/${code}/messages`, { headers: sessionHeaders(owner) });
+        assert.equal(member.status, 200);
+        assert.equal((await member.json()).messages.length, 1);
+
+        const locked = server.client();
+        const created = nextEvent(locked, 'room-created');
+        locked.emit('create-room', { userName: 'Ayşe', roomName: 'Kilitli', password: 'parola' });
+        const { roomCode } = await created;
+        const history = (password) => fetch(`${server.url}/api/room/${roomCode}/messages`, { headers: { 'X-Room-Password': password } });
+        assert.equal((await history('yanlis')).status, 403);
+        assert.equal((await history('parola')).status, 200);
+    } finally {
+        await server.stop();
+    }
+});
+
+test('giriş sınırı yalnızca hatalı denemeleri sayar ve başarılı girişte sıfırlanır', async () => {
+    const server = await startServer({ JOIN_MAX_FAILURES: '2' });
+    try {
+        const host = server.client();
+        const created = nextEvent(host, 'room-created');
+        host.emit('create-room', { userName: 'Ayşe', roomName: 'Kilitli', password: 'parola' });
+        const { roomCode } = await created;
+
+        const attempt = (password) => new Promise((resolve) => {
+            const socket = server.client();
+            socket.once('room-joined', resolve);
+            socket.once('error', resolve);
+            socket.emit('join-room', { roomCode, userName: 'Mehmet', password });
+        });
+
+        // Oturumsuz geçmiş isteği şifre tahmini değildir
+        for (let i = 0; i < 3; i++) {
+            assert.equal((await fetch(`${server.url}/api/room/${roomCode}/messages`)).status, 403);
+        }
+
+        assert.equal((await attempt('yanlis')).code, ERROR_CODES.WRONG_PASSWORD);
+        assert.equal((await attempt('parola')).roomCode, roomCode);
+        assert.equal((await attempt('yanlis')).code, ERROR_CODES.WRONG_PASSWORD);
+        assert.equal((await attempt('parola')).roomCode, roomCode);
+
+        // Geçmiş üzerinden şifre denemesi sayılır
+        const guess = () => fetch(`${server.url}/api/room/${roomCode}/messages`, { headers: { 'X-Room-Password': 'yanlis' } });
+        assert.equal((await guess()).status, 403);
+        assert.equal((await guess()).status, 403);
+        assert.equal((await guess()).status, 429);
+        assert.equal((await attempt('parola')).code, ERROR_CODES.RATE_LIMITED);
+    } finally {
+        await server.stop();
+    }
+});
+
+test('odaya katılmamış bağlantı oda olaylarında NOT_IN_ROOM alır', async () => {
+    const server = await startServer();
+    try {
+        const owner = await createRoom(server);
+        const message = nextEvent(owner.socket, 'message');
+        owner.socket.emit('message', { text: 'Gizli plan' });
+        const { id } = await message;
+
+        const stranger = server.client();
+        const events = [
+            ['load-messages', {}],
+            ['mark-read', { messageId: id }],
+            ['direct-conversations'],
+            ['direct-history', { peerId: owner.room.sessionId }],
+            ['direct-read', { peerId: owner.room.sessionId, messageId: id }],
+            ['player-state', { state: 'buffering' }],
+            ['ready-check-respond', { ready: true }]
+        ];
+        for (const [event, data] of events) {
+            const error = nextEvent(stranger, 'error');
+            stranger.emit(event, ...(data ? [data] : []));
+            assert.equal((await error).code, ERROR_CODES.NOT_IN_ROOM, event);
+        }
+    } finally {
+        await server.stop();
+    }
+});
+
+test('özel odanın bilgileri yalnızca üyelere gösterilir, kod büyük/küçük harf duyarsızdır', async () => {
+    const server = await startServer();
+    try {
+        const owner = await createRoom(server);
+        const url = `${server.url}/api/room/${owner.room.roomCode.toLowerCase()}`;
+
+        const anonymous = await fetch(url);
+        assert.equal(anonymous.status, 200);
+        assert.deepEqual(await anonymous.json(), { code: owner.room.roomCode, visibility: 'private' });
+
+        const member = await (await fetch(url, { headers: sessionHeaders(owner) })).json();
+        assert.equal(member.name, 'Film gecesi');
+        assert.equal(member.userCount, 1);
+
+        const host = server.client();
+        const created = nextEvent(host, 'room-created');
+        host.emit('create-room', { userName: 'Can', roomName: 'Açık salon', visibility: 'public' });
+        const { roomCode } = await created;
+        const listed = await (await fetch(`${server.url}/api/room/${roomCode}`)).json();
+        assert.equal(listed.name, 'Açık salon');
+        assert.equal(listed.visibility, 'public');
+    } finally {
+        await server.stop();
+    }
+});
+
+test('boş oda 5 dakika sonra silinir, süre dolmadan gelen kişi odayı korur', async () => {
+    const server = await startServer();
+    try {
+        const first = await createRoom(server);
+        const code = first.room.roomCode;
+        first.socket.emit('leave-room');
+        await eventually(() => server.rooms.get(code).users.size === 0);
+
+        server.advance(4 * 60 * 1000);
+        assert.ok(server.rooms.has(code));
+        server.advance(60 * 1000);
+        assert.equal(server.rooms.has(code), false);
+        assert.equal((await fetch(`${server.url}/api/room/${code}`)).status, 404);
+
+        // Süre dolmadan biri katılırsa oda silinmez
+        const second = await createRoom(server);
+        second.socket.emit('leave-room');
+        await eventually(() => server.rooms.get(second.room.roomCode).users.size === 0);
+        server.advance(60 * 1000);
+        await joinRoom(server, second.room.roomCode);
+        server.advance(10 * 60 * 1000);
+        assert.ok(server.rooms.has(second.room.roomCode));
+    } finally {
+        await server.stop();
+    }
+});
+
+test('oda tekrar boşalınca silme süresi baştan başlar', async () => {
+    const server = await startServer();
+    try {
+        const owner = await createRoom(server);
+        const code = owner.room.roomCode;
+        owner.socket.emit('leave-room');
+        await eventually(() => server.rooms.get(code).users.size === 0);
+
+        server.advance(60 * 1000);
+        const visitor = await joinRoom(server, code);
+        server.advance(3 * 60 * 1000);
+        visitor.socket.emit('leave-room');
+        await eventually(() => server.rooms.get(code).users.size === 0);
+
+        // İlk boşalmadan 5 dakika geçti, son boşalmadan geçmedi
+        server.advance(5 * 60 * 1000 - 1);
+        assert.ok(server.rooms.has(code));
+        server.advance(1);
+        assert.equal(server.rooms.has(code), false);
+    } finally {
+        await server.stop();
+    }
+});
+
+test('WebRTC sinyalleri yalnızca aramadaki katılımcıya iletilir, süre sunucu saatiyle ölçülür', async () => {
+    const server = await startServer();
+    try {
+        const owner = await createRoom(server);
+        const caller = await joinRoom(server, owner.room.roomCode, 'Mehmet');
+        const outsider = await joinRoom(server, owner.room.roomCode, 'Zeynep');
+
+        const callerJoined = nextEvent(caller.socket, 'call-joined');
+        caller.socket.emit('call-start', { type: 'audio' });
+        await callerJoined;
+        const ownerJoined = nextEvent(owner.socket, 'call-joined');
+        owner.socket.emit('call-join', {});
+        assert.deepEqual((await ownerJoined).peers, [caller.room.sessionId]);
+
+        const offer = { type: 'offer', sdp: 'v=0' };
+        const relayed = nextEvent(caller.socket, 'webrtc-offer');
+        owner.socket.emit('webrtc-offer', { target: caller.room.sessionId, offer });
+        const received = await relayed;
+        assert.deepEqual(received.offer, offer);
+        assert.equal(received.sender, owner.room.sessionId);
+
+        // Aramada olmayan hedefe de, aramada olmayan gönderenden de sinyal geçmez
+        const notInCall = nextEvent(owner.socket, 'error');
+        owner.socket.emit('webrtc-offer', { target: outsider.room.sessionId, offer });
+        assert.equal((await notInCall).code, ERROR_CODES.INVALID_SIGNAL_TARGET);
+        const notParticipant = nextEvent(outsider.socket, 'error');
+        outsider.socket.emit('webrtc-ice-candidate', { target: caller.room.sessionId, candidate: { candidate: 'candidate:1' } });
+        assert.equal((await notParticipant).code, ERROR_CODES.INVALID_SIGNAL_TARGET);
+
+        server.advance(90 * 1000);
+        const ended = nextEvent(owner.socket, 'call-ended');
+        caller.socket.emit('call-leave');
+        owner.socket.emit('call-leave');
+        await ended;
+
+        const response = await fetch(`${server.url}/api/room/${owner.room.roomCode}/export?format=json`, { headers: sessionHeaders(owner) });
+        const { calls } = await response.json();
+        assert.deepEqual(calls.map(call => [call.type, call.startedAt, call.duration]), [['audio', new Date(EPOCH).toISOString(), 90]]);
+    } finally {
+        await server.stop();
+    }
+});
+
+test('kopan üye bekleme süresinde yerine döner, süre dolunca sahiplik devredilir', async () => {
+    const server = await startServer({ RECONNECT_GRACE: '30000' });
+    try {
+        const owner = await createRoom(server);
+        const code = owner.room.roomCode;
+        const member = await joinRoom(server, code);
+        const resume = { sessionId: owner.room.sessionId, resumeToken: owner.room.resumeToken };
+
+        // Süre içinde: aynı oturum, sahiplik korunur
+        await dropConnection(owner);
+        await eventually(() => server.rooms.get(code).users.get(owner.room.sessionId).connected === false);
+        server.advance(20 * 1000);
+        const back = await joinRoom(server, code, 'Ayşe', resume);
+        assert.equal(back.room.resumed, true);
+        assert.equal(back.room.sessionId, owner.room.sessionId);
+        assert.equal(back.room.isOwner, true);
+
+        // Süre dolunca: üye odadan çıkar, sahiplik en eski bağlı üyeye geçer
+        await dropConnection(back);
+        await eventually(() => server.rooms.get(code).users.get(owner.room.sessionId).connected === false);
+        const ownerChanged = nextEvent(member.socket, 'owner-changed');
+        const promoted = nextEvent(member.socket, 'role-changed');
+        server.advance(30 * 1000);
+        assert.equal((await ownerChanged).ownerId, member.room.sessionId);
+        assert.equal((await promoted).role, 'owner');
+        assert.equal(server.rooms.get(code).users.has(owner.room.sessionId), false);
+
+        // Geç dönen eski oturumla değil, yeni bir üye olarak katılır
+        const late = await joinRoom(server, code, 'Ayşe', resume);
+        assert.equal(late.room.resumed, false);
+        assert.notEqual(late.room.sessionId, owner.room.sessionId);
+        assert.equal(late.room.isOwner, false);
+    } finally {
+        await server.stop();
+    }
+});
+
+test('video parça parça yüklenir, odaya yayınlanır ve sonradan katılana sunulur', async () => {
+    const server = await startServer();
+    try {
+        const owner = await createRoom(server);
+        const member = await joinRoom(server, owner.room.roomCode);
+
+        const forbidden = nextEvent(member.socket, 'error');
+        member.socket.emit('upload-init', { fileName: 'film.mp4', fileSize: 10, mimeType: 'video/mp4' });
+        assert.equal((await forbidden).code, ERROR_CODES.FORBIDDEN);
+
+        const ready = nextEvent(owner.socket, 'upload-ready');
+        owner.socket.emit('upload-init', { fileName: 'film.mp4', fileSize: 10, mimeType: 'video/mp4' });
+        const { uploadId, uploadUrl } = await ready;
+
+        const video = Buffer.from('0123456789');
+        const put = (chunk, offset, headers = sessionHeaders(owner)) => fetch(`${server.url}${uploadUrl}`, {
+            method: 'PUT',
+            headers: { ...headers, 'Content-Type': 'application/octet-stream', 'X-Upload-Offset': String(offset) },
+            body: chunk
+        });
+
+        assert.equal((await put(video.subarray(0, 6), 0, {})).status, 401);
+        assert.equal((await put(video.subarray(0, 6), 0, sessionHeaders(member))).status, 401);
+
+        const first = await put(video.subarray(0, 6), 0);
+        assert.equal((await first.json()).completed, false);
+        const uploaded = nextEvent(member.socket, 'video-uploaded');
+        const last = await put(video.subarray(6), 6);
+        assert.equal((await last.json()).completed, true);
+        assert.equal((await uploaded).title, 'film.mp4');
+
+        const late = await joinRoom(server, owner.room.roomCode, 'Zeynep');
+        assert.equal(late.room.activeVideo.type, 'file');
+        assert.equal(late.room.activeVideo.uploadId, uploadId);
+        assert.equal(Date.parse(late.room.activeVideo.uploadedAt), EPOCH);
+
+        const videoUrl = `${server.url}${late.room.activeVideo.url}`;
+        assert.equal((await fetch(videoUrl)).status, 401);
+        const download = await fetch(`${videoUrl}&s=${late.room.sessionId}&t=${late.room.mediaToken}`);
+        assert.equal(download.status, 200);
+        assert.deepEqual(Buffer.from(await download.arrayBuffer()), video);
+    } finally {
+        await server.stop();
+    }
+});
+
+test('yükleme bitmeden paylaşma yetkisi alınırsa video yayınlanmaz', async () => {
+    const server = await startServer();
+    try {
+        const owner = await createRoom(server);
+        const member = await joinRoom(server, owner.room.roomCode);
+
+        const promoted = nextEvent(member.socket, 'role-changed');
+        owner.socket.emit('set-role', { userId: member.room.sessionId, role: 'cohost' });
+        await promoted;
+
+        const ready = nextEvent(member.socket, 'upload-ready');
+        member.socket.emit('upload-init', { fileName: 'film.mp4', fileSize: 10, mimeType: 'video/mp4' });
+        const { uploadUrl } = await ready;
+        const put = (chunk, offset) => fetch(`${server.url}${uploadUrl}`, {
+            method: 'PUT',
+            headers: { ...sessionHeaders(member), 'Content-Type': 'application/octet-stream', 'X-Upload-Offset': String(offset) },
+            body: chunk
+        });
+
+        const video = Buffer.from('0123456789');
+        assert.equal((await put(video.subarray(0, 6), 0)).status, 200);
+
+        const demoted = nextEvent(member.socket, 'role-changed');
+        owner.socket.emit('set-role', { userId: member.room.sessionId, role: 'member' });
+        await demoted;
+
+        let broadcast = false;
+        owner.socket.on('video-uploaded', () => { broadcast = true; });
+        const last = await put(video.subarray(6), 6);
+        assert.equal(last.status, 403);
+        assert.equal((await last.json()).code, ERROR_CODES.FORBIDDEN);
+
+        const stored = await fetch(`${server.url}/api/room/${owner.room.roomCode}/video?s=${owner.room.sessionId}&t=${owner.room.mediaToken}`);
+        assert.equal(stored.status, 404);
+        assert.equal(broadcast, false);
+    } finally {
+        await server.stop();
+    }
+});
+
+test('bekçi 30 dakika sessiz kalan bağlantıyı koparır, kalp atışı gönderen kalır', async () => {
+    const server = await startServer();
+    try {
+        const idle = await createRoom(server);
+        const active = await joinRoom(server, idle.room.roomCode);
+        const dropped = nextEvent(idle.socket, 'disconnect', 5000);
+
+        for (let minute = 0; minute < 32; minute++) {
+            const echoed = nextEvent(active.socket, 'server-heartbeat');
+            active.socket.emit('client-heartbeat', { clientTime: Date.now() });
+            await echoed;
+            server.advance(60 * 1000);
+        }
+
+        assert.equal(await dropped, 'io server disconnect');
+        assert.equal(active.socket.connected, true);
+    } finally {
+        await server.stop();
+    }
+});
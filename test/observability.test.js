@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLogger } from '../lib/logger.js';
+import { createMetrics, createRateMeter } from '../lib/metrics.js';
+
+test('günlük satırları JSON, seviyeli ve bağlam alanlı', () => {
+    const lines = [];
+    const root = createLogger({ level: 'info', write: line => lines.push(JSON.parse(line)), now: () => new Date(0) });
+    const child = root.child({ requestId: 'r1' });
+
+    child.debug('görünmez');
+    child.info('istek', { status: 200, skipped: undefined });
+    child.error('hata', { error: new Error('patladı') });
+
+    assert.equal(lines.length, 2);
+    assert.deepEqual(lines[0], { time: '1970-01-01T00:00:00.000Z', level: 'info', msg: 'istek', requestId: 'r1', status: 200 });
+    assert.equal(lines[1].level, 'error');
+    assert.equal(lines[1].error.message, 'patladı');
+    assert.ok(lines[1].error.stack);
+});
+
+test('ölçümler Prometheus metin biçiminde yazılır', () => {
+    const metrics = createMetrics({ prefix: 'test_' });
+    const uploads = metrics.counter('upload_bytes_total', 'Yüklenen bayt');
+    uploads.inc({ kind: 'video' }, 100);
+    uploads.inc({ kind: 'video' }, 50);
+    uploads.inc({ kind: 'a"b' });
+    metrics.gauge('rooms', 'Oda sayısı', () => 3);
+
+    assert.equal(uploads.get({ kind: 'video' }), 150);
+    assert.throws(() => metrics.gauge('rooms', 'tekrar', () => 0));
+    assert.equal(metrics.render(), [
+        '# HELP test_upload_bytes_total Yüklenen bayt',
+        '# TYPE test_upload_bytes_total counter',
+        'test_upload_bytes_total{kind="video"} 150',
+        'test_upload_bytes_total{kind="a\\"b"} 1',
+        '# HELP test_rooms Oda sayısı',
+        '# TYPE test_rooms gauge',
+        'test_rooms 3',
+        ''
+    ].join('\n'));
+});
+
+test('saniye başına oran pencere dışındaki olayları saymaz', () => {
+    const meter = createRateMeter({ windowSeconds: 10 });
+    meter.mark(5, 0);
+    meter.mark(15, 5000);
+
+    assert.equal(meter.rate(5000), 2);
+    assert.equal(meter.rate(12000), 1.5);
+    assert.equal(meter.rate(30000), 0);
+});
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSearchService, createYouTubeSearchProvider, parseIsoDuration, SearchError } from '../lib/search.js';
+import { ERROR_CODES } from '../lib/errors.js';
+
+// Sağlayıcıya giden istekleri sayan yerel sahte sağlayıcı
+function createMockProvider(pages = {}) {
+    const calls = [];
+    return {
+        calls,
+        search: async (query, { pageToken }) => {
+            calls.push({ query, pageToken });
+            if (query === 'bozuk') throw new Error('bağlantı reddedildi');
+            return pages[pageToken || 'ilk'] || { results: [], nextPageToken: null };
+        }
+    };
+}
+
+function createClock(start = 0) {
+    let time = start;
+    return { now: () => time, advance: (ms) => { time += ms; } };
+}
+
+const firstPage = {
+    results: [
+        { id: 'a', title: 'Film A', channel: 'Kanal', thumbnail: 'https://i/a.jpg', duration: 5400, url: 'https://youtu.be/a', extra: 'atılır' },
+        { title: 'kimliksiz' }
+    ],
+    nextPageToken: 'P2'
+};
+
+test('sonuçlar ortak biçime çevrilir ve TTL boyunca önbellekten döner', async () => {
+    const clock = createClock();
+    const provider = createMockProvider({ ilk: firstPage });
+    const service = createSearchService({ providers: { mock: provider }, cacheTtl: 1000, now: clock.now });
+
+    const page = await service.search({ query: '  Yüzüklerin   Efendisi ' }, 'ip:1');
+    assert.equal(page.cached, false);
+    assert.equal(page.query, 'Yüzüklerin Efendisi');
+    assert.equal(page.nextPageToken, 'P2');
+    assert.deepEqual(page.results, [
+        { id: 'a', title: 'Film A', channel: 'Kanal', thumbnail: 'https://i/a.jpg', duration: 5400, url: 'https://youtu.be/a' }
+    ]);
+
+    assert.equal((await service.search({ query: 'yüzüklerin efendisi', provider: 'mock' }, 'ip:2')).cached, true);
+    assert.equal(provider.calls.length, 1);
+
+    await service.search({ query: 'yüzüklerin efendisi', pageToken: 'P2' }, 'ip:1');
+    assert.deepEqual(provider.calls[1], { query: 'yüzüklerin efendisi', pageToken: 'P2' });
+
+    clock.advance(1001);
+    assert.equal((await service.search({ query: 'yüzüklerin efendisi' }, 'ip:1')).cached, false);
+    assert.equal(provider.calls.length, 3);
+});
+
+test('istemci kotası dolunca 429 döner, diğer istemciler etkilenmez', async () => {
+    const clock = createClock();
+    const service = createSearchService({
+        providers: { mock: createMockProvider() },
+        quota: { capacity: 2, refillPerSecond: 0.5 },
+        now: clock.now
+    });
+
+    await service.search({ query: 'bir' }, 'ip:1');
+    await service.search({ query: 'iki' }, 'ip:1');
+    const limited = await service.search({ query: 'üç' }, 'ip:1').catch(error => error);
+    assert.ok(limited instanceof SearchError);
+    assert.equal(limited.code, ERROR_CODES.RATE_LIMITED);
+    assert.equal(limited.status, 429);
+    assert.equal(limited.retryAfter, 2);
+
+    // Önbellekteki sorgu kota harcamaz
+    assert.equal((await service.search({ query: 'bir' }, 'ip:1')).cached, true);
+    await service.search({ query: 'üç' }, 'ip:2');
+
+    clock.advance(2000);
+    await service.search({ query: 'üç' }, 'ip:1');
+});
+
+test('hatalar sahte sonuç yerine kodlu hata olarak döner', async () => {
+    const service = createSearchService({ providers: { mock: createMockProvider() } });
+    const failure = (promise) => promise.then(() => assert.fail('hata bekleniyordu'), error => [error.code, error.status]);
+
+    assert.deepEqual(await failure(service.search({ query: 'bozuk' }, 'ip')), [ERROR_CODES.SEARCH_FAILED, 502]);
+    assert.deepEqual(await failure(service.search({ query: '   ' }, 'ip')), [ERROR_CODES.INVALID_PAYLOAD, 400]);
+    assert.deepEqual(await failure(service.search({ query: 'x'.repeat(101) }, 'ip')), [ERROR_CODES.INVALID_PAYLOAD, 400]);
+    assert.deepEqual(await failure(service.search({ query: 'film', provider: 'vimeo' }, 'ip')), [ERROR_CODES.INVALID_PAYLOAD, 400]);
+
+    const unconfigured = createSearchService({ providers: {} });
+    assert.deepEqual(await failure(unconfigured.search({ query: 'film' }, 'ip')), [ERROR_CODES.SEARCH_UNAVAILABLE, 503]);
+});
+
+test('YouTube sağlayıcısı arama sonuçlarına süreleri ekler', async () => {
+    assert.equal(parseIsoDuration('PT1H2M3S'), 3723);
+    assert.equal(parseIsoDuration('PT45S'), 45);
+    assert.equal(parseIsoDuration('P0D'), 0);
+    assert.equal(parseIsoDuration('bozuk'), null);
+
+    const urls = [];
+    const fetch = async (url) => {
+        urls.push(url);
+        const body = url.includes('/search?')
+            ? { items: [{ id: { videoId: 'dQw4w9WgXcQ' }, snippet: { title: 'Film', channelTitle: 'Kanal', thumbnails: { medium: { url: 'https://i/m.jpg' } } } }], nextPageToken: 'CAoQAA' }
+            : { items: [{ id: 'dQw4w9WgXcQ', contentDetails: { duration: 'PT2H' } }] };
+        return { ok: true, json: async () => body };
+    };
+
+    const provider = createYouTubeSearchProvider({ apiKey: 'gizli', fetch });
+    const page = await provider.search('film', { pageToken: 'CAUQAA' });
+    assert.deepEqual(page.results[0], {
+        id: 'dQw4w9WgXcQ',
+        title: 'Film',
+        channel: 'Kanal',
+        thumbnail: 'https://i/m.jpg',
+        duration: 7200,
+        url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'
+    });
+    assert.equal(page.nextPageToken, 'CAoQAA');
+    assert.ok(urls[0].includes('pageToken=CAUQAA') && urls[0].includes('key=gizli'));
+    assert.ok(urls[1].includes('/videos?') && urls[1].includes('id=dQw4w9WgXcQ'));
+});
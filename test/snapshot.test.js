@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createSnapshot, writeSnapshot, readSnapshot } from '../lib/snapshot.js';
+import { createMemoryStorage } from '../lib/storage/memory.js';
+import { recordToRoom } from '../lib/storage/index.js';
+import { createQueue } from '../lib/queue.js';
+
+function tempFile() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-'));
+    return path.join(dir, 'snapshot.json');
+}
+
+function createRoom() {
+    return {
+        code: 'ABC123',
+        name: 'Oda',
+        owner: 's1',
+        createdAt: new Date(0),
+        video: { type: 'youtube', videoId: 'dQw4w9WgXcQ' },
+        playbackState: { position: 40, updatedAt: 1000, playing: true, rate: 1 },
+        queue: createQueue(),
+        bans: new Set(['ip:1']),
+        mutes: new Map(),
+        users: new Map([['s1', { id: 's1', userName: 'Ali', resumeToken: 't', connected: true, socketId: 'x' }]])
+    };
+}
+
+test('görüntü odaları ve bellekteki sohbeti taşır, oynatma kaldığı yerden duraklatılmış döner', async () => {
+    const file = tempFile();
+    const storage = createMemoryStorage({ messageLimit: 0 });
+    storage.appendMessage('ABC123', { id: 'm1', text: 'selam' });
+    storage.appendDirectMessage('ABC123', 'a:b', { id: 'd1', text: 'gizli' });
+
+    await writeSnapshot(file, createSnapshot({ rooms: new Map([['ABC123', createRoom()]]), storage, now: 3000 }));
+    const snapshot = readSnapshot(file, { now: 4000 });
+
+    assert.equal(snapshot.rooms.length, 1);
+    const [{ record, chat }] = snapshot.rooms;
+    const room = recordToRoom(record, 5000);
+    assert.equal(room.users.get('s1').connected, false);
+    assert.ok(room.bans.has('ip:1'));
+    assert.equal(room.playbackState.playing, false);
+    assert.ok(room.playbackState.position >= 42);
+
+    const restored = createMemoryStorage({ messageLimit: 0 });
+    restored.importChat('ABC123', chat);
+    assert.deepEqual(restored.getMessages('ABC123', {}).messages.map(m => m.text), ['selam']);
+    assert.deepEqual(restored.getConversation('ABC123', 'a:b').map(m => m.id), ['d1']);
+});
+
+test('görüntü tek kullanımlıktır; eski ya da bozuk dosya yok sayılır', async () => {
+    const file = tempFile();
+    await writeSnapshot(file, createSnapshot({ rooms: new Map(), storage: {}, now: 0 }));
+
+    assert.equal(readSnapshot(file, { maxAge: 1000, now: 5000 }), null);
+    assert.equal(fs.existsSync(file), false);
+    assert.equal(readSnapshot(file), null);
+
+    fs.writeFileSync(file, '{yarım');
+    assert.equal(readSnapshot(file), null);
+    assert.equal(fs.existsSync(file), false);
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { timelineKey, createAnnotation, annotationFromMessage, buildTimeline, TIMELINE_LIMIT } from '../lib/timeline.js';
+import { createMemoryStorage } from '../lib/storage/memory.js';
+import { createFileStorage } from '../lib/storage/file.js';
+
+const user = { id: 'u1', userName: 'Ayşe', userColor: '#fff' };
+
+test('her video türü kendi anahtarıyla tanınır', () => {
+    assert.equal(timelineKey({ type: 'youtube', videoId: 'abc' }), 'youtube:abc');
+    assert.equal(timelineKey({ type: 'vimeo', videoId: '42' }), 'vimeo:42');
+    assert.equal(timelineKey({ type: 'file', uploadId: 'up1' }), 'file:up1');
+    assert.equal(timelineKey({ type: 'hls', url: 'https://x/a.m3u8' }), 'url:https://x/a.m3u8');
+    assert.equal(timelineKey(null), null);
+});
+
+test('çizelge konuma göre sıralanır, silinen yorum düşer, işaretler dilimlere toplanır', () => {
+    const message = {
+        id: 'm1', userId: 'u1', userName: 'Ayşe', userColor: '#fff', text: 'tam bu sahne',
+        timestamp: new Date(1000), anchor: { mediaKey: 'youtube:abc', position: 12.3 }
+    };
+    const annotations = [
+        createAnnotation({ kind: 'reaction', position: 25.04, user, emoji: '😂' }, 2000),
+        annotationFromMessage(message),
+        createAnnotation({ kind: 'reaction', position: 14, user, emoji: '😂' }, 3000),
+        annotationFromMessage({ ...message, id: 'm2', deleted: true })
+    ];
+    assert.equal(annotations[0].position, 25);
+    assert.equal(annotations[1].createdAt, 1000);
+
+    const timeline = buildTimeline(annotations);
+    assert.deepEqual(timeline.items.map(item => item.position), [12.3, 14, 25]);
+    assert.deepEqual(timeline.markers, [
+        { position: 10, comments: 1, reactions: 1, emojis: { '😂': 1 } },
+        { position: 20, comments: 0, reactions: 1, emojis: { '😂': 1 } }
+    ]);
+    assert.equal(buildTimeline(annotations, { bucketSize: 60 }).markers.length, 1);
+    assert.equal(buildTimeline(annotations, { bucketSize: NaN }).bucketSize, 10);
+
+    const edited = annotationFromMessage({ ...message, text: 'düzeltildi', edited: true });
+    assert.equal(edited.text, 'düzeltildi');
+    assert.equal(edited.edited, true);
+});
+
+test('bellek deposu çizelgeyi video başına tutar, günceller ve görüntüye taşır', () => {
+    const storage = createMemoryStorage({ messageLimit: 10 });
+    const comment = createAnnotation({ kind: 'comment', position: 5, user, text: 'selam', id: 'm1' });
+    storage.appendAnnotation('ODA', 'youtube:abc', comment);
+    storage.appendAnnotation('ODA', 'youtube:xyz', createAnnotation({ kind: 'reaction', position: 1, user, emoji: '🔥' }));
+    storage.updateAnnotation('ODA', 'youtube:abc', { ...comment, text: 'merhaba' });
+
+    assert.deepEqual(storage.getTimeline('ODA', 'youtube:abc').map(item => item.text), ['merhaba']);
+    assert.equal(storage.getTimeline('ODA', 'youtube:xyz').length, 1);
+    assert.deepEqual(storage.getTimeline('YOK', 'youtube:abc'), []);
+
+    // Çizelge sohbet sınırına değil kendi sınırına tabidir
+    for (let i = 0; i < 20; i++) {
+        storage.appendAnnotation('ODA', 'youtube:abc', createAnnotation({ kind: 'reaction', position: i, user, emoji: '👍' }));
+    }
+    assert.equal(storage.getTimeline('ODA', 'youtube:abc').length, Math.min(21, TIMELINE_LIMIT));
+
+    const restored = createMemoryStorage({ messageLimit: 10 });
+    restored.importChat('ODA', storage.exportChat('ODA'));
+    assert.equal(restored.getTimeline('ODA', 'youtube:xyz').length, 1);
+
+    storage.deleteRoom('ODA');
+    assert.deepEqual(storage.getTimeline('ODA', 'youtube:abc'), []);
+});
+
+test('dosya deposu çizelgeyi yeniden açılışta geri yükler', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'timeline-'));
+    try {
+        const storage = createFileStorage({ dir, messageLimit: 10 });
+        storage.saveRoom({ code: 'ODA', name: 'Oda' });
+        const comment = createAnnotation({ kind: 'comment', position: 5, user, text: 'selam', id: 'm1' });
+        storage.appendAnnotation('ODA', 'url:https://x/a.mp4?b="c"', comment);
+        storage.updateAnnotation('ODA', 'url:https://x/a.mp4?b="c"', { ...comment, deleted: true, text: '' });
+        await storage.flush();
+
+        const reopened = createFileStorage({ dir, messageLimit: 10 });
+        reopened.loadRooms();
+        assert.deepEqual(reopened.getTimeline('ODA', 'url:https://x/a.mp4?b="c"').map(item => item.deleted), [true]);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
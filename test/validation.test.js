@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { object, optional, string, integer, boolean, validatePayload } from '../lib/validation.js';
+import { createTokenBucket } from '../lib/rateLimit.js';
+import { EVENTS } from '../lib/events.js';
+
+test('object() tanımsız alanları atar ve metinleri kırpar', () => {
+    const schema = object({ name: string({ min: 1, max: 5 }), muted: optional(boolean()) });
+    const { value, error } = validatePayload(schema, { name: '  ali ', extra: 'x' });
+
+    assert.equal(error, undefined);
+    assert.deepEqual(value, { name: 'ali' });
+});
+
+test('eksik zorunlu alan, alan yoluyla bildirilir', () => {
+    const schema = object({ target: string({ min: 1 }), offer: object({ sdp: string({ min: 1 }) }) });
+    const { error } = validatePayload(schema, { target: 'a', offer: {} });
+
+    assert.equal(error.field, 'offer.sdp');
+});
+
+test('nesne olmayan yük reddedilir', () => {
+    const { error } = validatePayload(object({ a: optional(integer()) }), 'oops');
+    assert.ok(error);
+});
+
+test('join-room oda kodu yoksa çökmek yerine reddeder', () => {
+    const { error } = validatePayload(EVENTS['join-room'].schema, { userName: 'Ali' });
+    assert.equal(error.field, 'roomCode');
+});
+
+test('kullanıcı adı uzunluğu denetlenir', () => {
+    const { error } = validatePayload(EVENTS['create-room'].schema, { userName: 'x'.repeat(21), roomName: 'Oda' });
+    assert.equal(error.field, 'userName');
+});
+
+test('video-control sadece bilinen oynatma alanlarını tutar', () => {
+    const { value } = validatePayload(EVENTS['video-control'].schema, {
+        playing: true,
+        currentTime: 12.5,
+        playbackRate: 1,
+        position: -100,
+        updatedAt: 0
+    });
+    assert.deepEqual(value, { playing: true, currentTime: 12.5, playbackRate: 1 });
+
+    const { error } = validatePayload(EVENTS['video-control'].schema, { currentTime: -1 });
+    assert.equal(error.field, 'currentTime');
+});
+
+test('mesaj türü ve eki sınırlıdır', () => {
+    const schema = EVENTS.message.schema;
+
+    assert.ok(validatePayload(schema, { type: 'script', text: 'hi' }).error);
+    assert.ok(validatePayload(schema, { type: 'image', text: 'ek yok' }).error);
+    assert.ok(validatePayload(schema, { type: 'text', text: '   ' }).error);
+    assert.ok(validatePayload(schema, { text: 'x'.repeat(2001) }).error);
+
+    // Dosya içeriği artık mesajla gelmez, sadece ek kimliği
+    const { value } = validatePayload(schema, { type: 'image', attachmentId: 'abc', fileUrl: 'data:image/png;base64,AAAA' });
+    assert.deepEqual(value, { type: 'image', attachmentId: 'abc' });
+});
+
+test('token bucket patlamaya izin verir, sonra zamanla dolar', () => {
+    const bucket = createTokenBucket({ capacity: 3, refillPerSecond: 2 }, 0);
+
+    assert.equal(bucket.take(1, 0), 0);
+    assert.equal(bucket.take(1, 0), 0);
+    assert.equal(bucket.take(1, 0), 0);
+    assert.equal(bucket.take(1, 0), 500);
+    assert.ok(bucket.take(1, 250) > 0);
+    assert.equal(bucket.take(1, 1000), 0);
+    // Uzun bekleme kapasiteyi aşmaz
+    bucket.take(0, 60000);
+    for (let i = 0; i < 3; i++) assert.equal(bucket.take(1, 60000), 0);
+    assert.ok(bucket.take(1, 60000) > 0);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createReadyCheck, respondToReadyCheck, readyCheckSummary, readyStateOf, createCountdown,
+    viewerHealth, shouldHoldPlayback, applyWatchSettings, DEFAULT_WATCH_SETTINGS, MAX_COUNTDOWN
+} from '../lib/watchparty.js';
+
+const member = (id, fields = {}) => ({ id, connected: true, ...fields });
+
+test('hazır yoklaması bağlı üyeler üzerinden özetlenir', () => {
+    const check = createReadyCheck('sahip', { timeout: 30, countdown: 5 }, 1000);
+    assert.equal(check.expiresAt, 31000);
+    assert.equal(check.countdown, 5);
+    assert.equal(readyStateOf(check, 'sahip'), 'ready');
+    assert.equal(readyStateOf(check, 'a'), 'pending');
+    assert.equal(readyStateOf(null, 'a'), null);
+
+    const members = [member('sahip'), member('a'), member('b'), member('kopuk', { connected: false })];
+    assert.equal(respondToReadyCheck(check, 'a', false), true);
+    assert.equal(respondToReadyCheck(check, 'a', false), false);
+
+    let summary = readyCheckSummary(check, members);
+    assert.deepEqual([summary.ready, summary.notReady, summary.pending], [['sahip'], ['a'], ['b']]);
+    assert.equal(summary.allReady, false);
+
+    respondToReadyCheck(check, 'a', true);
+    respondToReadyCheck(check, 'b', true);
+    summary = readyCheckSummary(check, members);
+    assert.equal(summary.allReady, true);
+
+    // Sonradan katılan yanıt verene kadar bekletir
+    assert.equal(readyCheckSummary(check, [...members, member('yeni')]).allReady, false);
+});
+
+test('geri sayım süresi sınırlanır', () => {
+    assert.deepEqual(createCountdown('sahip', 3, 1000), { startedBy: 'sahip', seconds: 3, startsAt: 4000 });
+    assert.equal(createCountdown('sahip', 99, 0).seconds, MAX_COUNTDOWN);
+    assert.equal(createCountdown('sahip', undefined, 0).seconds, 3);
+    assert.equal(createReadyCheck('sahip', { countdown: -2 }).countdown, 0);
+});
+
+test('takılan izleyici oranı eşiğin altına düşünce oynatma bekletilir', () => {
+    const settings = applyWatchSettings(DEFAULT_WATCH_SETTINGS, { autoPause: true });
+    const members = [
+        member('a'),
+        member('b', { playerState: 'buffering' }),
+        member('c', { playerState: 'stalled', bufferExempt: true }),
+        member('d', { playerState: 'buffering', connected: false })
+    ];
+
+    const health = viewerHealth(members);
+    assert.deepEqual(health, { total: 2, ok: 1, waitingFor: ['b'] });
+    assert.equal(shouldHoldPlayback(settings, health), true);
+    assert.equal(shouldHoldPlayback({ ...settings, resumeShare: 0.5 }, health), false);
+    assert.equal(shouldHoldPlayback({ ...settings, autoPause: false }, health), false);
+    assert.equal(shouldHoldPlayback(settings, viewerHealth([])), false);
+});
+
+test('ayarlar sınırlar içinde güncellenir, bilinmeyenler yok sayılır', () => {
+    const settings = applyWatchSettings(undefined, { resumeShare: 0, maxWait: 1000, extra: true });
+    assert.deepEqual(settings, { autoPause: false, resumeShare: 0.1, maxWait: 300 });
+    assert.deepEqual(applyWatchSettings(settings, { autoPause: true }), { ...settings, autoPause: true });
+});